@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+// scripts/flux-tracker.js - Admin CLI for the tracker: sync, rescans, gaps, addresses, exports and database upkeep
+// Works on the same database as the web server - run it from the app directory, with the same environment.
+// Commands that fetch blocks (sync, rescan, backfill-from, gaps --fix) are queued like the web server's
+// requests (syncRequests.js) and wait for the result: the web server or scripts/syncd.js runs them while it
+// is syncing, otherwise this process takes the sync leader lock and runs them itself.
+// Add --json to any command for machine-readable output on stdout.
+
+import { parseArgs } from 'util';
+import { createWriteStream, statSync } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const USAGE = `Usage: flux-tracker <command> [options] [--json]
+
+Commands:
+  sync --once                              Run one sync cycle (use scripts/syncd.js to keep syncing)
+  rescan [--address A]... [--from H] [--to H]
+                                           Rescan synced blocks for missed payments (default: all addresses)
+  backfill-from [--limit N]                Look up missing sender addresses (default 100 payments)
+  gaps [--fix]                             List missing blocks inside the synced range, --fix fetches them
+  addresses list [--all]                   Tracked addresses (--all includes inactive ones)
+  addresses add <address> [--label L]      Track an address - its history is backfilled by the sync
+  addresses remove <address> [--purge]     Stop tracking an address (--purge also deletes its payments)
+  export <dataset> [--format csv|json|ndjson] [--from T] [--to T] [--from-block H] [--to-block H]
+         [--address A | --group G] [--currency C] [--output FILE]
+                                           Export a dataset to FILE or stdout
+  snapshot collect                         Collect a network stats snapshot now
+  db stats|integrity|vacuum                Row counts and size, integrity check, or VACUUM
+
+Options:
+  --json                                   Print the result as JSON
+  -h, --help                               Show this help`;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  once: { type: 'boolean', default: false },
+  address: { type: 'string', multiple: true },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  limit: { type: 'string' },
+  fix: { type: 'boolean', default: false },
+  label: { type: 'string' },
+  purge: { type: 'boolean', default: false },
+  all: { type: 'boolean', default: false },
+  format: { type: 'string', default: 'csv' },
+  'from-block': { type: 'string' },
+  'to-block': { type: 'string' },
+  group: { type: 'string' },
+  currency: { type: 'string' },
+  output: { type: 'string', short: 'o' }
+};
+
+class UsageError extends Error {}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseHeight(value, name) {
+  if (value === undefined) return null;
+  const height = Number(value);
+  if (!Number.isInteger(height) || height < 0) throw new UsageError(`--${name} must be a non-negative block height`);
+  return height;
+}
+
+function formatRanges(ranges) {
+  return ranges.map(range => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`)).join(', ');
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function databaseSize(dbName) {
+  return ['', '-wal'].reduce((sum, suffix) => {
+    try {
+      return sum + statSync(dbName + suffix).size;
+    } catch (error) {
+      return sum;
+    }
+  }, 0);
+}
+
+// Loaded after console.log is redirected - these modules log while they initialize
+async function loadModules() {
+  const [scheduler, db, fluxApi, config, rescan, syncRequests, leaderLock, syncRanges, exporter] = await Promise.all([
+    import('../src/lib/scheduler.js'),
+    import('../src/lib/db.js'),
+    import('../src/lib/flux-api.js'),
+    import('../src/lib/config.js'),
+    import('../src/lib/rescan.js'),
+    import('../src/lib/syncRequests.js'),
+    import('../src/lib/leaderLock.js'),
+    import('../src/lib/syncRanges.js'),
+    import('../src/lib/exports.js')
+  ]);
+  return { scheduler, ...db, fluxApi, config, rescan, syncRequests, leaderLock, syncRanges, exporter };
+}
+
+// Waits for a queued request - the syncing process runs it, with none syncing this one takes the lock.
+// describe(request) is logged every 10 seconds while it waits
+async function waitForRequest(lib, id, describe) {
+  let lastLog = 0;
+
+  for (;;) {
+    const request = lib.syncRequests.getSyncRequest(id);
+    if (!lib.syncRequests.isActiveRequest(request)) return request;
+
+    const { holder } = lib.leaderLock.getLeaderStatus();
+    if (!holder) {
+      // Runs everything queued before it too; locked when another process started syncing in the meantime
+      await lib.scheduler.runWithSyncLock(() => lib.syncRequests.drainSyncRequests({ stopAfter: id }));
+      continue;
+    }
+
+    if (Date.now() - lastLog > 10000) {
+      lastLog = Date.now();
+      console.error(`⏳ ${describe(request)} - ${request.status} in the ${holder.role} process ${holder.owner}`);
+    }
+    await sleep(1000);
+  }
+}
+
+async function runRequest(lib, type, params = {}) {
+  const queued = lib.syncRequests.queueSyncRequest(type, params);
+  const request = await waitForRequest(lib, queued.id, () => `${type} #${queued.id}`);
+
+  if (request.status !== 'completed') {
+    return { success: false, message: `${type} #${request.id} ${request.status}${request.error ? `: ${request.error}` : ''}`, request };
+  }
+  return { success: true, ...request.progress, request };
+}
+
+const commands = {
+  async sync(lib, { values }) {
+    if (!values.once) {
+      throw new UsageError('sync needs --once (scripts/syncd.js keeps syncing on a schedule)');
+    }
+
+    const result = await runRequest(lib, 'sync');
+
+    const lines = [`${result.success ? '✅' : '❌'} ${result.message}`];
+    if (result.blocksProcessed !== undefined) lines.push(`Blocks processed: ${result.blocksProcessed}`);
+    return { result, lines };
+  },
+
+  async rescan(lib, { values }) {
+    const targetAddresses = lib.config.getAllTargetAddresses();
+    const requested = (values.address || []).flatMap(value => value.split(',')).map(addr => addr.trim()).filter(Boolean);
+    const addresses = requested.length > 0 ? requested : targetAddresses;
+
+    const untracked = addresses.filter(addr => !targetAddresses.includes(addr));
+    if (untracked.length > 0) {
+      throw new UsageError(`Address not in tracked list: ${untracked.join(', ')}`);
+    }
+
+    const fromHeight = parseHeight(values.from, 'from');
+    const toHeight = parseHeight(values.to, 'to');
+    if (fromHeight !== null && toHeight !== null && fromHeight > toHeight) {
+      throw new UsageError('--from must be less than or equal to --to');
+    }
+
+    const queued = lib.rescan.startRescan({ addresses, fromHeight, toHeight, reason: 'cli' });
+    await waitForRequest(lib, queued.id, () => {
+      const job = lib.rescan.getRescanJob(queued.id);
+      return `Rescan #${job.id}: ${job.progress.toFixed(1)}% (${job.processedBlocks}/${job.totalBlocks} blocks, ${job.paymentsFound} payments found)`;
+    });
+
+    const job = lib.rescan.getRescanJob(queued.id);
+    const result = { success: job.status === 'completed', job };
+    return {
+      result,
+      lines: [
+        `${result.success ? '✅' : '❌'} Rescan #${job.id} ${job.status}${job.error ? `: ${job.error}` : ''}`,
+        `Blocks ${job.fromHeight}-${job.toHeight}: ${job.processedBlocks} scanned, ${job.failedBlocks} failed`,
+        `Payments found: ${job.paymentsFound}`
+      ]
+    };
+  },
+
+  async 'backfill-from'(lib, { values }) {
+    const limit = values.limit === undefined ? 100 : Number(values.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new UsageError('--limit must be a whole number of at least 1');
+
+    const result = await runRequest(lib, 'backfill', { limit });
+
+    return { result, lines: [`${result.success ? '✅' : '❌'} ${result.message}`] };
+  },
+
+  async gaps(lib, { values }) {
+    const findGaps = () => {
+      const { lowest, highest } = lib.syncRanges.getSyncRangeSummary();
+      const failed = lib.statements.getFailedBlockHeights.all().map(row => row.height);
+      const gaps = lowest === null ? [] : lib.syncRanges.findGaps(lowest, highest, failed);
+      return { lowest, highest, gaps, missingBlocks: lib.syncRanges.countHeights(gaps), failedBlocks: failed.length };
+    };
+
+    let result = { success: true, ...findGaps() };
+
+    if (values.fix && result.missingBlocks > 0) {
+      const { lowest, highest } = result;
+      const fix = await runRequest(lib, 'fill_gaps', { fromHeight: lowest, toHeight: highest });
+      result = { ...fix, ...findGaps() };
+    }
+
+    const lines = result.lowest === null
+      ? ['No blocks synced yet']
+      : [`Synced range: ${result.lowest}-${result.highest}`];
+    if (result.filled !== undefined) lines.push(`Filled: ${result.filled} blocks`);
+    if (result.message) lines.push(`❌ ${result.message}`);
+    lines.push(result.missingBlocks === 0
+      ? '✅ No gaps'
+      : `Gaps: ${result.missingBlocks} blocks in ${result.gaps.length} range(s): ${formatRanges(result.gaps)}`);
+    if (result.failedBlocks > 0) lines.push(`Failed block queue: ${result.failedBlocks} blocks (retried by the sync)`);
+    return { result, lines };
+  },
+
+  async addresses(lib, { values, positionals }) {
+    const [action, address] = positionals;
+
+    if (action === 'list' || action === undefined) {
+      const addresses = lib.dbUtils.getTrackedAddresses().filter(addr => values.all || addr.active);
+      const lines = addresses.length === 0 ? ['No tracked addresses'] : addresses.map(addr =>
+        `${addr.address}  ${addr.active ? 'active  ' : 'inactive'}  ${String(addr.transaction_count).padStart(6)} payments  ${addr.total_received.toFixed(2).padStart(12)} FLUX${addr.label ? `  ${addr.label}` : ''}`
+      );
+      return { result: { addresses, count: addresses.length }, lines };
+    }
+
+    if (!address) throw new UsageError(`addresses ${action} needs an address`);
+
+    if (action === 'add') {
+      if (!lib.config.isValidFluxAddress(address)) throw new UsageError(`Invalid Flux address: ${address}`);
+
+      const { created, reactivated, address: tracked } = lib.dbUtils.addTrackedAddress(address, values.label ?? null);
+      const backfill = created || reactivated ? lib.scheduler.scheduleAddressBackfill(address) : null;
+      const lines = [created ? `✅ Now tracking ${address}` : reactivated ? `✅ Tracking ${address} again` : `Already tracking ${address}`];
+      if (backfill) lines.push(`History backfill queued as rescan #${backfill.id}`);
+      return { result: { success: true, address: tracked, created, reactivated, backfill }, lines };
+    }
+
+    if (action === 'remove') {
+      const { removed, transactionsRemoved } = lib.dbUtils.removeTrackedAddress(address, { purge: values.purge });
+      if (!removed) return { result: { success: false, error: 'Address not tracked' }, lines: [`❌ Address not tracked: ${address}`] };
+
+      return {
+        result: { success: true, address, transactions_removed: transactionsRemoved },
+        lines: [values.purge
+          ? `✅ Stopped tracking ${address} and removed ${transactionsRemoved} payments`
+          : `✅ Stopped tracking ${address} (payments kept, use --purge to remove them)`]
+      };
+    }
+
+    throw new UsageError(`Unknown addresses action: ${action} (list, add or remove)`);
+  },
+
+  async export(lib, { values, positionals }) {
+    const [datasetName] = positionals;
+    const { EXPORT_DATASETS, EXPORT_FORMATS, createExportStream, parseBlockParam, parseTimeParam } = lib.exporter;
+
+    const dataset = EXPORT_DATASETS[datasetName];
+    if (!dataset) throw new UsageError(`export needs a dataset: ${Object.keys(EXPORT_DATASETS).join(', ')}`);
+
+    const format = values.format.toLowerCase();
+    if (!EXPORT_FORMATS[format]) throw new UsageError('--format must be csv, json or ndjson');
+
+    const filters = {
+      fromTime: parseTimeParam(values.from),
+      toTime: parseTimeParam(values.to, true),
+      fromBlock: parseBlockParam(values['from-block']),
+      toBlock: parseBlockParam(values['to-block']),
+      addresses: null,
+      currency: lib.config.resolveFiatCurrency(values.currency ?? null)
+    };
+
+    if (filters.fromTime === undefined || filters.toTime === undefined) throw new UsageError('--from/--to must be unix seconds or an ISO date');
+    if (filters.fromBlock === undefined || filters.toBlock === undefined) throw new UsageError('--from-block/--to-block must be non-negative block heights');
+    if (!filters.currency) throw new UsageError(`Unsupported currency: ${values.currency} (${lib.config.getFiatCurrencies().join(', ')})`);
+
+    const address = values.address?.[0] || null;
+    const requested = {
+      time: filters.fromTime !== null || filters.toTime !== null,
+      block: filters.fromBlock !== null || filters.toBlock !== null,
+      address: Boolean(address || values.group)
+    };
+    const unsupported = Object.keys(requested).filter(filter => requested[filter] && !dataset.filters.includes(filter));
+    if (unsupported.length > 0) throw new UsageError(`${datasetName} does not support ${unsupported.join(', ')} filters`);
+
+    if (requested.address) {
+      const filter = lib.dbUtils.resolveAddressFilter({ address, group: values.group || null });
+      if (filter.error) throw new UsageError(filter.error);
+      filters.addresses = filter.addresses;
+    }
+
+    const destination = values.output ? createWriteStream(values.output) : process.stdout;
+    await pipeline(Readable.fromWeb(createExportStream(datasetName, format, filters)), destination);
+
+    const result = { success: true, dataset: datasetName, format, output: values.output || null };
+    // Written to stdout, the export is the output
+    return values.output ? { result, lines: [`✅ Exported ${datasetName} to ${values.output}`] } : { result: null, lines: [] };
+  },
+
+  async snapshot(lib, { positionals }) {
+    if (positionals[0] !== 'collect') throw new UsageError('Usage: flux-tracker snapshot collect');
+
+    const result = await lib.fluxApi.collectNetworkStatsSnapshot(true);
+    const lines = [result.success
+      ? `✅ Network stats collected in ${result.elapsed}ms (node stats ${result.nodeStored ? 'stored' : 'missing'}, utilization ${result.utilizationStored ? 'stored' : 'missing'})`
+      : `❌ Network stats collection failed: ${result.error || (result.errors || []).join('; ') || 'no data'}`];
+    return { result, lines };
+  },
+
+  async db(lib, { positionals }) {
+    const [action] = positionals;
+    const dbName = lib.config.DB_CONFIG.DB_NAME;
+
+    if (action === 'stats') {
+      const stats = lib.dbUtils.getStats();
+      if (!stats) return { result: { success: false, error: 'Could not read database stats' }, lines: ['❌ Could not read database stats'] };
+
+      const result = { success: true, file: dbName, sizeBytes: databaseSize(dbName), ...stats };
+      const lines = [
+        `Database: ${dbName} (${formatBytes(result.sizeBytes)})`,
+        ...stats.tables.map(table => `  ${table.table_name.padEnd(28)} ${String(table.row_count).padStart(10)} rows`),
+        stats.blockRange?.block_count
+          ? `Blocks: ${stats.blockRange.min_height}-${stats.blockRange.max_height} (${stats.blockRange.block_count} stored)`
+          : 'Blocks: none stored'
+      ];
+      return { result, lines };
+    }
+
+    if (action === 'integrity') {
+      const health = lib.dbUtils.checkHealth({ integrity: true });
+      const result = { success: health.accessible && health.integrity, ...health };
+      return {
+        result,
+        lines: [health.accessible
+          ? `${health.integrity ? '✅ Integrity check passed' : '❌ Integrity check FAILED'} (${health.blockCount} blocks, WAL ${health.walMode ? 'on' : 'off'})`
+          : `❌ Database not accessible: ${health.error}`]
+      };
+    }
+
+    if (action === 'vacuum') {
+      const sizeBefore = databaseSize(dbName);
+      const success = await lib.dbUtils.cleanup();
+      // Move the vacuumed pages from the WAL into the database file
+      if (success) lib.db.pragma('wal_checkpoint(TRUNCATE)');
+      const sizeAfter = databaseSize(dbName);
+
+      return {
+        result: { success, sizeBefore, sizeAfter },
+        lines: [success
+          ? `✅ Vacuumed ${dbName}: ${formatBytes(sizeBefore)} → ${formatBytes(sizeAfter)}`
+          : '❌ VACUUM failed (is another process writing? see the log above)']
+      };
+    }
+
+    throw new UsageError('Usage: flux-tracker db stats|integrity|vacuum');
+  }
+};
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command, ...positionals] = args.positionals;
+  if (args.values.help || !command || command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  // Library logs go to stderr, so stdout only carries the result (or the export)
+  const print = console.log;
+  console.log = console.error;
+  console.info = console.error;
+
+  try {
+    const lib = await loadModules();
+    const { result, lines } = await commands[command](lib, { values: args.values, positionals });
+
+    if (args.values.json && result) {
+      print(JSON.stringify(result, null, 2));
+    } else if (lines.length > 0) {
+      print(lines.join('\n'));
+    }
+    return result && result.success === false ? 1 : 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return 2;
+    }
+    console.error(`❌ ${command} failed:`, error);
+    return 1;
+  }
+}
+
+// Stop on Ctrl-C - the sync leader lock is released and the database closed on the same signals
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => process.exit(130));
+}
+
+process.exit(await main());
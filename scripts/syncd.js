@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// scripts/syncd.js - Standalone sync daemon: block sync, prices, webhooks and network stats without a web server
+// Usage: node scripts/syncd.js (same environment variables and database as the web server)
+// Run the web server with FLUX_WEB_READ_ONLY=true next to it. Only one process syncs at a time - a
+// second syncd, or a web server that isn't read-only, stands by until the leader lock expires.
+
+import { startScheduler, stopScheduler } from '../src/lib/scheduler.js';
+import { startNetworkStatsCollection, stopNetworkStatsCollection } from '../src/lib/flux-api.js';
+import { closeDatabase } from '../src/lib/db.js';
+import { releaseLeaderLock } from '../src/lib/leaderLock.js';
+
+console.log(`🛰️ Flux tracker sync daemon starting (pid ${process.pid})`);
+
+const REPEAT_SIGNAL_WINDOW = 1000; // npm and timeout forward the signal the process group already got
+
+let stoppingSince = null;
+
+// Stop syncing first, then release the lock and close the database - a second signal exits right away
+async function shutdown(signal) {
+  if (stoppingSince !== null) {
+    if (Date.now() - stoppingSince < REPEAT_SIGNAL_WINDOW) return;
+    console.warn(`⚠️ ${signal} received again - exiting without waiting for the sync`);
+    process.exit(1);
+  }
+  stoppingSince = Date.now();
+
+  console.log(`🛑 ${signal} received - stopping sync daemon`);
+  try {
+    stopNetworkStatsCollection();
+    await stopScheduler();
+  } catch (error) {
+    console.error('❌ Error while stopping the scheduler:', error);
+  }
+  closeDatabase();
+  process.exit(0);
+}
+
+// db.js and leaderLock.js close the database and release the lock on these signals straight away -
+// here that waits until the sync has stopped
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.off(signal, closeDatabase);
+  process.off(signal, releaseLeaderLock);
+  process.on(signal, () => shutdown(signal));
+}
+
+startScheduler({ role: 'daemon' }).catch(error => {
+  console.error('❌ Failed to start scheduler:', error);
+  process.exit(1);
+});
+
+startNetworkStatsCollection();
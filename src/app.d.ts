@@ -3,7 +3,15 @@
 declare global {
 	namespace App {
 		// interface Error {}
-		// interface Locals {}
+		interface Locals {
+			// Set by hooks.server.js (see src/lib/auth.js)
+			auth: {
+				role: 'viewer' | 'admin';
+				via: 'token' | 'session' | 'anonymous' | 'disabled';
+				tokenId: number | null;
+				name: string | null;
+			};
+		}
 		// interface PageData {}
 		// interface PageState {}
 		// interface Platform {}
@@ -1,20 +1,83 @@
+import { json } from '@sveltejs/kit';
 import { startScheduler } from './lib/scheduler.js';
+import { startNetworkStatsCollection } from './lib/flux-api.js';
+import { PROCESS_CONFIG } from './lib/config.js';
+import { startEventRelay } from './lib/eventRelay.js';
+import { initAuth, authorize } from './lib/auth.js';
+import { checkRateLimit } from './lib/rateLimit.js';
 
 let schedulerStarted = false;
 
+// NEW: Make sure an admin token exists before the first request
+initAuth();
+
 export async function handle({ event, resolve }) {
   // Start scheduler only once when server starts
+  // 🔄 UPDATED: Not at all in a read-only web server - scripts/syncd.js syncs for it
   if (!schedulerStarted) {
     schedulerStarted = true;
-    console.log('🔧 Server starting - initializing scheduler...');
     
-    // Start scheduler in background without blocking requests
-    setTimeout(() => {
-      startScheduler().catch(error => {
-        console.error('❌ Failed to start scheduler:', error);
-      });
-    }, 2000);
+    if (PROCESS_CONFIG.WEB_READ_ONLY) {
+      console.log('📖 Read-only web server - sync and collection run in a separate process (scripts/syncd.js)');
+      // NEW: Its live events reach /api/events here through the database
+      startEventRelay();
+    } else {
+      console.log('🔧 Server starting - initializing scheduler...');
+      
+      // Start scheduler in background without blocking requests
+      setTimeout(() => {
+        startScheduler({ role: 'web' }).catch(error => {
+          console.error('❌ Failed to start scheduler:', error);
+        });
+        startNetworkStatsCollection();
+      }, 2000);
+    }
+  }
+
+  // NEW: Role check - reads need viewer, syncs/collections/changes need admin (see auth.js)
+  const { identity, status, error } = authorize(event);
+
+  // NEW: Rate limit before acting on the auth result, so failed logins and bad tokens count too
+  const limit = checkRateLimit(event, identity);
+  if (!limit.allowed) {
+    return json({
+      error: `Too many requests - try again in ${limit.retryAfter}s`,
+      retryAfter: limit.retryAfter
+    }, {
+      status: 429,
+      headers: {
+        'Retry-After': String(limit.retryAfter),
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': '0'
+      }
+    });
+  }
+
+  if (error) {
+    // Pages send the browser to the login form, API callers get JSON
+    if (!event.url.pathname.startsWith('/api/') && event.url.pathname !== '/metrics' && event.request.method === 'GET') {
+      const redirectTo = encodeURIComponent(event.url.pathname + event.url.search);
+      return new Response(null, { status: 303, headers: { location: `/login?redirect=${redirectTo}` } });
+    }
+
+    return json({ error }, {
+      status,
+      headers: status === 401 ? { 'WWW-Authenticate': 'Bearer realm="flux-tracker"' } : {}
+    });
+  }
+
+  event.locals.auth = identity;
+
+  const response = await resolve(event);
+
+  if (limit.limit) {
+    try {
+      response.headers.set('X-RateLimit-Limit', String(limit.limit));
+      response.headers.set('X-RateLimit-Remaining', String(limit.remaining));
+    } catch (headerError) {
+      // Some responses (e.g. proxied fetches) have immutable headers
+    }
   }
 
-  return await resolve(event);
-}
\ No newline at end of file
+  return response;
+}
@@ -0,0 +1,187 @@
+// adaptiveConcurrency.js - AIMD controller for Flux API concurrency and sync batch size
+// apiCall reports every response here. A full window of clean responses (as many as the current
+// limit) adds ADAPTIVE_CONFIG.CONCURRENCY_STEP / BATCH_SIZE_STEP; a 429, 5xx, timeout or an average
+// latency above LATENCY_THRESHOLD multiplies both by DECREASE_FACTOR (additive increase,
+// multiplicative decrease). Wired to the API_CONFIG / SYNC_CONFIG switches:
+//   ENABLE_GRACEFUL_DEGRADATION - decreases happen at all
+//   ERROR_THRESHOLD             - that many failures in a row drop straight to the minimum
+//   RATE_LIMIT_BACKOFF          - Retry-After pauses requests until the time given
+//   ENABLE_SMART_BATCHING       - batch size follows the controller
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Adaptive concurrency can only run on server-side');
+}
+
+import { ADAPTIVE_CONFIG, API_CONFIG, SYNC_CONFIG } from './config.js';
+
+const EWMA_ALPHA = 0.2;
+
+// Ceilings are read when needed - optimization levels and env overrides may change them after import
+function maxConcurrency() {
+  return API_CONFIG.MAX_CONCURRENT;
+}
+
+function maxBatchSize() {
+  return SYNC_CONFIG.ENABLE_FAST_SYNC ? SYNC_CONFIG.BATCH_SIZE : Math.min(SYNC_CONFIG.BATCH_SIZE, 10);
+}
+
+function createState() {
+  return {
+    concurrency: null, // null = at the ceiling until the first decrease
+    batchSize: null,
+    successWindow: 0,
+    consecutiveErrors: 0,
+    latencyMs: null,
+    pausedUntil: 0,
+    pauseReason: null,
+    lastDecreaseAt: 0,
+    lastDecreaseReason: null,
+    increases: 0,
+    decreases: 0,
+    retryAfterPauses: 0
+  };
+}
+
+let state = createState();
+
+export function getConcurrencyLimit() {
+  if (!ADAPTIVE_CONFIG.ENABLED) return maxConcurrency();
+  return Math.min(state.concurrency ?? maxConcurrency(), maxConcurrency());
+}
+
+export function getBatchSize() {
+  if (!ADAPTIVE_CONFIG.ENABLED || !SYNC_CONFIG.ENABLE_SMART_BATCHING) return maxBatchSize();
+  return Math.min(state.batchSize ?? maxBatchSize(), maxBatchSize());
+}
+
+// Retry-After header: delay in seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  if (!Number.isFinite(ms) || ms <= 0) return null;
+
+  return Math.min(ms, ADAPTIVE_CONFIG.MAX_RETRY_AFTER);
+}
+
+export function pauseFor(ms, reason) {
+  if (!ADAPTIVE_CONFIG.ENABLED || !API_CONFIG.RATE_LIMIT_BACKOFF || !ms) return;
+
+  const until = Date.now() + ms;
+  if (until <= state.pausedUntil) return;
+
+  state.pausedUntil = until;
+  state.pauseReason = reason;
+  state.retryAfterPauses++;
+  console.warn(`⏸️ Pausing API requests for ${Math.ceil(ms / 1000)}s: ${reason}`);
+}
+
+// Called by apiCall before sending
+export async function waitForRetryAfter() {
+  const wait = state.pausedUntil - Date.now();
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
+
+function decrease(reason, toMinimum = false) {
+  if (!SYNC_CONFIG.ENABLE_GRACEFUL_DEGRADATION) return;
+
+  const now = Date.now();
+  if (!toMinimum && now - state.lastDecreaseAt < ADAPTIVE_CONFIG.DECREASE_COOLDOWN) return;
+
+  const concurrency = getConcurrencyLimit();
+  const batchSize = getBatchSize();
+
+  state.concurrency = toMinimum
+    ? ADAPTIVE_CONFIG.MIN_CONCURRENCY
+    : Math.max(ADAPTIVE_CONFIG.MIN_CONCURRENCY, Math.floor(concurrency * ADAPTIVE_CONFIG.DECREASE_FACTOR));
+  state.batchSize = toMinimum
+    ? ADAPTIVE_CONFIG.MIN_BATCH_SIZE
+    : Math.max(ADAPTIVE_CONFIG.MIN_BATCH_SIZE, Math.floor(batchSize * ADAPTIVE_CONFIG.DECREASE_FACTOR));
+  state.successWindow = 0;
+  state.lastDecreaseAt = now;
+  state.lastDecreaseReason = reason;
+  state.decreases++;
+
+  if (state.concurrency !== concurrency || state.batchSize !== batchSize) {
+    console.warn(`🐢 API backoff (${reason}): concurrency ${concurrency} → ${state.concurrency}, batch size ${batchSize} → ${state.batchSize}`);
+  }
+}
+
+function increase() {
+  const concurrency = getConcurrencyLimit();
+  const batchSize = getBatchSize();
+  if (concurrency >= maxConcurrency() && batchSize >= maxBatchSize()) return;
+
+  state.concurrency = Math.min(maxConcurrency(), concurrency + ADAPTIVE_CONFIG.CONCURRENCY_STEP);
+  state.batchSize = Math.min(maxBatchSize(), batchSize + ADAPTIVE_CONFIG.BATCH_SIZE_STEP);
+  state.increases++;
+}
+
+// error: as thrown by apiCall (status and retryAfterMs set for HTTP errors); only congestion signals count.
+// honorRetryAfter: false when another endpoint can take the traffic instead of pausing everything
+export function recordApiResult({ latencyMs = null, error = null, honorRetryAfter = true } = {}) {
+  if (!ADAPTIVE_CONFIG.ENABLED) return;
+
+  if (error) {
+    const congestion = !error.status || error.status === 429 || error.status >= 500;
+    if (!congestion) return;
+
+    state.consecutiveErrors++;
+    const reason = error.status ? `HTTP ${error.status}` : error.message;
+
+    if (honorRetryAfter && (error.status === 429 || error.status === 503)) {
+      pauseFor(error.retryAfterMs, `${reason} with Retry-After`);
+    }
+
+    if (state.consecutiveErrors === API_CONFIG.ERROR_THRESHOLD) {
+      decrease(`${state.consecutiveErrors} errors in a row`, true);
+    } else {
+      decrease(reason);
+    }
+    return;
+  }
+
+  state.consecutiveErrors = 0;
+  if (latencyMs !== null) {
+    state.latencyMs = state.latencyMs === null ? latencyMs : state.latencyMs + EWMA_ALPHA * (latencyMs - state.latencyMs);
+  }
+
+  if (state.latencyMs !== null && state.latencyMs > ADAPTIVE_CONFIG.LATENCY_THRESHOLD) {
+    decrease(`average latency ${Math.round(state.latencyMs)}ms`);
+    return;
+  }
+
+  state.successWindow++;
+  if (state.successWindow >= getConcurrencyLimit()) {
+    state.successWindow = 0;
+    increase();
+  }
+}
+
+export function getAdaptiveState() {
+  const now = Date.now();
+  return {
+    enabled: ADAPTIVE_CONFIG.ENABLED,
+    concurrency: getConcurrencyLimit(),
+    maxConcurrency: maxConcurrency(),
+    batchSize: getBatchSize(),
+    maxBatchSize: maxBatchSize(),
+    avgLatencyMs: state.latencyMs === null ? null : Math.round(state.latencyMs),
+    consecutiveErrors: state.consecutiveErrors,
+    pausedForMs: Math.max(0, state.pausedUntil - now),
+    pauseReason: state.pausedUntil > now ? state.pauseReason : null,
+    lastDecreaseAt: state.lastDecreaseAt || null,
+    lastDecreaseReason: state.lastDecreaseReason,
+    increases: state.increases,
+    decreases: state.decreases,
+    retryAfterPauses: state.retryAfterPauses
+  };
+}
+
+export function resetAdaptiveState() {
+  state = createState();
+}
@@ -0,0 +1,24 @@
+// addressSelection.js - Dashboard address selector values
+// 'all' = every tracked address, 'group:<id>' = an address group, anything else = a single address
+
+export const GROUP_SELECTION_PREFIX = 'group:';
+
+export function groupSelection(groupId) {
+  return `${GROUP_SELECTION_PREFIX}${groupId}`;
+}
+
+export function isGroupSelection(selection) {
+  return typeof selection === 'string' && selection.startsWith(GROUP_SELECTION_PREFIX);
+}
+
+// Adds address= or group= to API query params for the current selection
+export function applyAddressSelection(params, selection) {
+  if (!selection || selection === 'all') return params;
+
+  if (isGroupSelection(selection)) {
+    params.set('group', selection.slice(GROUP_SELECTION_PREFIX.length));
+  } else {
+    params.set('address', selection);
+  }
+  return params;
+}
@@ -0,0 +1,324 @@
+// alerts.js - Alert rules evaluated after every sync cycle
+// Each rule has a type from ALERT_RULE_TYPES and JSON params. Evaluating a rule gives
+// { firing, value, message }, or null when there is not enough synced data to decide.
+// A rule that starts firing opens an entry in the alerts table; it is resolved once the
+// rule evaluates clean again. Transitions are published as 'alert' events for /api/events.
+//
+// Rule types:
+//   no_payment   - { address | group, blocks }        an address went `blocks` blocks without a payment
+//   revenue_drop - { address | group, percent, days } last 24h revenue is `percent` below the daily average of the `days` before
+//   sync_stalled - { minutes }                        no successful sync cycle, or no new block stored, for `minutes`
+// Without address/group, no_payment and revenue_drop cover every tracked address.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Alert engine can only run on server-side');
+}
+
+import { statements, dbUtils } from './db.js';
+import { ALERT_CONFIG, isValidFluxAddress, getAllTargetAddresses } from './config.js';
+import { publishEvent } from './events.js';
+import { getLeaderState, isSyncLeader } from './leaderLock.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const MAX_LISTED_ADDRESSES = 5;
+
+// Process start counts as the first healthy moment, so a sync that never succeeds still alerts
+let lastSuccessfulSync = Date.now();
+
+// NEW: A process that doesn't sync (read-only or standby web server) uses the syncing process's
+// published time - its own never moves. With nobody syncing, its own start time keeps the rule firing
+function getLastSuccessfulSync() {
+  if (isSyncLeader()) return lastSuccessfulSync;
+
+  const state = getLeaderState();
+  return state ? (state.lastSuccessfulSyncTime ?? state.schedulerStartedAt ?? lastSuccessfulSync) : lastSuccessfulSync;
+}
+
+function formatAddress(address) {
+  return `${address.slice(0, 8)}...${address.slice(-6)}`;
+}
+
+function parseScope(params, scope) {
+  if (params.address && params.group) {
+    return { error: 'Use either address or group, not both' };
+  }
+  if (params.address) {
+    if (!isValidFluxAddress(params.address)) return { error: `Invalid Flux address: ${params.address}` };
+    if (!getAllTargetAddresses().includes(params.address)) return { error: `Address is not tracked: ${params.address}` };
+    scope.address = params.address;
+  }
+  if (params.group) {
+    const group = dbUtils.getAddressGroup(params.group);
+    if (!group) return { error: `Unknown address group: ${params.group}` };
+    scope.group = group.id;
+  }
+  return { params: scope };
+}
+
+function parsePositive(value, fallback, name, { integer = false, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') return { value: fallback };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+    return { error: `${name} must be a positive ${integer ? 'whole ' : ''}number${max !== Infinity ? ` up to ${max}` : ''}` };
+  }
+  return { value: number };
+}
+
+// Addresses a rule covers - inactive or removed addresses are skipped, like the dashboard's "all" view
+function resolveScopeAddresses(params) {
+  const filter = dbUtils.resolveAddressFilter({ address: params.address || null, group: params.group || null });
+  if (filter.error) return [];
+  return filter.addresses;
+}
+
+function describeScope(params) {
+  if (params.address) return formatAddress(params.address);
+  if (params.group) {
+    const group = dbUtils.getAddressGroup(params.group);
+    return group ? `group "${group.name}"` : `group ${params.group}`;
+  }
+  return 'all tracked addresses';
+}
+
+export const ALERT_RULE_TYPES = {
+  no_payment: {
+    description: 'No payment to an address for N blocks',
+    defaultName: params => `No payment in ${params.blocks} blocks - ${describeScope(params)}`,
+    parseParams(params) {
+      const blocks = parsePositive(params.blocks, ALERT_CONFIG.DEFAULT_NO_PAYMENT_BLOCKS, 'blocks', { integer: true });
+      if (blocks.error) return blocks;
+      return parseScope(params, { blocks: blocks.value });
+    },
+    evaluate(params, context) {
+      if (context.highestHeight === null) return null;
+
+      const addresses = resolveScopeAddresses(params);
+      if (addresses.length === 0) return null;
+
+      const overdue = [];
+      let worst = 0;
+      let decided = 0;
+
+      for (const address of addresses) {
+        const last = statements.getLastPaymentToAddress.get(address);
+        // Without a payment in the synced range, the lowest synced block is the best lower bound
+        const since = context.highestHeight - (last ? last.block_height : context.lowestHeight);
+        if (!last && since < params.blocks) continue; // Not enough history yet
+
+        decided++;
+        worst = Math.max(worst, since);
+        if (since >= params.blocks) overdue.push({ address, since });
+      }
+
+      if (decided === 0) return null;
+
+      if (overdue.length === 0) {
+        return { firing: false, value: worst, message: `Every address in ${describeScope(params)} was paid within ${params.blocks} blocks` };
+      }
+
+      const listed = overdue
+        .sort((a, b) => b.since - a.since)
+        .slice(0, MAX_LISTED_ADDRESSES)
+        .map(({ address, since }) => `${formatAddress(address)} (${since} blocks)`);
+      const more = overdue.length > listed.length ? ` and ${overdue.length - listed.length} more` : '';
+
+      return {
+        firing: true,
+        value: worst,
+        message: `No payment for ${params.blocks}+ blocks: ${listed.join(', ')}${more}`
+      };
+    }
+  },
+
+  revenue_drop: {
+    description: 'Last 24h revenue dropped more than N% below the daily average',
+    defaultName: params => `Revenue drop over ${params.percent}% - ${describeScope(params)}`,
+    parseParams(params) {
+      const percent = parsePositive(params.percent, ALERT_CONFIG.DEFAULT_DROP_PERCENT, 'percent', { max: 100 });
+      if (percent.error) return percent;
+      const days = parsePositive(params.days, ALERT_CONFIG.DEFAULT_BASELINE_DAYS, 'days', { integer: true, max: 90 });
+      if (days.error) return days;
+      return parseScope(params, { percent: percent.value, days: days.value });
+    },
+    evaluate(params, context) {
+      const { earliest, latest } = context.blockTimeRange;
+      // Measured from the newest synced block, so a lagging sync doesn't read as a drop
+      if (!latest || earliest > latest - (params.days + 1) * SECONDS_PER_DAY) return null;
+
+      const addresses = resolveScopeAddresses(params);
+      if (addresses.length === 0) return null;
+
+      const dayStart = latest - SECONDS_PER_DAY;
+      const baselineStart = dayStart - params.days * SECONDS_PER_DAY;
+      let current = 0;
+      let baselineTotal = 0;
+
+      for (const address of addresses) {
+        current += statements.getAddressRevenueInTimeRange.get(address, dayStart, latest).total;
+        baselineTotal += statements.getAddressRevenueInTimeRange.get(address, baselineStart, dayStart).total;
+      }
+
+      const baseline = baselineTotal / params.days;
+      if (baseline <= 0) return null;
+
+      const change = ((current - baseline) / baseline) * 100;
+      const summary = `${current.toFixed(2)} FLUX in the last 24h vs. ${baseline.toFixed(2)} FLUX/day ${params.days}-day average for ${describeScope(params)}`;
+
+      return {
+        firing: change <= -params.percent,
+        value: Number(change.toFixed(2)),
+        message: `Revenue ${change >= 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}%: ${summary}`
+      };
+    }
+  },
+
+  sync_stalled: {
+    description: 'No successful sync or new block for N minutes',
+    defaultName: params => `Sync stalled for ${params.minutes} minutes`,
+    parseParams(params) {
+      const minutes = parsePositive(params.minutes, ALERT_CONFIG.DEFAULT_STALL_MINUTES, 'minutes');
+      if (minutes.error) return minutes;
+      return { params: { minutes: minutes.value } };
+    },
+    evaluate(params, context) {
+      const sinceSync = (context.now - Math.floor(context.lastSuccessfulSync / 1000)) / 60;
+      const sinceBlock = context.blockTimeRange.latest ? (context.now - context.blockTimeRange.latest) / 60 : null;
+      const stalled = Math.max(sinceSync, sinceBlock ?? 0);
+
+      if (sinceSync >= params.minutes) {
+        return { firing: true, value: Math.round(stalled), message: `No successful sync for ${Math.round(sinceSync)} minutes` };
+      }
+      if (sinceBlock !== null && sinceBlock >= params.minutes) {
+        return { firing: true, value: Math.round(stalled), message: `Newest stored block is ${Math.round(sinceBlock)} minutes old` };
+      }
+      return { firing: false, value: Math.round(stalled), message: 'Sync is keeping up with the chain' };
+    }
+  }
+};
+
+// Validates a POST/PATCH body for /api/alerts/rules. With an existing rule (PATCH) missing fields are kept.
+// Returns { rule } or { error }
+export function parseAlertRuleInput(body, existing = null) {
+  const type = existing ? existing.type : body.type;
+  const ruleType = ALERT_RULE_TYPES[type];
+
+  if (!ruleType) {
+    return { error: `type must be one of ${Object.keys(ALERT_RULE_TYPES).join(', ')}` };
+  }
+  if (existing && body.type !== undefined && body.type !== existing.type) {
+    return { error: 'The type of a rule cannot be changed - create a new rule instead' };
+  }
+
+  const rule = {};
+
+  if (body.params !== undefined || !existing) {
+    const params = body.params && typeof body.params === 'object' ? body.params : {};
+    const parsed = ruleType.parseParams(params);
+    if (parsed.error) return { error: parsed.error };
+    rule.params = parsed.params;
+  }
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    rule.name = name || ruleType.defaultName(rule.params || existing.params);
+  }
+
+  if (body.enabled !== undefined) {
+    rule.enabled = Boolean(body.enabled);
+  }
+
+  return { rule };
+}
+
+function buildContext() {
+  const blockTimeRange = statements.getBlockTimeRange.get() || {};
+  return {
+    now: Math.floor(Date.now() / 1000),
+    highestHeight: statements.getHighestBlock.get()?.height ?? null,
+    lowestHeight: statements.getLowestBlock.get()?.height ?? null,
+    blockTimeRange: { earliest: blockTimeRange.earliest ?? null, latest: blockTimeRange.latest ?? null },
+    lastSuccessfulSync: getLastSuccessfulSync()
+  };
+}
+
+function applyResult(rule, result) {
+  const openAlert = statements.getOpenAlertForRule.get(rule.id);
+
+  if (result === null) {
+    // Keep an open alert open - missing data is not a recovery
+    statements.updateAlertRuleState.run(openAlert ? 'firing' : 'unknown', null, 'Not enough synced data yet', rule.id);
+    return null;
+  }
+
+  statements.updateAlertRuleState.run(result.firing ? 'firing' : 'ok', result.value, result.message, rule.id);
+
+  if (result.firing && !openAlert) {
+    const alertId = statements.insertAlert.run(rule.id, result.message, result.value).lastInsertRowid;
+    console.warn(`🚨 Alert firing: ${rule.name} - ${result.message}`);
+    publishEvent('alert', { status: 'firing', alertId, ruleId: rule.id, ruleName: rule.name, type: rule.type, message: result.message, value: result.value });
+    return 'fired';
+  }
+
+  if (!result.firing && openAlert) {
+    statements.resolveAlert.run(result.message, openAlert.id);
+    console.log(`✅ Alert resolved: ${rule.name} - ${result.message}`);
+    publishEvent('alert', { status: 'resolved', alertId: openAlert.id, ruleId: rule.id, ruleName: rule.name, type: rule.type, message: result.message, value: result.value });
+    return 'resolved';
+  }
+
+  return null;
+}
+
+export function evaluateAlerts() {
+  if (!ALERT_CONFIG.ENABLE_ALERTS) return { evaluated: 0, fired: 0, resolved: 0 };
+
+  const context = buildContext();
+  const summary = { evaluated: 0, fired: 0, resolved: 0 };
+
+  for (const row of statements.getEnabledAlertRules.all()) {
+    const rule = { ...row, params: JSON.parse(row.params) };
+    const ruleType = ALERT_RULE_TYPES[rule.type];
+    if (!ruleType) continue;
+
+    try {
+      const transition = applyResult(rule, ruleType.evaluate(rule.params, context));
+      summary.evaluated++;
+      if (transition) summary[transition]++;
+    } catch (error) {
+      console.error(`❌ Error evaluating alert rule ${rule.id} (${rule.name}):`, error);
+    }
+  }
+
+  const cutoff = context.now - ALERT_CONFIG.HISTORY_RETENTION_DAYS * SECONDS_PER_DAY;
+  statements.deleteOldResolvedAlerts.run(cutoff);
+
+  return summary;
+}
+
+// Called by the scheduler after every performSync, including skipped cycles -
+// a sync that hangs still gets reported by sync_stalled
+export function runAlertsAfterSync(syncResult) {
+  if (syncResult?.success) lastSuccessfulSync = Date.now();
+
+  try {
+    const summary = evaluateAlerts();
+    if (summary.fired > 0 || summary.resolved > 0) {
+      console.log(`🚨 Alerts: ${summary.fired} fired, ${summary.resolved} resolved (${summary.evaluated} rules)`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Alert evaluation failed:', error);
+    return null;
+  }
+}
+
+export function getAlertStatus() {
+  const counts = statements.getAlertCounts.get();
+  return {
+    enabled: ALERT_CONFIG.ENABLE_ALERTS,
+    firing: counts.firing,
+    resolved: counts.resolved,
+    lastSuccessfulSync: getLastSuccessfulSync()
+  };
+}
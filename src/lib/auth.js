@@ -0,0 +1,197 @@
+// auth.js - API tokens, login sessions and the viewer/admin access policy
+// Clients authenticate with `Authorization: Bearer <token>`, or log in once with a token
+// (POST /api/auth/login) and use the session cookie. Tokens and session ids are random,
+// so they are stored as plain SHA-256 hashes - the database never holds a usable credential.
+// Policy: reads need 'viewer' (granted to everyone while AUTH_CONFIG.PUBLIC_READ is on),
+// anything that writes, syncs or collects needs 'admin'. hooks.server.js enforces it.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Authentication can only run on server-side');
+}
+
+import { createHash, randomBytes } from 'node:crypto';
+import { statements, dbUtils } from './db.js';
+import { AUTH_CONFIG } from './config.js';
+
+// Reachable without credentials
+const PUBLIC_PATHS = ['/api/health', '/api/ready', '/api/auth/login', '/api/auth/logout', '/api/auth/session', '/login'];
+
+// Admin-only for every method - webhook URLs often embed their own credentials
+const ADMIN_PATHS = ['/api/auth/tokens', '/api/webhooks'];
+
+// GET requests that trigger work rather than read it
+const ADMIN_GET_ACTIONS = {
+  '/api/network-stats-history': ['collect']
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const ANONYMOUS = { role: null, via: 'anonymous', tokenId: null, name: null };
+
+export function hashSecret(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function generateToken() {
+  return AUTH_CONFIG.TOKEN_PREFIX + randomBytes(24).toString('base64url');
+}
+
+function matchesPath(pathname, paths) {
+  return paths.some(path => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+export function hasRole(role, required) {
+  if (!required) return true;
+  return AUTH_CONFIG.ROLES.includes(role) && AUTH_CONFIG.ROLES.indexOf(role) >= AUTH_CONFIG.ROLES.indexOf(required);
+}
+
+// null for public paths, otherwise 'viewer' or 'admin'
+export function getRequiredRole(method, url) {
+  const { pathname } = url;
+
+  if (matchesPath(pathname, PUBLIC_PATHS)) return null;
+  if (matchesPath(pathname, ADMIN_PATHS)) return 'admin';
+  if (!READ_METHODS.includes(method)) return 'admin';
+
+  const action = url.searchParams.get('action');
+  if (action && ADMIN_GET_ACTIONS[pathname]?.includes(action)) return 'admin';
+
+  return 'viewer';
+}
+
+// Plain token is returned only here - it can't be recovered later
+export function createApiToken({ name, role, expiresAt = null }) {
+  const token = generateToken();
+  const record = dbUtils.createApiToken({
+    name,
+    tokenHash: hashSecret(token),
+    prefix: token.slice(0, AUTH_CONFIG.TOKEN_PREFIX.length + 4),
+    role,
+    expiresAt
+  });
+  return { ...record, token };
+}
+
+function toIdentity(record, via) {
+  // Throttled so every authenticated request doesn't write to the database
+  const now = Math.floor(Date.now() / 1000);
+  if (!record.last_used_at || now - record.last_used_at >= AUTH_CONFIG.TOKEN_TOUCH_INTERVAL) {
+    statements.touchApiToken.run(record.id);
+  }
+
+  return { role: record.role, via, tokenId: record.id, name: record.name };
+}
+
+export function verifyToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  return statements.getApiTokenByHash.get(hashSecret(token)) || null;
+}
+
+// Bearer token first, then the session cookie
+export function authenticate(event) {
+  const header = event.request.headers.get('authorization');
+  if (header) {
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const record = match ? verifyToken(match[1].trim()) : null;
+    // A wrong token is an error even when the request would be public
+    return record ? toIdentity(record, 'token') : { ...ANONYMOUS, invalid: true };
+  }
+
+  const sessionId = event.cookies.get(AUTH_CONFIG.SESSION_COOKIE);
+  if (sessionId) {
+    const record = statements.getAuthSession.get(hashSecret(sessionId));
+    if (record) return toIdentity(record, 'session');
+  }
+
+  return ANONYMOUS;
+}
+
+// Returns { identity } or { status, error } for hooks.server.js
+export function authorize(event) {
+  if (!AUTH_CONFIG.ENABLED) {
+    return { identity: { role: 'admin', via: 'disabled', tokenId: null, name: null } };
+  }
+
+  const identity = authenticate(event);
+  const required = getRequiredRole(event.request.method, event.url);
+
+  if (identity.invalid) {
+    return { status: 401, error: 'Invalid or expired API token' };
+  }
+
+  // Anonymous visitors read as viewers while public read is on
+  const effective = !identity.role && AUTH_CONFIG.PUBLIC_READ ? { ...identity, role: 'viewer' } : identity;
+
+  if (hasRole(effective.role, required)) {
+    return { identity: effective };
+  }
+
+  if (!identity.role) {
+    return { status: 401, error: 'Authentication required - send "Authorization: Bearer <token>" or log in' };
+  }
+
+  return { status: 403, error: `This requires the ${required} role (you are ${identity.role})` };
+}
+
+export function createSession(cookies, record, secure) {
+  const sessionId = randomBytes(32).toString('base64url');
+  const expiresAt = Math.floor(Date.now() / 1000) + AUTH_CONFIG.SESSION_TTL;
+
+  statements.deleteExpiredAuthSessions.run();
+  statements.insertAuthSession.run(hashSecret(sessionId), record.id, expiresAt);
+
+  cookies.set(AUTH_CONFIG.SESSION_COOKIE, sessionId, {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'strict',
+    secure,
+    maxAge: AUTH_CONFIG.SESSION_TTL
+  });
+
+  return expiresAt;
+}
+
+export function endSession(cookies) {
+  const sessionId = cookies.get(AUTH_CONFIG.SESSION_COOKIE);
+  if (sessionId) statements.deleteAuthSession.run(hashSecret(sessionId));
+  cookies.delete(AUTH_CONFIG.SESSION_COOKIE, { path: '/' });
+}
+
+// Called once at server start - makes sure someone can act as admin
+export function initAuth() {
+  if (!AUTH_CONFIG.ENABLED) {
+    console.warn('⚠️ Authentication disabled (FLUX_AUTH=false) - anyone who can reach the tracker can trigger syncs and change settings');
+    return;
+  }
+
+  try {
+    statements.deleteExpiredAuthSessions.run();
+
+    const envToken = process.env.FLUX_ADMIN_TOKEN?.trim();
+    if (envToken) {
+      if (envToken.length < 16) {
+        console.warn('⚠️ Ignoring FLUX_ADMIN_TOKEN - use at least 16 characters');
+      } else if (!verifyToken(envToken)) {
+        dbUtils.createApiToken({
+          name: 'FLUX_ADMIN_TOKEN',
+          tokenHash: hashSecret(envToken),
+          prefix: envToken.slice(0, AUTH_CONFIG.TOKEN_PREFIX.length + 4),
+          role: 'admin'
+        });
+        console.log('🔐 Registered admin token from FLUX_ADMIN_TOKEN');
+      }
+    }
+
+    if (statements.countAdminTokens.get().count === 0) {
+      const { token } = createApiToken({ name: 'bootstrap', role: 'admin' });
+      console.log('🔐 No admin token found - created one. It is shown only this once:');
+      console.log(`🔐   ${token}`);
+      console.log('🔐 Log in at /login or send "Authorization: Bearer <token>". Create more with POST /api/auth/tokens.');
+    }
+
+    console.log(`🔐 Authentication enabled (public read: ${AUTH_CONFIG.PUBLIC_READ ? 'on' : 'off'})`);
+  } catch (error) {
+    console.error('❌ Failed to initialise authentication:', error);
+  }
+}
@@ -0,0 +1,217 @@
+// blockAnalysis.js - Block parsing and payment analysis
+// No imports on purpose: the same code runs in the block worker threads (blockWorker.js) and on the
+// main thread, and must not pull in the database, config logging or network state.
+
+// REST responses are wrapped as { status: 'success', data }
+export function unwrapRestBody(body) {
+  if (body.status && body.status !== 'success') {
+    throw new Error(`Flux API error: ${body.data?.message || body.message || body.status}`);
+  }
+  return body.data !== undefined ? body.data : body;
+}
+
+// JSON-RPC responses are { result, error, id }
+export function unwrapRpcBody(method, body) {
+  if (body.error) {
+    throw new Error(`RPC ${method}: ${body.error.message || JSON.stringify(body.error)} (code ${body.error.code})`);
+  }
+  return body.result;
+}
+
+// Raw getblock response text from either data source → block data
+export function parseBlockResponse(sourceType, text, status = 200) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new Error(sourceType === 'rpc'
+      ? `RPC getblock: HTTP ${status} with no JSON body`
+      : `Invalid JSON in block response: ${error.message}`);
+  }
+
+  return sourceType === 'rpc' ? unwrapRpcBody('getblock', body) : unwrapRestBody(body);
+}
+
+/**
+ * Enhanced function to analyze block data and extract complete transaction information
+ */
+export function analyzeBlockForAddresses(blockData, addresses) {
+  if (!blockData?.tx || addresses.length === 0) {
+    return { transactions: [], count: 0, value: 0, addressBreakdown: {} };
+  }
+
+  const transactions = [];
+  const addressBreakdown = {};
+
+  addresses.forEach(addr => {
+    addressBreakdown[addr] = { count: 0, value: 0, transactions: [] };
+  });
+
+  const addressSet = new Set(addresses);
+
+  for (const tx of blockData.tx) {
+    if (tx.vin && tx.vin.length > 0 && tx.vin[0].coinbase) {
+      continue;
+    }
+
+    const foundPayments = [];
+
+    for (let i = 0; i < (tx.vout || []).length; i++) {
+      const output = tx.vout[i];
+      const outputAddresses = output.scriptPubKey?.addresses || [];
+
+      for (const outputAddr of outputAddresses) {
+        if (addressSet.has(outputAddr)) {
+          foundPayments.push({
+            targetAddress: outputAddr,
+            voutIndex: i,
+            value: output.value || 0
+          });
+        }
+      }
+    }
+
+    if (foundPayments.length > 0) {
+      const fromAddress = getFromAddress(tx);
+
+      for (const payment of foundPayments) {
+        const transaction = {
+          id: tx.txid,
+          from: fromAddress,
+          to: payment.targetAddress,
+          amount: payment.value,
+          date: blockData.time ? new Date(blockData.time * 1000).toISOString() : null,
+          blockHeight: blockData.height,
+          blockHash: blockData.hash,
+          confirmations: blockData.confirmations || 0,
+          voutIndex: payment.voutIndex,
+          vinCount: tx.vin ? tx.vin.length : 0,
+          voutCount: tx.vout ? tx.vout.length : 0,
+          version: tx.version,
+          locktime: tx.locktime
+        };
+
+        transactions.push(transaction);
+        addressBreakdown[payment.targetAddress].count++;
+        addressBreakdown[payment.targetAddress].value += payment.value;
+        addressBreakdown[payment.targetAddress].transactions.push(transaction);
+      }
+    }
+  }
+
+  return {
+    transactions,
+    count: transactions.length,
+    value: transactions.reduce((sum, tx) => sum + tx.amount, 0),
+    addressBreakdown
+  };
+}
+
+// The sender of a payment: the first input's address when the block has it, otherwise the
+// outpoint it spends as 'prev:<txid>:<vout>', which batchResolveFromAddresses looks up
+function getFromAddress(tx) {
+  const firstInput = tx.vin?.[0];
+  if (!firstInput) return 'Unknown';
+
+  if (firstInput.address) return firstInput.address;
+  if (firstInput.scriptSig && firstInput.scriptSig.address) return firstInput.scriptSig.address;
+  if (firstInput.txid && firstInput.vout !== undefined) return `prev:${firstInput.txid}:${firstInput.vout}`;
+  return 'Unknown';
+}
+
+/**
+ * Batch analyze multiple blocks for transactions to target addresses
+ */
+export function analyzeBlocksBatch(blockResults, addresses) {
+  if (!blockResults || blockResults.length === 0 || addresses.length === 0) {
+    return {
+      transactions: [],
+      count: 0,
+      value: 0,
+      addressBreakdown: {},
+      blocksAnalyzed: 0,
+      blocksWithTransactions: 0
+    };
+  }
+
+  const allTransactions = [];
+  const addressBreakdown = {};
+  let blocksAnalyzed = 0;
+  let blocksWithTransactions = 0;
+
+  // Initialize address breakdown
+  addresses.forEach(addr => {
+    addressBreakdown[addr] = { count: 0, value: 0, transactions: [] };
+  });
+
+  // Process each block result
+  for (const blockResult of blockResults) {
+    if (!blockResult.data) continue;
+
+    blocksAnalyzed++;
+    const analysis = analyzeBlockForAddresses(blockResult.data, addresses);
+
+    if (analysis.transactions.length > 0) {
+      blocksWithTransactions++;
+      allTransactions.push(...analysis.transactions);
+
+      // Merge address breakdown
+      for (const [address, breakdown] of Object.entries(analysis.addressBreakdown)) {
+        if (addressBreakdown[address]) {
+          addressBreakdown[address].count += breakdown.count;
+          addressBreakdown[address].value += breakdown.value;
+          addressBreakdown[address].transactions.push(...breakdown.transactions);
+        }
+      }
+    }
+  }
+
+  return {
+    transactions: allTransactions,
+    count: allTransactions.length,
+    value: allTransactions.reduce((sum, tx) => sum + tx.amount, 0),
+    addressBreakdown,
+    blocksAnalyzed,
+    blocksWithTransactions
+  };
+}
+
+// Raw fetch results ({ height, text, status } or already parsed { height, data }) → what the DB writer needs:
+// blocks reduced to the stored fields, the payments found and how many of them still need a from-address lookup.
+// Full block data never leaves the worker.
+export function prepareBlocks(rawResults, sourceType, addresses) {
+  const blockResults = [];
+  const transactions = [];
+
+  for (const raw of rawResults) {
+    if (!raw.data && raw.text === undefined) {
+      blockResults.push({ height: raw.height, data: null, error: raw.error || 'No block data returned' });
+      continue;
+    }
+
+    let data;
+    try {
+      data = raw.data || parseBlockResponse(sourceType, raw.text, raw.status);
+    } catch (error) {
+      blockResults.push({ height: raw.height, data: null, error: error.message });
+      continue;
+    }
+
+    if (!data) {
+      blockResults.push({ height: raw.height, data: null, error: 'No block data returned' });
+      continue;
+    }
+
+    transactions.push(...analyzeBlockForAddresses(data, addresses).transactions);
+    blockResults.push({
+      height: raw.height,
+      data: { hash: data.hash, time: data.time, previousblockhash: data.previousblockhash }
+    });
+  }
+
+  return {
+    blockResults,
+    transactions,
+    fromLookups: transactions.filter(tx => tx.from.startsWith('prev:')).length
+  };
+}
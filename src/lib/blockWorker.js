@@ -0,0 +1,13 @@
+// blockWorker.js - worker_threads entry for block parsing and analysis (started by blockWorkerPool.js)
+// Only imports blockAnalysis.js, which has no imports of its own - a worker never opens the database.
+
+import { parentPort } from 'worker_threads';
+import { prepareBlocks } from './blockAnalysis.js';
+
+parentPort.on('message', ({ id, rawResults, sourceType, addresses }) => {
+  try {
+    parentPort.postMessage({ id, result: prepareBlocks(rawResults, sourceType, addresses) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,207 @@
+// blockWorkerPool.js - worker_threads pool for the analyze stage of the sync pipeline
+// Block JSON parsing and payment analysis (prepareBlocks in blockAnalysis.js) are CPU work that used
+// to block the request thread during big syncs. A batch is split over PIPELINE_CONFIG.WORKER_THREADS
+// workers; each worker handles one chunk at a time and only sends back the stored block fields and
+// the payments found. A crashed or stuck worker is replaced and its chunk's blocks count as failed
+// (so they go to the failed block queue). With 0 threads, or when workers cannot start, batches are
+// analyzed on the main thread as before.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Block worker pool can only run on server-side');
+}
+
+import { Worker } from 'worker_threads';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { PIPELINE_CONFIG } from './config.js';
+import { prepareBlocks } from './blockAnalysis.js';
+
+const slots = [];
+const pendingTasks = [];
+let nextTaskId = 0;
+let workerScript;          // undefined until looked up, null when not found
+let disabledReason = null;
+
+const stats = {
+  tasks: 0,
+  failedTasks: 0,
+  restarts: 0,
+  mainThreadBatches: 0
+};
+
+// Vite does not bundle worker_threads entries into the server build, so the worker runs from the
+// source tree: next to this module in dev, src/lib under the app directory in the built app
+function findWorkerScript() {
+  const candidates = [
+    fileURLToPath(new URL('./blockWorker.js', import.meta.url)),
+    resolve('src/lib/blockWorker.js')
+  ];
+  return candidates.find(file => existsSync(file)) || null;
+}
+
+function poolSize() {
+  if (disabledReason || PIPELINE_CONFIG.WORKER_THREADS <= 0) return 0;
+
+  if (workerScript === undefined) {
+    workerScript = findWorkerScript();
+    if (!workerScript) {
+      disable('blockWorker.js not found');
+      return 0;
+    }
+  }
+  return PIPELINE_CONFIG.WORKER_THREADS;
+}
+
+function disable(reason) {
+  disabledReason = reason;
+  console.warn(`⚠️ Block worker threads unavailable (${reason}) - analyzing blocks on the main thread`);
+}
+
+function startWorker() {
+  const slot = { worker: new Worker(workerScript), online: false, stopped: false, task: null, timer: null };
+
+  slot.worker.on('online', () => { slot.online = true; });
+
+  slot.worker.on('message', ({ id, result, error }) => {
+    const task = slot.task;
+    if (!task || task.id !== id) return;
+
+    finishTask(slot);
+    if (error) {
+      stats.failedTasks++;
+      task.reject(new Error(error));
+    } else {
+      task.resolve(result);
+    }
+    dispatch();
+  });
+
+  slot.worker.on('error', error => stopWorker(slot, error));
+  slot.worker.on('exit', code => stopWorker(slot, new Error(`Block worker exited with code ${code}`)));
+
+  // Idle workers must not keep the process alive
+  slot.worker.unref();
+  slots.push(slot);
+  return slot;
+}
+
+function finishTask(slot) {
+  clearTimeout(slot.timer);
+  slot.timer = null;
+  slot.task = null;
+}
+
+function stopWorker(slot, error) {
+  if (slot.stopped) return;
+  slot.stopped = true;
+  slots.splice(slots.indexOf(slot), 1);
+
+  const task = slot.task;
+  finishTask(slot);
+  slot.worker.terminate().catch(() => {});
+
+  if (task) {
+    stats.failedTasks++;
+    task.reject(error);
+  }
+
+  // A worker that never came online will not start next time either
+  if (!slot.online) {
+    disable(error.message);
+    pendingTasks.splice(0).forEach(pending => pending.reject(error));
+    return;
+  }
+
+  stats.restarts++;
+  console.error(`❌ Block worker stopped (${error.message}) - starting a new one`);
+  dispatch();
+}
+
+function dispatch() {
+  while (pendingTasks.length > 0) {
+    let slot = slots.find(candidate => !candidate.task);
+    if (!slot && slots.length < poolSize()) slot = startWorker();
+    if (!slot) return;
+
+    const task = pendingTasks.shift();
+    slot.task = task;
+    slot.timer = setTimeout(() => {
+      stopWorker(slot, new Error(`Block worker timed out after ${PIPELINE_CONFIG.WORKER_TASK_TIMEOUT / 1000}s`));
+    }, PIPELINE_CONFIG.WORKER_TASK_TIMEOUT);
+    slot.worker.postMessage({ id: task.id, ...task.message });
+  }
+}
+
+function runTask(message) {
+  return new Promise((resolve, reject) => {
+    stats.tasks++;
+    pendingTasks.push({ id: ++nextTaskId, message, resolve, reject });
+    dispatch();
+  });
+}
+
+function mergeResults(results) {
+  return {
+    blockResults: results.flatMap(result => result.blockResults),
+    transactions: results.flatMap(result => result.transactions),
+    fromLookups: results.reduce((sum, result) => sum + result.fromLookups, 0)
+  };
+}
+
+// Raw fetch results (getRawBlockBatch) → { blockResults, transactions, fromLookups }, in block order.
+// Never throws for worker problems - blocks that could not be analyzed come back without data
+export async function analyzeRawBlocks(rawResults, sourceType, addresses) {
+  const size = poolSize();
+  if (size === 0 || rawResults.length === 0) {
+    stats.mainThreadBatches++;
+    return prepareBlocks(rawResults, sourceType, addresses);
+  }
+
+  const chunkSize = Math.ceil(rawResults.length / size);
+  const chunks = [];
+  for (let i = 0; i < rawResults.length; i += chunkSize) {
+    chunks.push(rawResults.slice(i, i + chunkSize));
+  }
+
+  const results = await Promise.all(chunks.map(chunk =>
+    runTask({ rawResults: chunk, sourceType, addresses }).catch(error => {
+      if (disabledReason) {
+        stats.mainThreadBatches++;
+        return prepareBlocks(chunk, sourceType, addresses);
+      }
+      return {
+        blockResults: chunk.map(raw => ({ height: raw.height, data: null, error: `Analysis failed: ${error.message}` })),
+        transactions: [],
+        fromLookups: 0
+      };
+    })
+  ));
+
+  return mergeResults(results);
+}
+
+export function getBlockWorkerStats() {
+  return {
+    mode: poolSize() > 0 ? 'worker_threads' : 'main_thread',
+    threads: PIPELINE_CONFIG.WORKER_THREADS,
+    running: slots.length,
+    busy: slots.filter(slot => slot.task).length,
+    queuedTasks: pendingTasks.length,
+    disabledReason,
+    ...stats
+  };
+}
+
+export async function stopBlockWorkers() {
+  const running = slots.splice(0);
+  const error = new Error('Block workers stopped');
+  running.forEach(slot => {
+    slot.stopped = true;
+    slot.task?.reject(error);
+    finishTask(slot);
+  });
+  pendingTasks.splice(0).forEach(task => task.reject(error));
+  await Promise.all(running.map(slot => slot.worker.terminate().catch(() => {})));
+}
@@ -20,7 +20,7 @@ export const SYNC_CONFIG = {
   
   // NEW: Safe speed optimizations
   ENABLE_EMPTY_BLOCK_SKIP: true,     // 🚀 Skip blocks with no relevant transactions
-  ENABLE_SMART_BATCHING: true,       // 🚀 Adaptive batch sizes based on data density
+  ENABLE_SMART_BATCHING: true,       // 🚀 Batch size shrinks and grows with API health (ADAPTIVE_CONFIG)
   ENABLE_MEMORY_ACCUMULATION: true,  // 🚀 Accumulate transactions in memory before DB write
   MEMORY_FLUSH_THRESHOLD: 10000,     // 🚀 Write to DB every 10k transactions (safe size)
   
@@ -30,8 +30,18 @@ export const SYNC_CONFIG = {
   HISTORICAL_BATCH_SIZE: 200,        // Larger batches for historical data (throughput)
   
   // Safety settings
-  MAX_MEMORY_USAGE_MB: 512,          // 🛡️ Limit memory usage to 512MB
-  ENABLE_GRACEFUL_DEGRADATION: true, // 🛡️ Reduce speed if errors occur
+  MAX_MEMORY_USAGE_MB: 512,          // 🛡️ Sync pipeline stops fetching above 512MB resident memory
+  ENABLE_GRACEFUL_DEGRADATION: true, // 🛡️ Reduce concurrency and batch size on errors and slow responses
+
+  // Chain reorganization handling
+  ENABLE_REORG_DETECTION: true,      // 🛡️ Verify stored block hashes against the chain every cycle
+  REORG_CHECK_DEPTH: 100,            // 🛡️ Confirmation window: blocks below the tip that are re-verified
+
+  // NEW: Failed block retry queue (failed_blocks table, /api/sync/failures)
+  FAILED_BLOCK_MAX_ATTEMPTS: 10,     // 🛡️ Then the block waits for a manual retry
+  FAILED_BLOCK_RETRY_BASE_DELAY: 60 * 1000, // Doubles per attempt: 1m, 2m, 4m, 8m ...
+  FAILED_BLOCK_RETRY_MAX_DELAY: 6 * 60 * 60 * 1000,
+  FAILED_BLOCK_RETRIES_PER_CYCLE: 500, // Due blocks retried at the start of each sync cycle
 };
 
 // API configuration - OPTIMIZED FOR SPEED + RELIABILITY
@@ -58,8 +68,66 @@ export const API_CONFIG = {
   PREFETCH_AHEAD: 2,                 // 🚀 Prefetch next 2 batches (not too aggressive)
   
   // Safety features
-  RATE_LIMIT_BACKOFF: true,          // 🛡️ Back off if rate limited
-  ERROR_THRESHOLD: 10,               // 🛡️ Reduce speed after 10 consecutive errors
+  RATE_LIMIT_BACKOFF: true,          // 🛡️ Honour Retry-After on 429/503 responses
+  ERROR_THRESHOLD: 10,               // 🛡️ Drop to minimum concurrency after 10 consecutive errors
+};
+
+// NEW: Flux API endpoints serving the same REST paths (see endpointPool.js)
+// Requests to API_CONFIG.BASE_URL are spread over these and fail over between them,
+// e.g. FLUX_API_ENDPOINTS=https://api.runonflux.io,http://<fluxnode-ip>:16127
+export const ENDPOINT_CONFIG = {
+  ENDPOINTS: [API_CONFIG.BASE_URL],
+  MAX_FAILOVER_ATTEMPTS: 3,                 // Endpoints tried per request
+  FAILURE_THRESHOLD: 5,                     // 🛡️ Consecutive failures that open an endpoint's circuit
+  OPEN_DURATION: 30 * 1000,                 // No traffic while open, then one trial request
+  MAX_OPEN_DURATION: 5 * 60 * 1000,         // Open time doubles per failed trial up to this
+  ASSUMED_LATENCY: 500,                     // Latency score for endpoints without successful requests yet
+};
+
+// NEW: AIMD control of API concurrency and sync batch size (see adaptiveConcurrency.js)
+// Limits grow by a step after a full window of clean responses and are halved on 429, 5xx,
+// timeouts or slow responses. API_CONFIG.MAX_CONCURRENT and SYNC_CONFIG.BATCH_SIZE are the ceilings.
+export const ADAPTIVE_CONFIG = {
+  ENABLED: true,
+  MIN_CONCURRENCY: 2,
+  MIN_BATCH_SIZE: 10,
+  CONCURRENCY_STEP: 1,                      // Added per window of successes (window = current limit)
+  BATCH_SIZE_STEP: 5,
+  DECREASE_FACTOR: 0.5,
+  DECREASE_COOLDOWN: 2000,                  // 🛡️ A burst of failures from one window only halves once
+  LATENCY_THRESHOLD: 5000,                  // Average response time (ms) treated as congestion
+  MAX_RETRY_AFTER: 5 * 60 * 1000,           // 🛡️ Longest Retry-After honoured
+};
+
+// NEW: Where blocks are read from (see dataSource.js)
+// 'rest' = API_CONFIG.BASE_URL, 'rpc' = your own fluxd (FLUX_RPC_USER / FLUX_RPC_PASSWORD from flux.conf)
+export const DATA_SOURCE_CONFIG = {
+  TYPE: 'rest',
+  RPC_URL: 'http://127.0.0.1:16124',       // fluxd mainnet rpcport
+};
+
+// NEW: Sync pipeline (see syncPipeline.js and blockWorkerPool.js)
+// Fetch → analyze (worker threads) → one DB writer, with bounded queues between the stages.
+// Fetching pauses while a queue is full or the process uses more than SYNC_CONFIG.MAX_MEMORY_USAGE_MB.
+export const PIPELINE_CONFIG = {
+  WORKER_THREADS: 2,                        // Block parsing/analysis threads - 0 analyzes on the main thread
+  QUEUE_SIZE: 2,                            // 🛡️ Batches waiting between two stages
+  MEMORY_CHECK_INTERVAL: 250,               // How often a paused fetch re-checks memory (ms)
+  WORKER_TASK_TIMEOUT: 60 * 1000,           // 🛡️ A worker stuck on one batch longer than this is replaced
+};
+
+// NEW: Which process syncs (see leaderLock.js and scripts/syncd.js)
+// Syncing and collectors only run in the process holding the leader lock in the database, so web
+// replicas and `node scripts/syncd.js` can share one database without syncing in parallel.
+export const PROCESS_CONFIG = {
+  WEB_READ_ONLY: false,                     // 🛡️ true: the web server never syncs, only serves the database (run scripts/syncd.js)
+  LEADER_LOCK_TTL: 60 * 1000,               // 🛡️ A holder that stops renewing loses the lock after this
+  LEADER_LOCK_RENEW_INTERVAL: 15 * 1000,    // Renewal - also how often a standby process tries to take over
+  REQUEST_POLL_INTERVAL: 2000,              // How often the lock holder checks for queued rescans/backfills (syncRequests.js)
+  REQUEST_RETENTION_DAYS: 30,               // Finished requests are kept this long for job status
+  EVENT_RELAY_INTERVAL: 1000,               // How often a process picks up the other processes' live events (eventRelay.js)
+  EVENT_RELAY_RETENTION: 10 * 60 * 1000,    // Relayed events are kept this long
+  SHUTDOWN_TIMEOUT: 30 * 1000,              // 🛡️ syncd waits this long for the running sync cycle before it exits
 };
 
 // Database configuration - SPEED OPTIMIZED WITH SAFETY
@@ -84,6 +152,10 @@ export const DB_CONFIG = {
   MEMORY_BUFFER_SIZE: 25000,         // 🚀 25k transactions before flush (reasonable)
   AUTO_VACUUM: 'INCREMENTAL',        // 🚀 Incremental vacuum for large DBs
   
+  // NEW: Streaming exports (/api/export) - each export reads through its own read-only connection
+  EXPORT_ROWS_PER_CHUNK: 1000,       // Rows serialized per stream chunk
+  MAX_CONCURRENT_EXPORTS: 4,         // 🛡️ Limit parallel long-running exports
+  
   // Safety settings
   BACKUP_BEFORE_OPTIMIZATION: true,  // 🛡️ Backup DB before speed optimizations
   MAX_DB_SIZE_GB: 55,                 // 🛡️ Limit DB size to 55GB
@@ -103,6 +175,17 @@ export const PRICE_CONFIG = {
   ],
   ENABLE_PRICE_CACHE: true,
   PRICE_CACHE_DURATION: 60 * 1000,       // 🚀 REDUCED TO 1 MINUTE (was 2 min)
+
+  // NEW: Server-side price history for fiat valuation at time of receipt
+  ENABLE_PRICE_HISTORY: true,
+  FIAT_CURRENCIES: ['USD', 'EUR', 'GBP'],          // 🔄 UPDATED: Rates stored per currency; the first is the API default
+  PRICE_PROVIDERS: ['coingecko', 'explorer'],     // Tried in order (see price.js)
+  COINGECKO_API_URL: 'https://api.coingecko.com/api/v3',
+  COINGECKO_COIN_ID: 'zelcash',                    // FLUX is listed under its old ZelCash id
+  PRICE_COLLECTION_INTERVAL: 60 * 60 * 1000,       // Store the current price hourly
+  PRICE_HISTORY_BACKFILL_DAYS: 365,                // 🛡️ Public CoinGecko API only serves the last year
+  PRICE_MAX_AGE_SECONDS: 36 * 60 * 60,             // 🛡️ Nearest stored price must be within 36h of the payment
+  VALUATION_BATCH_SIZE: 2000,                      // Payments valued per pass
 };
 
 // Revenue blocks configuration - SPEED OPTIMIZED
@@ -125,6 +208,9 @@ export const REVENUE_CONFIG = {
   ENABLE_BLOCK_RANGE_CACHE: true,        // 🚀 Cache block range queries
   BLOCK_RANGE_CACHE_SIZE: 2000,           // 🚀 Cache 2000 block ranges (reasonable)
   PARALLEL_REVENUE_CALC: true,           // 🚀 Calculate all periods in parallel
+
+  // NEW: Confirmation depth - payments shallower than this are reported as pending
+  CONFIRMATIONS_REQUIRED: 10,            // 🛡️ Blocks (including its own) before a payment counts as confirmed
 };
 
 // Network stats collection configuration - OPTIMIZED
@@ -183,6 +269,87 @@ export const UI_CONFIG = {
   ENABLE_PERFORMANCE_MONITORING: true,       // 🛡️ Monitor UI performance
 };
 
+// NEW: Webhook notifications for incoming payments (see webhooks.js)
+export const WEBHOOK_CONFIG = {
+  ENABLE_WEBHOOKS: true,
+  DELIVERY_INTERVAL: 15 * 1000,             // Check for due deliveries every 15 seconds
+  DELIVERY_BATCH_SIZE: 20,                  // Deliveries sent per pass
+  REQUEST_TIMEOUT: 10 * 1000,
+  MAX_ATTEMPTS: 6,                          // 🛡️ Then the delivery is marked failed
+  RETRY_BASE_DELAY: 30 * 1000,              // Doubles per attempt: 30s, 1m, 2m, 4m, 8m
+  RETRY_MAX_DELAY: 60 * 60 * 1000,
+  MAX_PAYMENT_AGE_SECONDS: 6 * 60 * 60,     // 🛡️ Historical sync and rescans don't notify for old payments
+  DELIVERY_RETENTION_DAYS: 30,              // Delivered/failed log entries kept this long
+  SIGNATURE_HEADER: 'X-Flux-Signature',
+};
+
+// NEW: Thresholds for /api/health and /api/ready (see health.js)
+export const HEALTH_CONFIG = {
+  STARTUP_GRACE_PERIOD: 10 * 60 * 1000,     // "No successful sync yet" is only a warning this long after start
+  SYNC_WARN_AGE: 5 * 60 * 1000,             // Last successful sync older than this: warn
+  SYNC_FAIL_AGE: 30 * 60 * 1000,            // ...older than this: not ready
+  READY_REQUIRES_SYNC: true,                // 🛡️ Set false to keep serving (stale) data while sync is failing
+  UPSTREAM_TIMEOUT: 5000,
+  UPSTREAM_CHECK_INTERVAL: 60 * 1000,       // 🛡️ Probes hit the Flux API at most once a minute
+  NETWORK_STATS_MAX_AGE: 2 * 8 * 60 * 60 * 1000, // Two missed snapshot collections
+};
+
+// NEW: API tokens, login sessions and roles (see auth.js, enforced in hooks.server.js)
+export const AUTH_CONFIG = {
+  ENABLED: true,                            // 🛡️ FLUX_AUTH=false turns every check off (trusted networks only)
+  PUBLIC_READ: true,                        // Anonymous visitors get viewer access - FLUX_PUBLIC_READ=false requires a token
+  ROLES: ['viewer', 'admin'],               // Ordered: each role includes the ones before it
+  SESSION_COOKIE: 'flux_session',
+  SESSION_TTL: 7 * 24 * 60 * 60,            // Seconds a login lasts
+  TOKEN_PREFIX: 'flux_',
+  TOKEN_TOUCH_INTERVAL: 60,                 // Seconds between last_used_at updates for a token
+};
+
+// NEW: Token-bucket rate limits per client (see rateLimit.js, enforced in hooks.server.js)
+// Each client gets a bucket per rule: `capacity` requests at once, refilled at `perMinute`.
+// Clients are keyed by API token / session when authenticated, otherwise by IP.
+export const RATE_LIMIT_CONFIG = {
+  ENABLED: true,
+  TOKEN_MULTIPLIER: 4,                      // Authenticated clients get 4x the budget of an anonymous IP
+  EXEMPT_PATHS: ['/api/health', '/api/ready'],
+  MAX_BUCKETS: 20000,                       // 🛡️ Oldest buckets are dropped beyond this
+  CLEANUP_INTERVAL: 5 * 60 * 1000,
+  DEFAULT: { name: 'default', capacity: 120, perMinute: 120 },
+  // First match wins - `methods` limits a rule to those methods
+  ROUTES: [
+    { name: 'login', paths: ['/api/auth/login'], capacity: 5, perMinute: 5 },                 // 🛡️ Token guessing
+    { name: 'sync', paths: ['/api/sync', '/api/backfill', '/api/rescan'], methods: ['POST', 'DELETE'], capacity: 3, perMinute: 2 },
+    { name: 'upstream', paths: ['/api/sync-status', '/api/stats', '/api/prices', '/api/network-stats-history'], capacity: 30, perMinute: 20 }, // Hit the Flux APIs
+    { name: 'export', paths: ['/api/export', '/api/reports'], capacity: 5, perMinute: 5 },
+  ],
+};
+
+// NEW: Expected-vs-actual payout analysis (see payouts.js)
+// Every block pays one node of each tier, so a node is paid about once per <tier node count> blocks
+export const PAYOUT_CONFIG = {
+  NODE_TIERS: ['cumulus', 'nimbus', 'stratus'],
+  TIER_REWARDS: {                           // FLUX per block paid to the node of each tier
+    cumulus: 2.8125,
+    nimbus: 4.6875,
+    stratus: 11.25,
+  },
+  DEFAULT_PERIOD: 'week',                   // Analysed range (a REVENUE_CONFIG.BLOCK_PERIODS key)
+  DEFAULT_WINDOW: 'day',                    // Expected vs. actual is compared per window of this size
+  MAX_WINDOWS: 400,                         // 🛡️ Keeps long periods with small windows bounded
+  GAP_FACTOR: 3,                            // 🛡️ A gap is suspicious at 3x the expected payout interval
+  VARIANCE_WARNING_PERCENT: 25,             // Addresses further below expectation than this are flagged
+};
+
+// NEW: Alert rules evaluated after every sync cycle (see alerts.js)
+export const ALERT_CONFIG = {
+  ENABLE_ALERTS: true,
+  DEFAULT_NO_PAYMENT_BLOCKS: 720 * 2,       // no_payment: ~2 days without a payment
+  DEFAULT_DROP_PERCENT: 30,                 // revenue_drop: last 24h vs. the daily average before it
+  DEFAULT_BASELINE_DAYS: 7,
+  DEFAULT_STALL_MINUTES: 30,                // sync_stalled: no successful sync / no new block for this long
+  HISTORY_RETENTION_DAYS: 90,               // Resolved alerts kept this long
+};
+
 // Performance monitoring - BALANCED
 export const PERFORMANCE_CONFIG = {
   ENABLE_METRICS: true,
@@ -240,12 +407,27 @@ export function isValidFluxAddress(address) {
          (address.startsWith('t3') || address.startsWith('t1'));
 }
 
+// NEW: Server-side address source (db.js registers the tracked_addresses table here).
+// TARGET_ADDRESSES / FLUX_ADDRESSES only seed that table; in the browser they are used directly.
+let targetAddressProvider = null;
+
+export function setTargetAddressProvider(provider) {
+  targetAddressProvider = typeof provider === 'function' ? provider : null;
+}
+
 export function getAllTargetAddresses() {
+  if (targetAddressProvider) {
+    try {
+      return targetAddressProvider().filter(isValidFluxAddress);
+    } catch (error) {
+      console.warn('⚠️ Error reading tracked addresses, falling back to config:', error.message);
+    }
+  }
   return TARGET_ADDRESSES.filter(isValidFluxAddress);
 }
 
 export function getMainAddress() {
-  return TARGET_ADDRESSES[0];
+  return getAllTargetAddresses()[0] || TARGET_ADDRESSES[0];
 }
 
 // NEW: Optimization level management
@@ -281,7 +463,11 @@ export function getPriceApiConfig() {
     timeout: PRICE_CONFIG.PRICE_TIMEOUT,
     fallbackApis: PRICE_CONFIG.FALLBACK_PRICE_APIS,
     enableCache: PRICE_CONFIG.ENABLE_PRICE_CACHE,
-    cacheDuration: PRICE_CONFIG.PRICE_CACHE_DURATION
+    cacheDuration: PRICE_CONFIG.PRICE_CACHE_DURATION,
+    providers: PRICE_CONFIG.PRICE_PROVIDERS,
+    collectionInterval: PRICE_CONFIG.PRICE_COLLECTION_INTERVAL,
+    maxAgeSeconds: PRICE_CONFIG.PRICE_MAX_AGE_SECONDS,
+    fiatCurrencies: PRICE_CONFIG.FIAT_CURRENCIES
   };
 }
 
@@ -291,7 +477,8 @@ export function getRevenueConfig() {
     updateInterval: REVENUE_CONFIG.REVENUE_UPDATE_INTERVAL,
     blockPeriods: REVENUE_CONFIG.BLOCK_PERIODS,
     enableCache: REVENUE_CONFIG.ENABLE_REVENUE_CACHE,
-    cacheDuration: REVENUE_CONFIG.REVENUE_CACHE_DURATION
+    cacheDuration: REVENUE_CONFIG.REVENUE_CACHE_DURATION,
+    confirmationsRequired: REVENUE_CONFIG.CONFIRMATIONS_REQUIRED
   };
 }
 
@@ -303,6 +490,18 @@ export function getDefaultCurrency() {
   return UI_CONFIG.DEFAULT_CURRENCY;
 }
 
+// NEW: Configured fiat currencies (price history, valuation and the currency toggle)
+export function getFiatCurrencies() {
+  return PRICE_CONFIG.FIAT_CURRENCIES;
+}
+
+// NEW: Normalizes a requested fiat currency - null when it is not configured
+export function resolveFiatCurrency(currency) {
+  if (!currency) return PRICE_CONFIG.FIAT_CURRENCIES[0];
+  const code = currency.trim().toUpperCase();
+  return PRICE_CONFIG.FIAT_CURRENCIES.includes(code) ? code : null;
+}
+
 export function isCurrencyToggleEnabled() {
   return UI_CONFIG.ENABLE_CURRENCY_TOGGLE;
 }
@@ -341,6 +540,57 @@ if (typeof process !== 'undefined' && process.env) {
     SYNC_CONFIG.BATCH_SIZE = parseInt(process.env.FLUX_BATCH_SIZE) || 100;
     console.log(`📦 Batch size set to: ${SYNC_CONFIG.BATCH_SIZE}`);
   }
+
+  if (process.env.FLUX_ADAPTIVE_CONCURRENCY === 'false') {
+    ADAPTIVE_CONFIG.ENABLED = false;
+  }
+
+  if (process.env.FLUX_API_ENDPOINTS) {
+    const endpoints = process.env.FLUX_API_ENDPOINTS.split(',')
+      .map(url => url.trim().replace(/\/$/, ''))
+      .filter(url => /^https?:\/\//.test(url));
+    if (endpoints.length > 0) {
+      // BASE_URL stays the first endpoint - it's the prefix requests are matched on
+      API_CONFIG.BASE_URL = endpoints[0];
+      ENDPOINT_CONFIG.ENDPOINTS = endpoints;
+    }
+  }
+
+  if (process.env.FLUX_DATA_SOURCE) {
+    const type = process.env.FLUX_DATA_SOURCE.trim().toLowerCase();
+    if (['rest', 'rpc'].includes(type)) {
+      DATA_SOURCE_CONFIG.TYPE = type;
+    } else {
+      console.warn(`⚠️ Ignoring unknown FLUX_DATA_SOURCE "${process.env.FLUX_DATA_SOURCE}" - use rest or rpc`);
+    }
+  }
+
+  if (process.env.FLUX_WORKER_THREADS) {
+    const threads = parseInt(process.env.FLUX_WORKER_THREADS);
+    PIPELINE_CONFIG.WORKER_THREADS = Number.isInteger(threads) && threads >= 0 ? threads : 2;
+  }
+
+  if (process.env.FLUX_MAX_MEMORY_MB) {
+    SYNC_CONFIG.MAX_MEMORY_USAGE_MB = parseInt(process.env.FLUX_MAX_MEMORY_MB) || 512;
+  }
+
+  if (process.env.FLUX_WEB_READ_ONLY === 'true') {
+    PROCESS_CONFIG.WEB_READ_ONLY = true;
+  }
+
+  if (process.env.FLUX_RPC_URL) {
+    DATA_SOURCE_CONFIG.RPC_URL = process.env.FLUX_RPC_URL.trim().replace(/\/$/, '');
+  }
+
+  if (process.env.FLUX_REORG_CHECK_DEPTH) {
+    SYNC_CONFIG.REORG_CHECK_DEPTH = parseInt(process.env.FLUX_REORG_CHECK_DEPTH) || 100;
+    console.log(`🔗 Reorg check depth set to: ${SYNC_CONFIG.REORG_CHECK_DEPTH} blocks`);
+  }
+
+  if (process.env.FLUX_REORG_DETECTION === 'false') {
+    SYNC_CONFIG.ENABLE_REORG_DETECTION = false;
+    console.log('🔗 Reorg detection: disabled');
+  }
   
   // NEW: Quick speed boost environment variable
   if (process.env.FLUX_SPEED_BOOST === 'true') {
@@ -372,11 +622,94 @@ if (typeof process !== 'undefined' && process.env) {
     console.log(`📊 Revenue update interval set to: ${REVENUE_CONFIG.REVENUE_UPDATE_INTERVAL}ms`);
   }
 
+  if (process.env.FLUX_CONFIRMATIONS_REQUIRED) {
+    const confirmations = parseInt(process.env.FLUX_CONFIRMATIONS_REQUIRED);
+    REVENUE_CONFIG.CONFIRMATIONS_REQUIRED = Number.isNaN(confirmations) ? 10 : Math.max(1, confirmations);
+    console.log(`✔️ Confirmations required set to: ${REVENUE_CONFIG.CONFIRMATIONS_REQUIRED}`);
+  }
+
+  if (process.env.FLUX_PRICE_PROVIDERS) {
+    const providers = process.env.FLUX_PRICE_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (providers.length > 0) {
+      PRICE_CONFIG.PRICE_PROVIDERS = providers;
+      console.log(`💵 Price providers set to: ${providers.join(', ')}`);
+    }
+  }
+
+  if (process.env.FLUX_COINGECKO_COIN_ID) {
+    PRICE_CONFIG.COINGECKO_COIN_ID = process.env.FLUX_COINGECKO_COIN_ID.trim();
+  }
+
+  if (process.env.FLUX_PRICE_HISTORY === 'false') {
+    PRICE_CONFIG.ENABLE_PRICE_HISTORY = false;
+    console.log('💵 Price history collection: disabled');
+  }
+
+  // Tier rewards change with halvings, e.g. FLUX_TIER_REWARDS=cumulus:2.8125,nimbus:4.6875,stratus:11.25
+  if (process.env.FLUX_TIER_REWARDS) {
+    for (const entry of process.env.FLUX_TIER_REWARDS.split(',')) {
+      const [tier, reward] = entry.split(':').map(part => part.trim());
+      const amount = parseFloat(reward);
+      if (PAYOUT_CONFIG.NODE_TIERS.includes(tier?.toLowerCase()) && amount > 0) {
+        PAYOUT_CONFIG.TIER_REWARDS[tier.toLowerCase()] = amount;
+      } else {
+        console.warn(`⚠️ Ignoring invalid FLUX_TIER_REWARDS entry: ${entry}`);
+      }
+    }
+    console.log(`💰 Tier rewards per block: ${Object.entries(PAYOUT_CONFIG.TIER_REWARDS).map(([tier, reward]) => `${tier} ${reward}`).join(', ')}`);
+  }
+
+  if (process.env.FLUX_ALERTS === 'false') {
+    ALERT_CONFIG.ENABLE_ALERTS = false;
+    console.log('🚨 Alert rules: disabled');
+  }
+
+  if (process.env.FLUX_AUTH === 'false') {
+    AUTH_CONFIG.ENABLED = false;
+  }
+
+  if (process.env.FLUX_PUBLIC_READ === 'false') {
+    AUTH_CONFIG.PUBLIC_READ = false;
+  }
+
+  if (process.env.FLUX_RATE_LIMIT === 'false') {
+    RATE_LIMIT_CONFIG.ENABLED = false;
+  }
+
+  // Scales every rule, e.g. FLUX_RATE_LIMIT_SCALE=2 doubles all limits
+  if (process.env.FLUX_RATE_LIMIT_SCALE) {
+    const scale = parseFloat(process.env.FLUX_RATE_LIMIT_SCALE);
+    if (scale > 0) {
+      for (const rule of [RATE_LIMIT_CONFIG.DEFAULT, ...RATE_LIMIT_CONFIG.ROUTES]) {
+        rule.capacity = Math.max(1, Math.round(rule.capacity * scale));
+        rule.perMinute = rule.perMinute * scale;
+      }
+    }
+  }
+
+  if (process.env.FLUX_WEBHOOKS === 'false') {
+    WEBHOOK_CONFIG.ENABLE_WEBHOOKS = false;
+    console.log('🪝 Webhook notifications: disabled');
+  }
+
+  if (process.env.FLUX_FIAT_CURRENCIES) {
+    const currencies = process.env.FLUX_FIAT_CURRENCIES.split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(code => /^[A-Z]{3}$/.test(code));
+    if (currencies.length > 0) {
+      PRICE_CONFIG.FIAT_CURRENCIES = [...new Set(currencies)];
+      console.log(`💱 Fiat currencies set to: ${PRICE_CONFIG.FIAT_CURRENCIES.join(', ')}`);
+    }
+  }
+
+  // 🔄 UPDATED: Accepts FLUX or any configured fiat currency
   if (process.env.FLUX_DEFAULT_CURRENCY) {
     const currency = process.env.FLUX_DEFAULT_CURRENCY.toUpperCase();
-    if (currency === 'FLUX' || currency === 'USD') {
+    if (currency === 'FLUX' || PRICE_CONFIG.FIAT_CURRENCIES.includes(currency)) {
       UI_CONFIG.DEFAULT_CURRENCY = currency;
       console.log(`💱 Default currency set to: ${UI_CONFIG.DEFAULT_CURRENCY}`);
+    } else {
+      console.warn(`⚠️ FLUX_DEFAULT_CURRENCY "${currency}" is not FLUX or one of ${PRICE_CONFIG.FIAT_CURRENCIES.join(', ')} - ignoring`);
     }
   }
 }
@@ -0,0 +1,21 @@
+// csv.js - Minimal RFC 4180 CSV helpers shared by reports and exports
+
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote anything containing a delimiter, quote or line break
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+// columns: [{ key, label }] - rows are plain objects
+export function toCsv(columns, rows) {
+  let csv = toCsvRow(columns.map(column => column.label));
+  for (const row of rows) {
+    csv += toCsvRow(columns.map(column => row[column.key]));
+  }
+  return csv;
+}
@@ -1,5 +1,12 @@
 import Database from 'better-sqlite3';
-import { DB_CONFIG } from './config.js';
+import { 
+  DB_CONFIG, 
+  REVENUE_CONFIG, 
+  TARGET_ADDRESSES, 
+  isValidFluxAddress, 
+  setTargetAddressProvider, 
+  getAllTargetAddresses 
+} from './config.js';
 
 const db = new Database(DB_CONFIG.DB_NAME, {
   // OPTIMIZED: Enable WAL mode for better concurrency
@@ -32,6 +39,7 @@ db.exec(`
     height INTEGER PRIMARY KEY,
     timestamp INTEGER NOT NULL,
     hash TEXT NOT NULL,
+    previous_hash TEXT,
     synced_at INTEGER DEFAULT (unixepoch())
   );
 
@@ -92,6 +100,85 @@ db.exec(`
     notes TEXT
   );
 
+  -- NEW: Chain reorganizations detected and rolled back by the scheduler
+  CREATE TABLE IF NOT EXISTS chain_reorgs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    detected_at INTEGER DEFAULT (unixepoch()),
+    fork_height INTEGER NOT NULL, -- Highest block still on the canonical chain
+    old_tip_height INTEGER NOT NULL,
+    depth INTEGER NOT NULL,
+    old_tip_hash TEXT,
+    new_tip_hash TEXT,
+    blocks_rolled_back INTEGER NOT NULL DEFAULT 0,
+    transactions_removed INTEGER NOT NULL DEFAULT 0,
+    blocks_refetched INTEGER NOT NULL DEFAULT 0,
+    detection_method TEXT NOT NULL DEFAULT 'tip_hash', -- 'tip_hash', 'tip_height' or 'previous_hash'
+    notes TEXT
+  );
+
+  -- NEW: Sync checkpoints (see syncRanges.js) - merged contiguous ranges of stored blocks ('complete')
+  -- and sync jobs still running or interrupted by a crash ('in_progress', resumed from next_height)
+  CREATE TABLE IF NOT EXISTS sync_ranges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    start_height INTEGER NOT NULL,
+    end_height INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'complete', -- 'complete' or 'in_progress'
+    direction TEXT, -- Jobs only: 'forward' or 'backward'
+    next_height INTEGER, -- Jobs only: next block to process
+    created_at INTEGER DEFAULT (unixepoch()),
+    updated_at INTEGER DEFAULT (unixepoch())
+  );
+
+  -- NEW: Blocks that could not be fetched or stored, retried with backoff by the scheduler
+  CREATE TABLE IF NOT EXISTS failed_blocks (
+    height INTEGER PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'retrying', -- 'retrying' or 'failed' (gave up after FAILED_BLOCK_MAX_ATTEMPTS)
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    first_failed_at INTEGER DEFAULT (unixepoch()),
+    last_attempt_at INTEGER DEFAULT (unixepoch()),
+    next_retry_at INTEGER NOT NULL
+  );
+
+  -- NEW: Leader lock - only the process holding an unexpired lock syncs (see leaderLock.js)
+  CREATE TABLE IF NOT EXISTS sync_leader (
+    name TEXT PRIMARY KEY,
+    owner TEXT NOT NULL, -- hostname:pid:random of the holder
+    role TEXT, -- 'web' or 'daemon'
+    acquired_at INTEGER NOT NULL,
+    heartbeat_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    state TEXT -- JSON published by the holder: sync status for the other processes
+  );
+
+  -- NEW: Work any process can request and the leader lock holder runs, in order (see syncRequests.js)
+  CREATE TABLE IF NOT EXISTS sync_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL, -- 'rescan', 'backfill', 'sync' or 'fill_gaps'
+    params TEXT NOT NULL DEFAULT '{}', -- JSON
+    status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed' or 'cancelled'
+    progress TEXT, -- JSON: progress while running, the result once finished
+    error TEXT,
+    requested_by TEXT, -- leader lock owner string of the requesting process
+    runner TEXT, -- leader lock owner that ran it
+    cancel_requested INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER DEFAULT (unixepoch()),
+    started_at INTEGER,
+    finished_at INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sync_requests_status ON sync_requests(status, id);
+  CREATE INDEX IF NOT EXISTS idx_sync_requests_type ON sync_requests(type, id DESC);
+
+  -- NEW: Live events shared between processes - each one republishes the others' (see eventRelay.js)
+  CREATE TABLE IF NOT EXISTS event_relay (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    origin TEXT NOT NULL, -- leader lock owner string of the publishing process
+    type TEXT NOT NULL,
+    time INTEGER NOT NULL, -- ms
+    data TEXT -- JSON
+  );
+
   -- OPTIMIZED: Enhanced indexes for better performance
   CREATE INDEX IF NOT EXISTS idx_transactions_address ON transactions(address);
   CREATE INDEX IF NOT EXISTS idx_transactions_from_address ON transactions(from_address);
@@ -112,6 +199,148 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_network_utilization_stats_timestamp ON network_utilization_stats(timestamp DESC);
   CREATE INDEX IF NOT EXISTS idx_network_utilization_stats_created ON network_utilization_stats(created_at DESC);
   CREATE INDEX IF NOT EXISTS idx_network_utilization_stats_source ON network_utilization_stats(data_source, timestamp DESC);
+
+  CREATE INDEX IF NOT EXISTS idx_chain_reorgs_detected ON chain_reorgs(detected_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_failed_blocks_due ON failed_blocks(status, next_retry_at);
+  CREATE INDEX IF NOT EXISTS idx_sync_ranges_status ON sync_ranges(status, start_height);
+
+  -- NEW: Tracked addresses managed at runtime via /api/addresses (seeded from config)
+  CREATE TABLE IF NOT EXISTS tracked_addresses (
+    address TEXT PRIMARY KEY,
+    label TEXT,
+    added_at INTEGER DEFAULT (unixepoch()),
+    active INTEGER NOT NULL DEFAULT 1,
+    tier TEXT, -- 'cumulus', 'nimbus' or 'stratus' (for payout analysis)
+    node_count INTEGER NOT NULL DEFAULT 1, -- Nodes of that tier paying to this address
+    removed_at INTEGER -- Removed by the user - the row stays so seeding from config doesn't bring it back
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_tracked_addresses_active ON tracked_addresses(active, added_at);
+
+  -- NEW: Named address groups / portfolios (e.g. "EU Stratus fleet")
+  CREATE TABLE IF NOT EXISTS address_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    created_at INTEGER DEFAULT (unixepoch())
+  );
+
+  CREATE TABLE IF NOT EXISTS address_group_members (
+    group_id INTEGER NOT NULL REFERENCES address_groups(id) ON DELETE CASCADE,
+    address TEXT NOT NULL,
+    added_at INTEGER DEFAULT (unixepoch()),
+    PRIMARY KEY (group_id, address)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_address_group_members_address ON address_group_members(address);
+
+  -- NEW: Historical FLUX prices collected server-side (see price.js)
+  CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp INTEGER NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    price REAL NOT NULL,
+    source TEXT NOT NULL,
+    created_at INTEGER DEFAULT (unixepoch()),
+    UNIQUE(currency, source, timestamp)
+  );
+
+  -- NEW: Fiat value of each payment at its block timestamp
+  CREATE TABLE IF NOT EXISTS transaction_fiat_values (
+    transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    currency TEXT NOT NULL,
+    price REAL NOT NULL,
+    value REAL NOT NULL,
+    price_timestamp INTEGER NOT NULL, -- Timestamp of the price point that was used
+    source TEXT NOT NULL,
+    valued_at INTEGER DEFAULT (unixepoch()),
+    PRIMARY KEY (transaction_id, currency)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_price_history_currency_time ON price_history(currency, timestamp);
+
+  -- NEW: Webhook subscriptions for incoming payments (see webhooks.js)
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL, -- HMAC key for the signature header
+    description TEXT,
+    address TEXT, -- Only payments to this address (optional)
+    group_id INTEGER, -- Only payments to members of this address group (optional)
+    min_amount REAL NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER DEFAULT (unixepoch()),
+    updated_at INTEGER DEFAULT (unixepoch())
+  );
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'retrying', 'delivered' or 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at INTEGER DEFAULT (unixepoch()),
+    delivered_at INTEGER,
+    payment_key TEXT -- '<txid>:<vout>' for payment.received - one delivery per payment and webhook
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);
+
+  -- NEW: Alert rules and their firing/resolved history (see alerts.js)
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL, -- 'no_payment', 'revenue_drop' or 'sync_stalled'
+    params TEXT NOT NULL DEFAULT '{}', -- JSON, depends on type
+    enabled INTEGER NOT NULL DEFAULT 1,
+    state TEXT NOT NULL DEFAULT 'unknown', -- 'ok', 'firing' or 'unknown' (not enough data yet)
+    last_value REAL,
+    last_message TEXT,
+    last_evaluated_at INTEGER,
+    created_at INTEGER DEFAULT (unixepoch()),
+    updated_at INTEGER DEFAULT (unixepoch())
+  );
+
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'firing', -- 'firing' or 'resolved'
+    message TEXT NOT NULL,
+    value REAL,
+    fired_at INTEGER DEFAULT (unixepoch()),
+    resolved_at INTEGER,
+    resolved_message TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, fired_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_alerts_rule ON alerts(rule_id, status);
+
+  -- NEW: API tokens and login sessions - only SHA-256 hashes are stored (see auth.js)
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL, -- First characters of the token, to recognise it in listings
+    role TEXT NOT NULL, -- 'viewer' or 'admin'
+    expires_at INTEGER,
+    last_used_at INTEGER,
+    created_at INTEGER DEFAULT (unixepoch())
+  );
+
+  CREATE TABLE IF NOT EXISTS auth_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_hash TEXT NOT NULL UNIQUE,
+    token_id INTEGER NOT NULL REFERENCES api_tokens(id) ON DELETE CASCADE,
+    expires_at INTEGER NOT NULL,
+    created_at INTEGER DEFAULT (unixepoch())
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_auth_sessions_expiry ON auth_sessions(expires_at);
 `);
 
 // Add the from_address column if it doesn't exist (for existing databases)
@@ -125,6 +354,38 @@ try {
   }
 }
 
+// NEW: Payment key for webhook deliveries - a payment stored again after a reorg is not sent twice
+try {
+  db.exec(`ALTER TABLE webhook_deliveries ADD COLUMN payment_key TEXT`);
+} catch (error) {
+  if (!error.message.includes('duplicate column name')) {
+    console.warn('⚠️ Error adding payment_key column:', error.message);
+  }
+}
+db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_payment ON webhook_deliveries(webhook_id, payment_key)`);
+
+// NEW: Node tier columns for payout analysis (for existing databases)
+for (const column of ['tier TEXT', 'node_count INTEGER NOT NULL DEFAULT 1', 'removed_at INTEGER']) {
+  try {
+    db.exec(`ALTER TABLE tracked_addresses ADD COLUMN ${column}`);
+    console.log(`✅ Added ${column.split(' ')[0]} column to tracked_addresses table`);
+  } catch (error) {
+    if (!error.message.includes('duplicate column name')) {
+      console.warn(`⚠️ Error adding ${column.split(' ')[0]} column:`, error.message);
+    }
+  }
+}
+
+// Add the previous_hash column if it doesn't exist (for existing databases)
+try {
+  db.exec(`ALTER TABLE blocks ADD COLUMN previous_hash TEXT`);
+  console.log('✅ Added previous_hash column to blocks table');
+} catch (error) {
+  if (!error.message.includes('duplicate column name')) {
+    console.warn('⚠️ Error adding previous_hash column:', error.message);
+  }
+}
+
 // OPTIMIZED: Create additional indexes if they don't exist
 if (DB_CONFIG.OPTIMIZE_INDEXES) {
   try {
@@ -147,8 +408,8 @@ if (DB_CONFIG.OPTIMIZE_INDEXES) {
 const statements = {
   // Original statements
   insertBlock: db.prepare(`
-    INSERT OR REPLACE INTO blocks (height, timestamp, hash)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO blocks (height, timestamp, hash, previous_hash)
+    VALUES (?, ?, ?, ?)
   `),
   insertTransaction: db.prepare(`
     INSERT OR IGNORE INTO transactions 
@@ -331,14 +592,19 @@ getRecentFailedSnapshots: db.prepare(`
   `),
   
   // OPTIMIZED: Updated transactions queries with better performance
+  // 🔄 UPDATED: First parameter is the fiat currency for the historical value columns
   getTransactionsPaginated: db.prepare(`
     SELECT 
       tx_hash as id,
       from_address,
-      value as amount,
+      transactions.value as amount,
       block_height,
-      timestamp as date
+      timestamp as date,
+      fv.value as fiat_value,
+      fv.price as fiat_price,
+      fv.source as fiat_source
     FROM transactions 
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = transactions.id AND fv.currency = ?
     WHERE address = ?
     ORDER BY timestamp DESC, block_height DESC, id DESC
     LIMIT ? OFFSET ?
@@ -352,14 +618,18 @@ getRecentFailedSnapshots: db.prepare(`
     SELECT 
       tx_hash as id,
       from_address,
-      value as amount,
+      transactions.value as amount,
       block_height,
-      timestamp as date
+      timestamp as date,
+      fv.value as fiat_value,
+      fv.price as fiat_price,
+      fv.source as fiat_source
     FROM transactions 
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = transactions.id AND fv.currency = ?
     WHERE address = ? AND (
       tx_hash LIKE ? OR 
       from_address LIKE ? OR
-      CAST(value AS TEXT) LIKE ?
+      CAST(transactions.value AS TEXT) LIKE ?
     )
     ORDER BY timestamp DESC, block_height DESC, id DESC
     LIMIT ? OFFSET ?
@@ -460,6 +730,575 @@ getRecentFailedSnapshots: db.prepare(`
     LIMIT ?
   `),
 
+  // NEW: Chain reorganization detection and rollback
+  getBlocksInRange: db.prepare(`
+    SELECT height, hash, previous_hash
+    FROM blocks
+    WHERE height >= ? AND height <= ?
+    ORDER BY height ASC
+  `),
+  countBlocksInRange: db.prepare(`
+    SELECT COUNT(*) as count FROM blocks WHERE height >= ? AND height <= ?
+  `),
+  // NEW: Payout analysis - block times and the node counts in effect at a given time
+  getBlockAtOrBelow: db.prepare(`
+    SELECT height, timestamp FROM blocks WHERE height <= ? ORDER BY height DESC LIMIT 1
+  `),
+  getBlockAtOrAbove: db.prepare(`
+    SELECT height, timestamp FROM blocks WHERE height >= ? ORDER BY height ASC LIMIT 1
+  `),
+  getNetworkNodeStatsAtOrBefore: db.prepare(`
+    SELECT * FROM network_node_stats WHERE timestamp <= ? ORDER BY timestamp DESC LIMIT 1
+  `),
+  getNetworkNodeStatsAtOrAfter: db.prepare(`
+    SELECT * FROM network_node_stats WHERE timestamp >= ? ORDER BY timestamp ASC LIMIT 1
+  `),
+  deleteTransactionsAboveHeight: db.prepare(`
+    DELETE FROM transactions WHERE block_height > ?
+  `),
+  deleteBlocksAboveHeight: db.prepare(`
+    DELETE FROM blocks WHERE height > ?
+  `),
+  insertChainReorg: db.prepare(`
+    INSERT INTO chain_reorgs (
+      fork_height, old_tip_height, depth, old_tip_hash, new_tip_hash,
+      blocks_rolled_back, transactions_removed, detection_method, notes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  updateChainReorgRefetched: db.prepare(`
+    UPDATE chain_reorgs SET blocks_refetched = ? WHERE id = ?
+  `),
+  getRecentChainReorgs: db.prepare(`
+    SELECT * FROM chain_reorgs ORDER BY detected_at DESC, id DESC LIMIT ?
+  `),
+  getChainReorgCount: db.prepare(`
+    SELECT COUNT(*) as count, MAX(depth) as max_depth FROM chain_reorgs
+  `),
+
+  // NEW: Sync checkpoints - completed ranges and resumable jobs
+  getCompletedSyncRanges: db.prepare(`
+    SELECT id, start_height, end_height, updated_at FROM sync_ranges
+    WHERE status = 'complete'
+    ORDER BY start_height ASC
+  `),
+  getTouchingSyncRanges: db.prepare(`
+    SELECT id, start_height, end_height FROM sync_ranges
+    WHERE status = 'complete' AND start_height <= ? AND end_height >= ?
+  `),
+  insertSyncRange: db.prepare(`
+    INSERT INTO sync_ranges (start_height, end_height, status, direction, next_height) VALUES (?, ?, ?, ?, ?)
+  `),
+  deleteSyncRange: db.prepare(`
+    DELETE FROM sync_ranges WHERE id = ?
+  `),
+  deleteCompletedSyncRanges: db.prepare(`
+    DELETE FROM sync_ranges WHERE status = 'complete'
+  `),
+  getSyncJobs: db.prepare(`
+    SELECT * FROM sync_ranges WHERE status = 'in_progress' ORDER BY id ASC
+  `),
+  updateSyncJobProgress: db.prepare(`
+    UPDATE sync_ranges SET next_height = ?, updated_at = unixepoch() WHERE id = ? AND status = 'in_progress'
+  `),
+  deleteSyncRangesAbove: db.prepare(`
+    DELETE FROM sync_ranges WHERE status = 'complete' AND start_height > ?
+  `),
+  truncateSyncRangesAbove: db.prepare(`
+    UPDATE sync_ranges SET end_height = ?, updated_at = unixepoch() WHERE status = 'complete' AND end_height > ?
+  `),
+  deleteSyncRangesBelow: db.prepare(`
+    DELETE FROM sync_ranges WHERE status = 'complete' AND end_height < ?
+  `),
+  truncateSyncRangesBelow: db.prepare(`
+    UPDATE sync_ranges SET start_height = ?, updated_at = unixepoch() WHERE status = 'complete' AND start_height < ?
+  `),
+  // Gaps-and-islands: consecutive heights share height - row_number
+  getBlockIslands: db.prepare(`
+    SELECT MIN(height) as start_height, MAX(height) as end_height
+    FROM (SELECT height, height - ROW_NUMBER() OVER (ORDER BY height) as island FROM blocks)
+    GROUP BY island
+    ORDER BY start_height ASC
+  `),
+
+  // NEW: Failed block retry queue
+  getFailedBlock: db.prepare(`
+    SELECT * FROM failed_blocks WHERE height = ?
+  `),
+  upsertFailedBlock: db.prepare(`
+    INSERT INTO failed_blocks (height, status, attempts, last_error, next_retry_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(height) DO UPDATE SET
+      status = excluded.status,
+      attempts = excluded.attempts,
+      last_error = excluded.last_error,
+      last_attempt_at = unixepoch(),
+      next_retry_at = excluded.next_retry_at
+  `),
+  deleteFailedBlock: db.prepare(`
+    DELETE FROM failed_blocks WHERE height = ?
+  `),
+  getFailedBlockHeights: db.prepare(`
+    SELECT height FROM failed_blocks ORDER BY height ASC
+  `),
+  deleteFailedBlocksBelow: db.prepare(`
+    DELETE FROM failed_blocks WHERE height < ?
+  `),
+  getDueFailedBlocks: db.prepare(`
+    SELECT * FROM failed_blocks
+    WHERE status = 'retrying' AND next_retry_at <= ?
+    ORDER BY next_retry_at ASC, height DESC
+    LIMIT ?
+  `),
+  getFailedBlocks: db.prepare(`
+    SELECT * FROM failed_blocks
+    WHERE (? IS NULL OR status = ?)
+    ORDER BY height DESC
+    LIMIT ? OFFSET ?
+  `),
+  getFailedBlockStats: db.prepare(`
+    SELECT 
+      COUNT(*) as total,
+      COALESCE(SUM(CASE WHEN status = 'retrying' THEN 1 ELSE 0 END), 0) as retrying,
+      COALESCE(SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END), 0) as failed,
+      MIN(CASE WHEN status = 'retrying' THEN next_retry_at END) as next_retry_at,
+      MIN(height) as lowest_height,
+      MAX(height) as highest_height
+    FROM failed_blocks
+  `),
+  retryFailedBlockNow: db.prepare(`
+    UPDATE failed_blocks SET status = 'retrying', next_retry_at = unixepoch() WHERE height = ?
+  `),
+  retryAllFailedBlocksNow: db.prepare(`
+    UPDATE failed_blocks SET status = 'retrying', next_retry_at = unixepoch()
+  `),
+
+  // NEW: Leader lock - taken over only once the holder stopped renewing it
+  getLeaderLock: db.prepare(`
+    SELECT * FROM sync_leader WHERE name = ?
+  `),
+  acquireLeaderLock: db.prepare(`
+    INSERT INTO sync_leader (name, owner, role, acquired_at, heartbeat_at, expires_at, state)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      owner = excluded.owner,
+      role = excluded.role,
+      acquired_at = CASE WHEN sync_leader.owner = excluded.owner THEN sync_leader.acquired_at ELSE excluded.acquired_at END,
+      heartbeat_at = excluded.heartbeat_at,
+      expires_at = excluded.expires_at,
+      state = COALESCE(excluded.state, sync_leader.state)
+    WHERE sync_leader.owner = excluded.owner OR sync_leader.expires_at < excluded.heartbeat_at
+  `),
+  // Expires the lock rather than deleting it - the next holder still reads the published state
+  releaseLeaderLock: db.prepare(`
+    UPDATE sync_leader SET expires_at = 0 WHERE name = ? AND owner = ?
+  `),
+
+  // NEW: Sync request queue
+  insertSyncRequest: db.prepare(`
+    INSERT INTO sync_requests (type, params, requested_by) VALUES (?, ?, ?)
+  `),
+  getSyncRequest: db.prepare(`
+    SELECT * FROM sync_requests WHERE id = ?
+  `),
+  getSyncRequests: db.prepare(`
+    SELECT * FROM sync_requests WHERE (? IS NULL OR type = ?) ORDER BY id DESC LIMIT ?
+  `),
+  getNextSyncRequest: db.prepare(`
+    SELECT * FROM sync_requests WHERE status = 'queued' ORDER BY id ASC LIMIT 1
+  `),
+  claimSyncRequest: db.prepare(`
+    UPDATE sync_requests SET status = 'running', runner = ?, started_at = unixepoch()
+    WHERE id = ? AND status = 'queued'
+  `),
+  updateSyncRequestProgress: db.prepare(`
+    UPDATE sync_requests SET progress = ? WHERE id = ?
+  `),
+  finishSyncRequest: db.prepare(`
+    UPDATE sync_requests SET status = ?, progress = ?, error = ?, finished_at = unixepoch() WHERE id = ?
+  `),
+  cancelQueuedSyncRequest: db.prepare(`
+    UPDATE sync_requests SET status = 'cancelled', finished_at = unixepoch() WHERE id = ? AND status = 'queued'
+  `),
+  requestSyncRequestCancel: db.prepare(`
+    UPDATE sync_requests SET cancel_requested = 1 WHERE id = ? AND status = 'running'
+  `),
+  // Requests a previous lock holder was running when it stopped - run again (all request types are safe to repeat)
+  requeueInterruptedSyncRequests: db.prepare(`
+    UPDATE sync_requests SET status = 'queued', runner = NULL, started_at = NULL
+    WHERE status = 'running' AND runner != ?
+  `),
+  deleteOldSyncRequests: db.prepare(`
+    DELETE FROM sync_requests WHERE status IN ('completed', 'failed', 'cancelled') AND finished_at < ?
+  `),
+
+  // NEW: Event relay between processes
+  insertRelayEvent: db.prepare(`
+    INSERT INTO event_relay (origin, type, time, data) VALUES (?, ?, ?, ?)
+  `),
+  getRelayEventsAfter: db.prepare(`
+    SELECT * FROM event_relay WHERE id > ? AND origin != ? ORDER BY id ASC LIMIT ?
+  `),
+  getLastRelayEventId: db.prepare(`
+    SELECT COALESCE(MAX(id), 0) as id FROM event_relay
+  `),
+  deleteRelayEventsBefore: db.prepare(`
+    DELETE FROM event_relay WHERE time < ?
+  `),
+
+  // NEW: Tracked address management
+  getActiveTrackedAddresses: db.prepare(`
+    SELECT address FROM tracked_addresses WHERE active = 1 ORDER BY added_at ASC, rowid ASC
+  `),
+  getTrackedAddresses: db.prepare(`
+    SELECT 
+      ta.address,
+      ta.label,
+      ta.added_at,
+      ta.active,
+      ta.tier,
+      ta.node_count,
+      COUNT(t.id) as transaction_count,
+      COALESCE(SUM(t.value), 0) as total_received,
+      MAX(t.timestamp) as last_payment
+    FROM tracked_addresses ta
+    LEFT JOIN transactions t ON t.address = ta.address
+    WHERE ta.removed_at IS NULL
+    GROUP BY ta.address
+    ORDER BY ta.added_at ASC, ta.rowid ASC
+  `),
+  getTrackedAddress: db.prepare(`
+    SELECT address, label, added_at, active, tier, node_count, removed_at FROM tracked_addresses WHERE address = ?
+  `),
+  insertTrackedAddress: db.prepare(`
+    INSERT OR IGNORE INTO tracked_addresses (address, label, active) VALUES (?, ?, 1)
+  `),
+  updateTrackedAddress: db.prepare(`
+    UPDATE tracked_addresses SET label = ?, active = ?, tier = ?, node_count = ? WHERE address = ?
+  `),
+  markTrackedAddressRemoved: db.prepare(`
+    UPDATE tracked_addresses SET active = 0, removed_at = unixepoch() WHERE address = ? AND removed_at IS NULL
+  `),
+  restoreTrackedAddress: db.prepare(`
+    UPDATE tracked_addresses SET label = ?, active = 1, removed_at = NULL, added_at = unixepoch() WHERE address = ?
+  `),
+  deleteTransactionsByAddress: db.prepare(`
+    DELETE FROM transactions WHERE address = ?
+  `),
+
+  // NEW: Address groups
+  getAddressGroups: db.prepare(`
+    SELECT id, name, description, created_at FROM address_groups ORDER BY name COLLATE NOCASE
+  `),
+  getAddressGroupById: db.prepare(`
+    SELECT id, name, description, created_at FROM address_groups WHERE id = ?
+  `),
+  getAddressGroupByName: db.prepare(`
+    SELECT id, name, description, created_at FROM address_groups WHERE name = ? COLLATE NOCASE
+  `),
+  getAddressGroupMembers: db.prepare(`
+    SELECT m.address, ta.label, COALESCE(ta.active, 0) as active
+    FROM address_group_members m
+    LEFT JOIN tracked_addresses ta ON ta.address = m.address
+    WHERE m.group_id = ?
+    ORDER BY m.added_at ASC, m.address ASC
+  `),
+  insertAddressGroup: db.prepare(`
+    INSERT INTO address_groups (name, description) VALUES (?, ?)
+  `),
+  updateAddressGroup: db.prepare(`
+    UPDATE address_groups SET name = ?, description = ? WHERE id = ?
+  `),
+  deleteAddressGroup: db.prepare(`
+    DELETE FROM address_groups WHERE id = ?
+  `),
+  insertAddressGroupMember: db.prepare(`
+    INSERT OR IGNORE INTO address_group_members (group_id, address) VALUES (?, ?)
+  `),
+  deleteAddressGroupMember: db.prepare(`
+    DELETE FROM address_group_members WHERE group_id = ? AND address = ?
+  `),
+  clearAddressGroupMembers: db.prepare(`
+    DELETE FROM address_group_members WHERE group_id = ?
+  `),
+
+  // NEW: Webhooks
+  getWebhooks: db.prepare(`
+    SELECT * FROM webhooks ORDER BY id ASC
+  `),
+  getWebhook: db.prepare(`
+    SELECT * FROM webhooks WHERE id = ?
+  `),
+  getActiveWebhooks: db.prepare(`
+    SELECT * FROM webhooks WHERE active = 1
+  `),
+  insertWebhook: db.prepare(`
+    INSERT INTO webhooks (url, secret, description, address, group_id, min_amount, active)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  updateWebhook: db.prepare(`
+    UPDATE webhooks 
+    SET url = ?, secret = ?, description = ?, address = ?, group_id = ?, min_amount = ?, active = ?, updated_at = unixepoch()
+    WHERE id = ?
+  `),
+  deleteWebhook: db.prepare(`
+    DELETE FROM webhooks WHERE id = ?
+  `),
+  disableWebhooksForGroup: db.prepare(`
+    UPDATE webhooks SET active = 0, updated_at = unixepoch() WHERE group_id = ?
+  `),
+  insertWebhookDelivery: db.prepare(`
+    INSERT OR IGNORE INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, payment_key) VALUES (?, ?, ?, ?, ?)
+  `),
+  getDueWebhookDeliveries: db.prepare(`
+    SELECT d.*, w.url, w.secret
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status IN ('pending', 'retrying') AND d.next_attempt_at <= ?
+    ORDER BY d.next_attempt_at ASC, d.id ASC
+    LIMIT ?
+  `),
+  markWebhookDelivered: db.prepare(`
+    UPDATE webhook_deliveries 
+    SET status = 'delivered', attempts = attempts + 1, last_status_code = ?, last_error = NULL, delivered_at = unixepoch()
+    WHERE id = ?
+  `),
+  markWebhookAttemptFailed: db.prepare(`
+    UPDATE webhook_deliveries 
+    SET status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?
+  `),
+  getWebhookDeliveries: db.prepare(`
+    SELECT id, webhook_id, event, payload, status, attempts, next_attempt_at, last_status_code, last_error, created_at, delivered_at
+    FROM webhook_deliveries
+    WHERE webhook_id = ? AND (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `),
+  getWebhookDeliveryStats: db.prepare(`
+    SELECT 
+      COUNT(*) as total,
+      COALESCE(SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END), 0) as delivered,
+      COALESCE(SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END), 0) as failed,
+      COALESCE(SUM(CASE WHEN status IN ('pending', 'retrying') THEN 1 ELSE 0 END), 0) as queued,
+      MAX(delivered_at) as last_delivered_at
+    FROM webhook_deliveries
+    WHERE webhook_id = ?
+  `),
+  deleteOldWebhookDeliveries: db.prepare(`
+    DELETE FROM webhook_deliveries WHERE created_at < ? AND status IN ('delivered', 'failed')
+  `),
+
+  // NEW: Alert rules and alert history
+  getAlertRules: db.prepare(`
+    SELECT * FROM alert_rules ORDER BY id ASC
+  `),
+  getAlertRule: db.prepare(`
+    SELECT * FROM alert_rules WHERE id = ?
+  `),
+  getEnabledAlertRules: db.prepare(`
+    SELECT * FROM alert_rules WHERE enabled = 1 ORDER BY id ASC
+  `),
+  insertAlertRule: db.prepare(`
+    INSERT INTO alert_rules (name, type, params, enabled) VALUES (?, ?, ?, ?)
+  `),
+  updateAlertRule: db.prepare(`
+    UPDATE alert_rules 
+    SET name = ?, params = ?, enabled = ?, updated_at = unixepoch()
+    WHERE id = ?
+  `),
+  updateAlertRuleState: db.prepare(`
+    UPDATE alert_rules 
+    SET state = ?, last_value = ?, last_message = ?, last_evaluated_at = unixepoch()
+    WHERE id = ?
+  `),
+  deleteAlertRule: db.prepare(`
+    DELETE FROM alert_rules WHERE id = ?
+  `),
+  getOpenAlertForRule: db.prepare(`
+    SELECT * FROM alerts WHERE rule_id = ? AND status = 'firing' ORDER BY id DESC LIMIT 1
+  `),
+  insertAlert: db.prepare(`
+    INSERT INTO alerts (rule_id, message, value) VALUES (?, ?, ?)
+  `),
+  resolveAlert: db.prepare(`
+    UPDATE alerts SET status = 'resolved', resolved_at = unixepoch(), resolved_message = ? WHERE id = ?
+  `),
+  resolveOpenAlertsForRule: db.prepare(`
+    UPDATE alerts SET status = 'resolved', resolved_at = unixepoch(), resolved_message = ? 
+    WHERE rule_id = ? AND status = 'firing'
+  `),
+  getAlerts: db.prepare(`
+    SELECT a.*, r.name as rule_name, r.type as rule_type
+    FROM alerts a
+    JOIN alert_rules r ON r.id = a.rule_id
+    WHERE (? IS NULL OR a.status = ?) AND (? IS NULL OR a.rule_id = ?)
+    ORDER BY a.fired_at DESC, a.id DESC
+    LIMIT ?
+  `),
+  getAlertCounts: db.prepare(`
+    SELECT 
+      COALESCE(SUM(CASE WHEN status = 'firing' THEN 1 ELSE 0 END), 0) as firing,
+      COALESCE(SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END), 0) as resolved
+    FROM alerts
+  `),
+  deleteOldResolvedAlerts: db.prepare(`
+    DELETE FROM alerts WHERE status = 'resolved' AND resolved_at < ?
+  `),
+  getLastPaymentToAddress: db.prepare(`
+    SELECT block_height, timestamp, value FROM transactions 
+    WHERE address = ? 
+    ORDER BY block_height DESC LIMIT 1
+  `),
+  getAddressRevenueInTimeRange: db.prepare(`
+    SELECT COALESCE(SUM(value), 0) as total, COUNT(*) as count
+    FROM transactions
+    WHERE address = ? AND timestamp > ? AND timestamp <= ?
+  `),
+  getBlockTimeRange: db.prepare(`
+    SELECT MIN(timestamp) as earliest, MAX(timestamp) as latest FROM blocks
+  `),
+
+  // NEW: API tokens and sessions
+  getApiTokens: db.prepare(`
+    SELECT id, name, prefix, role, expires_at, last_used_at, created_at FROM api_tokens ORDER BY id ASC
+  `),
+  getApiToken: db.prepare(`
+    SELECT id, name, prefix, role, expires_at, last_used_at, created_at FROM api_tokens WHERE id = ?
+  `),
+  getApiTokenByHash: db.prepare(`
+    SELECT * FROM api_tokens WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > unixepoch())
+  `),
+  countAdminTokens: db.prepare(`
+    SELECT COUNT(*) as count FROM api_tokens WHERE role = 'admin' AND (expires_at IS NULL OR expires_at > unixepoch())
+  `),
+  insertApiToken: db.prepare(`
+    INSERT INTO api_tokens (name, token_hash, prefix, role, expires_at) VALUES (?, ?, ?, ?, ?)
+  `),
+  touchApiToken: db.prepare(`
+    UPDATE api_tokens SET last_used_at = unixepoch() WHERE id = ?
+  `),
+  deleteApiToken: db.prepare(`
+    DELETE FROM api_tokens WHERE id = ?
+  `),
+  insertAuthSession: db.prepare(`
+    INSERT INTO auth_sessions (session_hash, token_id, expires_at) VALUES (?, ?, ?)
+  `),
+  getAuthSession: db.prepare(`
+    SELECT s.id as session_id, s.expires_at as session_expires_at, t.*
+    FROM auth_sessions s
+    JOIN api_tokens t ON t.id = s.token_id
+    WHERE s.session_hash = ? AND s.expires_at > unixepoch()
+      AND (t.expires_at IS NULL OR t.expires_at > unixepoch())
+  `),
+  deleteAuthSession: db.prepare(`
+    DELETE FROM auth_sessions WHERE session_hash = ?
+  `),
+  deleteExpiredAuthSessions: db.prepare(`
+    DELETE FROM auth_sessions WHERE expires_at <= unixepoch()
+  `),
+
+  // NEW: Price history and fiat valuation
+  insertPricePoint: db.prepare(`
+    INSERT OR REPLACE INTO price_history (timestamp, currency, price, source) VALUES (?, ?, ?, ?)
+  `),
+  getPriceAtOrBefore: db.prepare(`
+    SELECT timestamp, price, source FROM price_history
+    WHERE currency = ? AND timestamp <= ?
+    ORDER BY timestamp DESC LIMIT 1
+  `),
+  getPriceAtOrAfter: db.prepare(`
+    SELECT timestamp, price, source FROM price_history
+    WHERE currency = ? AND timestamp >= ?
+    ORDER BY timestamp ASC LIMIT 1
+  `),
+  getPriceHistoryRange: db.prepare(`
+    SELECT timestamp, price, source FROM price_history
+    WHERE currency = ? AND timestamp >= ? AND timestamp <= ?
+    ORDER BY timestamp ASC
+  `),
+  getPriceHistoryCoverage: db.prepare(`
+    SELECT MIN(timestamp) as earliest, MAX(timestamp) as latest, COUNT(*) as count
+    FROM price_history WHERE currency = ?
+  `),
+  getUnvaluedTransactions: db.prepare(`
+    SELECT t.id, t.value, t.timestamp
+    FROM transactions t
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+    WHERE fv.transaction_id IS NULL AND t.timestamp >= ? AND t.timestamp <= ?
+    ORDER BY t.timestamp ASC
+    LIMIT ?
+  `),
+  getEarliestUnvaluedTimestamp: db.prepare(`
+    SELECT MIN(t.timestamp) as timestamp, COUNT(*) as count
+    FROM transactions t
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+    WHERE fv.transaction_id IS NULL
+  `),
+  insertTransactionFiatValue: db.prepare(`
+    INSERT OR REPLACE INTO transaction_fiat_values 
+    (transaction_id, currency, price, value, price_timestamp, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getFiatTotal: db.prepare(`
+    SELECT 
+      COALESCE(SUM(fv.value), 0) as fiat_total,
+      COUNT(fv.transaction_id) as valued_count,
+      COUNT(*) - COUNT(fv.transaction_id) as unvalued_count
+    FROM transactions t
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+    WHERE t.address = ?
+  `),
+  getDailyFiatRevenue: db.prepare(`
+    SELECT 
+      date(t.timestamp, 'unixepoch') as date,
+      COALESCE(SUM(fv.value), 0) as daily_fiat_value,
+      COUNT(fv.transaction_id) as valued_count
+    FROM transactions t
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+    WHERE t.address = ? AND t.timestamp >= ?
+    GROUP BY date(t.timestamp, 'unixepoch')
+    ORDER BY date
+  `),
+  getFiatByBlockRange: db.prepare(`
+    SELECT 
+      COALESCE(SUM(fv.value), 0) as fiat_total,
+      COALESCE(SUM(CASE WHEN t.block_height <= ? THEN fv.value ELSE 0 END), 0) as confirmed_fiat,
+      COALESCE(SUM(CASE WHEN t.block_height > ? THEN fv.value ELSE 0 END), 0) as pending_fiat,
+      COUNT(fv.transaction_id) as valued_count,
+      COUNT(*) - COUNT(fv.transaction_id) as unvalued_count
+    FROM transactions t
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+    WHERE t.address = ? AND t.block_height BETWEEN ? AND ?
+  `),
+
+  // NEW: Income report - every payment in a time window with its stored fiat valuation
+  getIncomeTransactions: db.prepare(`
+    SELECT 
+      t.id,
+      t.timestamp,
+      t.block_height,
+      t.tx_hash,
+      t.vout_index,
+      t.address,
+      t.from_address,
+      t.value,
+      fv.value as fiat_value,
+      fv.price as fiat_price,
+      fv.price_timestamp,
+      fv.source as fiat_source
+    FROM transactions t
+    LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+    WHERE t.address = ? AND t.timestamp >= ? AND t.timestamp < ?
+    ORDER BY t.timestamp ASC, t.id ASC
+  `),
+  // NEW: Addresses paid in a period, tracked or not (income reports for past years)
+  getPaymentAddressesInRange: db.prepare(`
+    SELECT DISTINCT address FROM transactions WHERE timestamp >= ? AND timestamp < ? ORDER BY address
+  `),
+  hasPaymentsForAddress: db.prepare(`
+    SELECT 1 FROM transactions WHERE address = ? LIMIT 1
+  `),
+
   // NEW: Check for missing blocks in range
   getMissingBlocks: db.prepare(`
     WITH RECURSIVE block_range(height) AS (
@@ -513,6 +1352,17 @@ getRecentFailedSnapshots: db.prepare(`
     GROUP BY address
   `),
 
+  // NEW: Confirmed vs pending split (payments at or below the confirmed height are confirmed)
+  getConfirmationSplit: db.prepare(`
+    SELECT 
+      COALESCE(SUM(CASE WHEN block_height <= ? THEN value ELSE 0 END), 0) as confirmed_total,
+      COALESCE(SUM(CASE WHEN block_height <= ? THEN 1 ELSE 0 END), 0) as confirmed_count,
+      COALESCE(SUM(CASE WHEN block_height > ? THEN value ELSE 0 END), 0) as pending_total,
+      COALESCE(SUM(CASE WHEN block_height > ? THEN 1 ELSE 0 END), 0) as pending_count
+    FROM transactions 
+    WHERE address = ?
+  `),
+
   // OPTIMIZED: Performance monitoring queries
   getTableStats: db.prepare(`
     SELECT 
@@ -629,9 +1479,9 @@ getRecentFailedSnapshots: db.prepare(`
 function createBatchInsertStatements(batchSize = DB_CONFIG.BATCH_INSERT_SIZE || 200) {
   try {
     // Create batch insert for blocks
-    const blockPlaceholders = Array(batchSize).fill('(?, ?, ?)').join(', ');
+    const blockPlaceholders = Array(batchSize).fill('(?, ?, ?, ?)').join(', ');
     statements.batchInsertBlocks = db.prepare(`
-      INSERT OR REPLACE INTO blocks (height, timestamp, hash) VALUES ${blockPlaceholders}
+      INSERT OR REPLACE INTO blocks (height, timestamp, hash, previous_hash) VALUES ${blockPlaceholders}
     `);
 
     // Create batch insert for transactions
@@ -936,17 +1786,17 @@ const dbUtils = {
   },
 
   // Check database health
-  checkHealth() {
+  // 🔄 UPDATED: integrity_check reads the whole file - probes pass { integrity: false }
+  checkHealth({ integrity = true } = {}) {
     try {
       // Simple query to test database
       const result = statements.getTotalBlockCount.get();
-      const integrity = db.pragma('integrity_check');
       
       return {
         accessible: true,
         blockCount: result?.count || 0,
-        integrity: integrity[0] === 'ok',
-        walMode: db.pragma('journal_mode')[0] === 'wal'
+        integrity: integrity ? db.pragma('integrity_check', { simple: true }) === 'ok' : null,
+        walMode: db.pragma('journal_mode', { simple: true }) === 'wal'
       };
     } catch (error) {
       console.error('❌ Database health check failed:', error);
@@ -957,21 +1807,503 @@ const dbUtils = {
     }
   },
 
+  // NEW: Tracked address management (backs getAllTargetAddresses on the server)
+  getTrackedAddresses() {
+    try {
+      return statements.getTrackedAddresses.all().map(row => ({
+        ...row,
+        active: row.active === 1
+      }));
+    } catch (error) {
+      console.error('❌ Error getting tracked addresses:', error);
+      return [];
+    }
+  },
+
+  // Removed addresses count as untracked unless includeRemoved (e.g. for labels in old reports)
+  getTrackedAddress(address, { includeRemoved = false } = {}) {
+    const row = statements.getTrackedAddress.get(address);
+    if (!row || (row.removed_at !== null && !includeRemoved)) return null;
+
+    const { removed_at, ...tracked } = row;
+    return { ...tracked, active: row.active === 1 };
+  },
+
+  // Returns { address, created, reactivated } - created/reactivated mean history needs a backfill
+  addTrackedAddress(address, label = null) {
+    if (!isValidFluxAddress(address)) {
+      throw new Error(`Invalid Flux address: ${address}`);
+    }
+
+    const existing = statements.getTrackedAddress.get(address);
+    if (existing?.removed_at) {
+      statements.restoreTrackedAddress.run(label, address);
+      console.log(`📍 Tracking removed address ${address} again${label ? ` (${label})` : ''}`);
+      return { address: dbUtils.getTrackedAddress(address), created: true, reactivated: false };
+    }
+    if (existing) {
+      const reactivated = existing.active !== 1;
+      statements.updateTrackedAddress.run(label ?? existing.label, 1, existing.tier, existing.node_count, address);
+      return { address: dbUtils.getTrackedAddress(address), created: false, reactivated };
+    }
+
+    statements.insertTrackedAddress.run(address, label);
+    console.log(`📍 Now tracking address ${address}${label ? ` (${label})` : ''}`);
+    return { address: dbUtils.getTrackedAddress(address), created: true, reactivated: false };
+  },
+
+  updateTrackedAddress(address, { label, active, tier, nodeCount } = {}) {
+    const existing = statements.getTrackedAddress.get(address);
+    if (!existing || existing.removed_at !== null) return null;
+
+    statements.updateTrackedAddress.run(
+      label !== undefined ? label : existing.label,
+      active !== undefined ? (active ? 1 : 0) : existing.active,
+      tier !== undefined ? tier : existing.tier,
+      nodeCount !== undefined ? nodeCount : existing.node_count,
+      address
+    );
+    return dbUtils.getTrackedAddress(address);
+  },
+
+  // 🔄 UPDATED: Marked removed instead of deleted, so config/FLUX_ADDRESSES seeding skips it on restart
+  removeTrackedAddress(address, { purge = false } = {}) {
+    const remove = db.transaction(() => {
+      const removed = statements.markTrackedAddressRemoved.run(address).changes;
+      const transactionsRemoved = purge ? statements.deleteTransactionsByAddress.run(address).changes : 0;
+      return { removed: removed > 0, transactionsRemoved };
+    });
+    return remove();
+  },
+
+  // Group members must already be in tracked_addresses (active or not)
+  findUntrackedAddresses(addresses) {
+    return addresses.filter(address => !dbUtils.getTrackedAddress(address));
+  },
+
+  // NEW: Address groups - a group is returned with its member addresses
+  getAddressGroups() {
+    try {
+      return statements.getAddressGroups.all().map(group => dbUtils.withGroupMembers(group));
+    } catch (error) {
+      console.error('❌ Error getting address groups:', error);
+      return [];
+    }
+  },
+
+  // Accepts a numeric id or a group name
+  getAddressGroup(idOrName) {
+    const id = /^\d+$/.test(String(idOrName)) ? parseInt(idOrName) : null;
+    const group = id !== null
+      ? statements.getAddressGroupById.get(id)
+      : statements.getAddressGroupByName.get(String(idOrName));
+    return group ? dbUtils.withGroupMembers(group) : null;
+  },
+
+  withGroupMembers(group) {
+    const members = statements.getAddressGroupMembers.all(group.id).map(member => ({
+      ...member,
+      active: member.active === 1
+    }));
+    return { ...group, members, addresses: members.map(member => member.address) };
+  },
+
+  createAddressGroup({ name, description = null, addresses = [] }) {
+    const create = db.transaction(() => {
+      const groupId = statements.insertAddressGroup.run(name, description).lastInsertRowid;
+      for (const address of addresses) {
+        statements.insertAddressGroupMember.run(groupId, address);
+      }
+      return groupId;
+    });
+    return dbUtils.getAddressGroup(create());
+  },
+
+  // addresses replaces the member list; add/remove adjust it
+  updateAddressGroup(id, { name, description, addresses, add = [], remove = [] } = {}) {
+    const existing = statements.getAddressGroupById.get(id);
+    if (!existing) return null;
+
+    const update = db.transaction(() => {
+      statements.updateAddressGroup.run(
+        name !== undefined ? name : existing.name,
+        description !== undefined ? description : existing.description,
+        id
+      );
+      if (Array.isArray(addresses)) {
+        statements.clearAddressGroupMembers.run(id);
+        for (const address of addresses) statements.insertAddressGroupMember.run(id, address);
+      }
+      for (const address of add) statements.insertAddressGroupMember.run(id, address);
+      for (const address of remove) statements.deleteAddressGroupMember.run(id, address);
+    });
+    update();
+    return dbUtils.getAddressGroup(id);
+  },
+
+  deleteAddressGroup(id) {
+    const remove = db.transaction(() => {
+      statements.clearAddressGroupMembers.run(id);
+      // Webhooks scoped to the group stop instead of silently matching nothing
+      statements.disableWebhooksForGroup.run(id);
+      return statements.deleteAddressGroup.run(id).changes > 0;
+    });
+    return remove();
+  },
+
+  // NEW: Webhooks - the secret is only returned when a webhook is created
+  getWebhooks() {
+    try {
+      return statements.getWebhooks.all().map(webhook => dbUtils.withWebhookDetails(webhook));
+    } catch (error) {
+      console.error('❌ Error getting webhooks:', error);
+      return [];
+    }
+  },
+
+  getWebhook(id) {
+    const webhook = statements.getWebhook.get(id);
+    return webhook ? dbUtils.withWebhookDetails(webhook) : null;
+  },
+
+  withWebhookDetails(webhook) {
+    const { secret, ...details } = webhook;
+    const group = webhook.group_id !== null ? statements.getAddressGroupById.get(webhook.group_id) : null;
+    return {
+      ...details,
+      active: webhook.active === 1,
+      group: group ? { id: group.id, name: group.name } : null,
+      deliveries: statements.getWebhookDeliveryStats.get(webhook.id)
+    };
+  },
+
+  createWebhook({ url, secret, description = null, address = null, groupId = null, minAmount = 0, active = true }) {
+    const id = statements.insertWebhook.run(
+      url, secret, description, address, groupId, minAmount, active ? 1 : 0
+    ).lastInsertRowid;
+    return { ...dbUtils.getWebhook(id), secret };
+  },
+
+  updateWebhook(id, updates = {}) {
+    const existing = statements.getWebhook.get(id);
+    if (!existing) return null;
+
+    const pick = (key, column) => updates[key] !== undefined ? updates[key] : existing[column];
+    statements.updateWebhook.run(
+      pick('url', 'url'),
+      pick('secret', 'secret'),
+      pick('description', 'description'),
+      pick('address', 'address'),
+      pick('groupId', 'group_id'),
+      pick('minAmount', 'min_amount'),
+      updates.active !== undefined ? (updates.active ? 1 : 0) : existing.active,
+      id
+    );
+    return dbUtils.getWebhook(id);
+  },
+
+  deleteWebhook(id) {
+    return statements.deleteWebhook.run(id).changes > 0;
+  },
+
+  getWebhookDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    return statements.getWebhookDeliveries.all(webhookId, status, status, limit).map(delivery => ({
+      ...delivery,
+      payload: JSON.parse(delivery.payload)
+    }));
+  },
+
+  // NEW: API tokens - the plain token is only known when it is created
+  getApiTokens() {
+    try {
+      return statements.getApiTokens.all();
+    } catch (error) {
+      console.error('❌ Error getting API tokens:', error);
+      return [];
+    }
+  },
+
+  getApiToken(id) {
+    return statements.getApiToken.get(id) || null;
+  },
+
+  createApiToken({ name, tokenHash, prefix, role, expiresAt = null }) {
+    const id = statements.insertApiToken.run(name, tokenHash, prefix, role, expiresAt).lastInsertRowid;
+    return dbUtils.getApiToken(id);
+  },
+
+  // Also ends every session opened with the token (ON DELETE CASCADE)
+  deleteApiToken(id) {
+    return statements.deleteApiToken.run(id).changes > 0;
+  },
+
+  // NEW: Alert rules - params are stored as JSON
+  getAlertRules() {
+    try {
+      return statements.getAlertRules.all().map(rule => dbUtils.withAlertRuleDetails(rule));
+    } catch (error) {
+      console.error('❌ Error getting alert rules:', error);
+      return [];
+    }
+  },
+
+  getAlertRule(id) {
+    const rule = statements.getAlertRule.get(id);
+    return rule ? dbUtils.withAlertRuleDetails(rule) : null;
+  },
+
+  withAlertRuleDetails(rule) {
+    const openAlert = statements.getOpenAlertForRule.get(rule.id);
+    return {
+      ...rule,
+      params: JSON.parse(rule.params),
+      enabled: rule.enabled === 1,
+      firing_since: openAlert ? openAlert.fired_at : null
+    };
+  },
+
+  createAlertRule({ name, type, params = {}, enabled = true }) {
+    const id = statements.insertAlertRule.run(name, type, JSON.stringify(params), enabled ? 1 : 0).lastInsertRowid;
+    return dbUtils.getAlertRule(id);
+  },
+
+  updateAlertRule(id, updates = {}) {
+    const existing = statements.getAlertRule.get(id);
+    if (!existing) return null;
+
+    const enabled = updates.enabled !== undefined ? (updates.enabled ? 1 : 0) : existing.enabled;
+    const update = db.transaction(() => {
+      statements.updateAlertRule.run(
+        updates.name !== undefined ? updates.name : existing.name,
+        updates.params !== undefined ? JSON.stringify(updates.params) : existing.params,
+        enabled,
+        id
+      );
+      // Changed rules start over - the next evaluation decides whether they fire
+      if (updates.params !== undefined || enabled === 0) {
+        statements.resolveOpenAlertsForRule.run(enabled === 0 ? 'Rule disabled' : 'Rule changed', id);
+        statements.updateAlertRuleState.run('unknown', null, null, id);
+      }
+    });
+    update();
+
+    return dbUtils.getAlertRule(id);
+  },
+
+  deleteAlertRule(id) {
+    return statements.deleteAlertRule.run(id).changes > 0;
+  },
+
+  getAlerts({ status = null, ruleId = null, limit = 50 } = {}) {
+    try {
+      return statements.getAlerts.all(status, status, ruleId, ruleId, limit);
+    } catch (error) {
+      console.error('❌ Error getting alerts:', error);
+      return [];
+    }
+  },
+
+  // NEW: Shared address=/group= filter for the revenue and transaction routes.
+  // Returns { addresses, group } or { error, status, ... } to send back as-is.
+  // 🔄 UPDATED: includeInactive also accepts removed/deactivated addresses and group members that
+  // still have stored payments - for views of past periods (income reports)
+  resolveAddressFilter({ address = null, group = null, includeInactive = false } = {}) {
+    const targetAddresses = getAllTargetAddresses();
+
+    if (address && group) {
+      return { error: 'Use either address or group, not both', status: 400 };
+    }
+
+    if (address) {
+      const known = targetAddresses.includes(address) ||
+        (includeInactive && (statements.getTrackedAddress.get(address) || statements.hasPaymentsForAddress.get(address)));
+      if (!known) {
+        return { error: 'Address not in tracked list', status: 400, trackedAddresses: targetAddresses };
+      }
+      return { addresses: [address], group: null };
+    }
+
+    if (group) {
+      const found = dbUtils.getAddressGroup(group);
+      if (!found) {
+        return { error: `Address group not found: ${group}`, status: 404 };
+      }
+      // Inactive or removed members are skipped, the same as the "all" view
+      return {
+        addresses: includeInactive ? found.addresses : found.addresses.filter(addr => targetAddresses.includes(addr)),
+        group: { id: found.id, name: found.name, description: found.description }
+      };
+    }
+
+    return { addresses: targetAddresses, group: null };
+  },
+
+  // NEW: Closest stored price to a timestamp (either side), within maxAgeSeconds
+  getNearestPrice(currency, timestamp, maxAgeSeconds) {
+    const before = statements.getPriceAtOrBefore.get(currency, timestamp);
+    const after = statements.getPriceAtOrAfter.get(currency, timestamp);
+
+    let nearest = before || after || null;
+    if (before && after) {
+      nearest = (timestamp - before.timestamp) <= (after.timestamp - timestamp) ? before : after;
+    }
+
+    if (!nearest || Math.abs(nearest.timestamp - timestamp) > maxAgeSeconds) return null;
+    return nearest;
+  },
+
+  // NEW: Historical fiat totals for one address (payments without a stored price are counted as unvalued)
+  getFiatTotals(address, currency, cutoffTime = null) {
+    try {
+      const total = statements.getFiatTotal.get(currency, address);
+      return {
+        currency,
+        fiat_total: total?.fiat_total || 0,
+        valued_count: total?.valued_count || 0,
+        unvalued_count: total?.unvalued_count || 0,
+        daily: cutoffTime !== null ? statements.getDailyFiatRevenue.all(currency, address, cutoffTime) : []
+      };
+    } catch (error) {
+      console.error(`❌ Error getting fiat totals for ${address}:`, error);
+      return { currency, fiat_total: 0, valued_count: 0, unvalued_count: 0, daily: [] };
+    }
+  },
+
+  // NEW: Highest block height whose payments have enough confirmations
+  // 🔄 UPDATED: Counted from the network tip (scheduler getNetworkHeight()) - the local tip only while that is unknown
+  getConfirmationCutoff(networkHeight = null) {
+    const confirmationsRequired = REVENUE_CONFIG.CONFIRMATIONS_REQUIRED || 1;
+    const tipHeight = networkHeight || statements.getHighestBlock.get()?.height || 0;
+
+    return {
+      tipHeight,
+      confirmationsRequired,
+      // A payment in the tip block has 1 confirmation
+      confirmedHeight: tipHeight - confirmationsRequired + 1
+    };
+  },
+
+  // NEW: Confirmed and pending revenue totals for a single address
+  getConfirmationSplit(address, confirmedHeight) {
+    try {
+      const row = statements.getConfirmationSplit.get(
+        confirmedHeight, confirmedHeight, confirmedHeight, confirmedHeight, address
+      );
+      return {
+        confirmed_total: row?.confirmed_total || 0,
+        confirmed_count: row?.confirmed_count || 0,
+        pending_total: row?.pending_total || 0,
+        pending_count: row?.pending_count || 0
+      };
+    } catch (error) {
+      console.error(`❌ Error getting confirmation split for ${address}:`, error);
+      return { confirmed_total: 0, confirmed_count: 0, pending_total: 0, pending_count: 0 };
+    }
+  },
+
+  // NEW: Roll back every block and transaction above a fork height (chain reorganization)
+  rollbackAboveHeight(forkHeight) {
+    const rollback = db.transaction((height) => {
+      const transactionsRemoved = statements.deleteTransactionsAboveHeight.run(height).changes;
+      const blocksRolledBack = statements.deleteBlocksAboveHeight.run(height).changes;
+      // 🔄 UPDATED: Sync checkpoints above the fork are no longer valid
+      statements.deleteSyncRangesAbove.run(height);
+      statements.truncateSyncRangesAbove.run(height, height);
+      return { blocksRolledBack, transactionsRemoved };
+    });
+
+    const result = rollback(forkHeight);
+    console.log(`⏪ Rolled back ${result.blocksRolledBack} blocks and ${result.transactionsRemoved} transactions above height ${forkHeight}`);
+    return result;
+  },
+
+  // NEW: Record a detected chain reorganization
+  recordChainReorg(reorg) {
+    try {
+      const result = statements.insertChainReorg.run(
+        reorg.forkHeight,
+        reorg.oldTipHeight,
+        reorg.depth,
+        reorg.oldTipHash || null,
+        reorg.newTipHash || null,
+        reorg.blocksRolledBack || 0,
+        reorg.transactionsRemoved || 0,
+        reorg.detectionMethod || 'tip_hash',
+        reorg.notes || null
+      );
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('❌ Error recording chain reorg:', error);
+      return null;
+    }
+  },
+
+  // NEW: Get chain reorganization history for status reporting
+  getChainReorgSummary(limit = 5) {
+    try {
+      const totals = statements.getChainReorgCount.get();
+      return {
+        total: totals?.count || 0,
+        maxDepth: totals?.max_depth || 0,
+        recent: statements.getRecentChainReorgs.all(limit)
+      };
+    } catch (error) {
+      console.error('❌ Error getting chain reorg summary:', error);
+      return { total: 0, maxDepth: 0, recent: [] };
+    }
+  },
+
+  // NEW: Failed block queue - `failures` are { height, error, attempts, status, nextRetryAt } computed by the scheduler
+  recordFailedBlocks(failures) {
+    const record = db.transaction((rows) => {
+      for (const row of rows) {
+        statements.upsertFailedBlock.run(row.height, row.status, row.attempts, row.error, row.nextRetryAt);
+      }
+    });
+    record(failures);
+  },
+
+  clearFailedBlocks(heights) {
+    const clear = db.transaction((list) => list.reduce((removed, height) => removed + statements.deleteFailedBlock.run(height).changes, 0));
+    return clear(heights);
+  },
+
+  getFailedBlocks({ status = null, limit = 100, offset = 0 } = {}) {
+    return statements.getFailedBlocks.all(status, status, limit, offset);
+  },
+
+  getFailedBlockSummary() {
+    try {
+      return statements.getFailedBlockStats.get();
+    } catch (error) {
+      console.error('❌ Error getting failed block summary:', error);
+      return { total: 0, retrying: 0, failed: 0, next_retry_at: null, lowest_height: null, highest_height: null };
+    }
+  },
+
+  // Makes queued blocks due right away (null = all of them) - returns the number of blocks affected
+  retryFailedBlocksNow(height = null) {
+    return height === null
+      ? statements.retryAllFailedBlocksNow.run().changes
+      : statements.retryFailedBlockNow.run(height).changes;
+  },
+
   // Get performance metrics
   getPerformanceMetrics() {
     try {
-      const cacheStats = db.pragma('cache_size');
-      const pageCount = db.pragma('page_count');
-      const pageSize = db.pragma('page_size');
-      const freelistCount = db.pragma('freelist_count');
+      // 🔄 UPDATED: simple mode returns the value itself instead of a row object
+      const cacheSize = db.pragma('cache_size', { simple: true });
+      const pageCount = db.pragma('page_count', { simple: true });
+      const pageSize = db.pragma('page_size', { simple: true });
+      const freelistCount = db.pragma('freelist_count', { simple: true });
       
       return {
-        cacheSize: cacheStats[0],
-        totalPages: pageCount[0],
-        pageSize: pageSize[0],
-        freePages: freelistCount[0],
-        databaseSize: pageCount[0] * pageSize[0],
-        cacheUtilization: (cacheStats[0] / pageCount[0]) * 100
+        cacheSize,
+        totalPages: pageCount,
+        pageSize,
+        freePages: freelistCount,
+        databaseSize: pageCount * pageSize,
+        cacheUtilization: pageCount > 0 ? (cacheSize / pageCount) * 100 : 0
       };
     } catch (error) {
       console.error('❌ Error getting performance metrics:', error);
@@ -991,7 +2323,7 @@ export const batchOperations = {
         let inserted = 0;
         for (const block of blockList) {
           try {
-            statements.insertBlock.run(block.height, block.timestamp, block.hash);
+            statements.insertBlock.run(block.height, block.timestamp, block.hash, block.previousHash || null);
             inserted++;
           } catch (error) {
             if (!error.message.includes('UNIQUE constraint failed')) {
@@ -1010,7 +2342,8 @@ export const batchOperations = {
   },
 
   // Batch insert transactions with transaction
-  insertTransactions(transactions) {
+  // insertedRows (optional array) collects the transactions that were actually new
+  insertTransactions(transactions, insertedRows = null) {
     if (!transactions || transactions.length === 0) return 0;
     
     try {
@@ -1018,7 +2351,7 @@ export const batchOperations = {
         let inserted = 0;
         for (const tx of txList) {
           try {
-            statements.insertTransaction.run(
+            const changes = statements.insertTransaction.run(
               tx.blockHeight,
               tx.txHash,
               tx.voutIndex,
@@ -1026,8 +2359,9 @@ export const batchOperations = {
               tx.fromAddress,
               tx.value,
               tx.timestamp
-            );
-            inserted++;
+            ).changes;
+            inserted += changes;
+            if (changes > 0 && insertedRows) insertedRows.push(tx);
           } catch (error) {
             if (!error.message.includes('UNIQUE constraint failed')) {
               console.error(`Error inserting transaction ${tx.txHash}:`, error);
@@ -1185,7 +2519,8 @@ process.on('exit', closeDatabase);
 
 // 🔄 UPDATED: Enhanced periodic maintenance (every 30 minutes) + Network stats cleanup (4-year retention)
 if (DB_CONFIG.ENABLE_AUTO_MAINTENANCE !== false) {
-  setInterval(async () => {
+  // Doesn't keep a process alive on its own (CLI commands, tests)
+  const maintenanceInterval = setInterval(async () => {
     try {
       await dbUtils.optimize();
       
@@ -1198,6 +2533,28 @@ if (DB_CONFIG.ENABLE_AUTO_MAINTENANCE !== false) {
       console.error('❌ Periodic maintenance failed:', error);
     }
   }, 30 * 60 * 1000);
+  maintenanceInterval.unref?.();
+}
+
+// NEW: Seed tracked addresses from config / FLUX_ADDRESSES and serve them to getAllTargetAddresses
+// Only new addresses are inserted - removed ones keep their row (removed_at) and stay removed
+try {
+  const seedAddresses = db.transaction((addresses) => {
+    let seeded = 0;
+    for (const address of addresses) {
+      seeded += statements.insertTrackedAddress.run(address, null).changes;
+    }
+    return seeded;
+  });
+
+  const seeded = seedAddresses(TARGET_ADDRESSES.filter(isValidFluxAddress));
+  if (seeded > 0) {
+    console.log(`📍 Seeded ${seeded} tracked address${seeded === 1 ? '' : 'es'} from config`);
+  }
+
+  setTargetAddressProvider(() => statements.getActiveTrackedAddresses.all().map(row => row.address));
+} catch (error) {
+  console.error('❌ Error initializing tracked addresses - using config addresses:', error);
 }
 
 // 🔄 UPDATED: Enhanced initialization logging
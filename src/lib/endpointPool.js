@@ -0,0 +1,168 @@
+// endpointPool.js - Health-weighted choice between equivalent Flux API endpoints, with circuit breakers
+// Every endpoint serves the same REST paths (api.runonflux.io, or any FluxNode's API on :16127).
+// Each one keeps a moving average of latency and success rate; requests go to a random endpoint
+// weighted by that score. After FAILURE_THRESHOLD failures in a row an endpoint's circuit opens
+// and it gets no traffic until OPEN_DURATION has passed; then one trial request (half-open)
+// decides whether it closes again or stays open for twice as long.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Endpoint pool can only be used on server-side');
+}
+
+import { API_CONFIG, ENDPOINT_CONFIG } from './config.js';
+
+const EWMA_ALPHA = 0.2;
+
+function createEndpoint(url) {
+  return {
+    url,
+    state: 'closed', // 'closed', 'open' or 'half_open'
+    openUntil: 0,
+    openDuration: ENDPOINT_CONFIG.OPEN_DURATION,
+    trialInFlight: false,
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    latencyMs: null, // EWMA of successful response times
+    successRate: 1, // EWMA, 1 = every recent request succeeded
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null
+  };
+}
+
+function score(endpoint) {
+  const latency = endpoint.latencyMs ?? ENDPOINT_CONFIG.ASSUMED_LATENCY;
+  return Math.max(0.05, endpoint.successRate) ** 2 * (1000 / (latency + 100));
+}
+
+export function createEndpointPool(urls) {
+  const endpoints = [...new Set(urls.map(url => url.replace(/\/$/, '')))].map(createEndpoint);
+
+  // open → half_open once the wait is over
+  function refreshState(endpoint, now) {
+    if (endpoint.state === 'open' && now >= endpoint.openUntil) {
+      endpoint.state = 'half_open';
+      endpoint.trialInFlight = false;
+    }
+  }
+
+  function isAvailable(endpoint) {
+    return endpoint.state === 'closed' || (endpoint.state === 'half_open' && !endpoint.trialInFlight);
+  }
+
+  return {
+    // Splits a URL on one of the pool's bases; null when it isn't a pooled URL
+    match(url) {
+      const endpoint = endpoints.find(ep => url === ep.url || url.startsWith(`${ep.url}/`) || url.startsWith(`${ep.url}?`));
+      return endpoint ? url.slice(endpoint.url.length) : null;
+    },
+
+    // Weighted random pick, skipping endpoints already tried for this request
+    pick(exclude = []) {
+      const now = Date.now();
+      endpoints.forEach(endpoint => refreshState(endpoint, now));
+
+      const candidates = endpoints.filter(endpoint => isAvailable(endpoint) && !exclude.includes(endpoint));
+      if (candidates.length === 0) return null;
+
+      const weights = candidates.map(score);
+      let target = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+      let chosen = candidates[candidates.length - 1];
+      for (let i = 0; i < candidates.length; i++) {
+        target -= weights[i];
+        if (target <= 0) {
+          chosen = candidates[i];
+          break;
+        }
+      }
+
+      if (chosen.state === 'half_open') chosen.trialInFlight = true;
+      chosen.requests++;
+      return chosen;
+    },
+
+    recordSuccess(endpoint, latencyMs) {
+      endpoint.successes++;
+      endpoint.consecutiveFailures = 0;
+      endpoint.lastSuccessAt = Date.now();
+      endpoint.successRate += EWMA_ALPHA * (1 - endpoint.successRate);
+      endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs + EWMA_ALPHA * (latencyMs - endpoint.latencyMs);
+
+      if (endpoint.state !== 'closed') {
+        console.log(`✅ API endpoint ${endpoint.url} recovered - circuit closed`);
+      }
+      endpoint.state = 'closed';
+      endpoint.trialInFlight = false;
+      endpoint.openDuration = ENDPOINT_CONFIG.OPEN_DURATION;
+    },
+
+    // A Retry-After (error.retryAfterMs) takes the endpoint out of rotation for exactly that long,
+    // unless it is the only one - then apiCall pauses all requests instead
+    recordFailure(endpoint, error) {
+      endpoint.failures++;
+      endpoint.consecutiveFailures++;
+      endpoint.lastError = error.message;
+      endpoint.lastErrorAt = Date.now();
+      endpoint.successRate += EWMA_ALPHA * (0 - endpoint.successRate);
+
+      if (error.retryAfterMs && API_CONFIG.RATE_LIMIT_BACKOFF && endpoints.length > 1) {
+        console.warn(`⏸️ API endpoint ${endpoint.url} asked to retry after ${Math.ceil(error.retryAfterMs / 1000)}s`);
+        endpoint.state = 'open';
+        endpoint.openUntil = Math.max(endpoint.openUntil, Date.now() + error.retryAfterMs);
+        endpoint.trialInFlight = false;
+        return;
+      }
+
+      const trialFailed = endpoint.state === 'half_open';
+      if (trialFailed || endpoint.consecutiveFailures >= ENDPOINT_CONFIG.FAILURE_THRESHOLD) {
+        if (trialFailed) {
+          endpoint.openDuration = Math.min(endpoint.openDuration * 2, ENDPOINT_CONFIG.MAX_OPEN_DURATION);
+        }
+        if (endpoint.state !== 'open') {
+          console.warn(`⚠️ API endpoint ${endpoint.url} circuit open for ${Math.round(endpoint.openDuration / 1000)}s: ${error.message}`);
+        }
+        endpoint.state = 'open';
+        endpoint.openUntil = Date.now() + endpoint.openDuration;
+        endpoint.trialInFlight = false;
+      }
+    },
+
+    // Soonest time any circuit lets traffic through again (ms timestamp), for error messages
+    nextAvailableAt() {
+      return Math.min(...endpoints.map(endpoint => endpoint.state === 'open' ? endpoint.openUntil : Date.now()));
+    },
+
+    getStats() {
+      const now = Date.now();
+      return endpoints.map(endpoint => {
+        refreshState(endpoint, now);
+        return {
+          url: endpoint.url,
+          state: endpoint.state,
+          score: Number(score(endpoint).toFixed(3)),
+          requests: endpoint.requests,
+          successes: endpoint.successes,
+          failures: endpoint.failures,
+          consecutiveFailures: endpoint.consecutiveFailures,
+          avgLatencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+          successRate: Number(endpoint.successRate.toFixed(3)),
+          openForMs: endpoint.state === 'open' ? endpoint.openUntil - now : 0,
+          lastError: endpoint.lastError,
+          lastErrorAt: endpoint.lastErrorAt,
+          lastSuccessAt: endpoint.lastSuccessAt
+        };
+      });
+    },
+
+    reset() {
+      endpoints.splice(0, endpoints.length, ...endpoints.map(endpoint => createEndpoint(endpoint.url)));
+    },
+
+    get size() {
+      return endpoints.length;
+    }
+  };
+}
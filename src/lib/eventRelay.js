@@ -0,0 +1,73 @@
+// eventRelay.js - Shares live events (events.js) between processes through the event_relay table
+// Sync progress, blocks and payments are published in the process that syncs - with scripts/syncd.js next to
+// a read-only web server, that is not the one serving /api/events. Every process that starts the relay writes
+// its own events to the table and republishes the other processes' events every EVENT_RELAY_INTERVAL.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Event relay can only run on server-side');
+}
+
+import { statements } from './db.js';
+import { PROCESS_CONFIG } from './config.js';
+import { publishEvent, setEventRelayWriter } from './events.js';
+import { getLeaderStatus } from './leaderLock.js';
+
+const RELAY_BATCH_SIZE = 500;
+const PRUNE_INTERVAL = 60 * 1000;
+
+let relayTimer = null;
+let lastRelayedId = 0;
+let lastPruneAt = 0;
+
+function relayOwnEvent(origin, event) {
+  try {
+    statements.insertRelayEvent.run(origin, event.type, event.time, JSON.stringify(event.data ?? null));
+  } catch (error) {
+    console.warn(`⚠️ Could not relay ${event.type} event:`, error.message);
+  }
+}
+
+function pollRelayedEvents(origin) {
+  try {
+    const rows = statements.getRelayEventsAfter.all(lastRelayedId, origin, RELAY_BATCH_SIZE);
+
+    for (const row of rows) {
+      lastRelayedId = row.id;
+      let data = null;
+      try {
+        data = JSON.parse(row.data);
+      } catch (error) {
+        continue;
+      }
+      publishEvent(row.type, data, { relayed: true, time: row.time });
+    }
+
+    if (Date.now() - lastPruneAt >= PRUNE_INTERVAL) {
+      lastPruneAt = Date.now();
+      statements.deleteRelayEventsBefore.run(Date.now() - PROCESS_CONFIG.EVENT_RELAY_RETENTION);
+    }
+  } catch (error) {
+    console.warn('⚠️ Event relay poll failed:', error.message);
+  }
+}
+
+// Safe to call more than once - only events published after the first call are relayed
+export function startEventRelay() {
+  if (relayTimer) return;
+
+  const origin = getLeaderStatus().owner;
+  lastRelayedId = statements.getLastRelayEventId.get().id;
+
+  setEventRelayWriter(event => relayOwnEvent(origin, event));
+  relayTimer = setInterval(() => pollRelayedEvents(origin), PROCESS_CONFIG.EVENT_RELAY_INTERVAL);
+  relayTimer.unref?.();
+}
+
+export function stopEventRelay() {
+  if (relayTimer) {
+    clearInterval(relayTimer);
+    relayTimer = null;
+  }
+  setEventRelayWriter(null);
+}
@@ -0,0 +1,114 @@
+// events.js - In-process event bus for live updates (consumed by /api/events)
+// Event types:
+//   sync             - sync progress (bridged from the 'syncStatusUpdate' process event)
+//   blocks           - a batch of blocks was stored
+//   payments         - new payments to tracked addresses were stored
+//   network-snapshot - a network stats snapshot finished
+//   alert            - an alert rule started firing or resolved (see alerts.js)
+// A short history is kept so reconnecting clients can resume from Last-Event-ID.
+// Events from other processes (a sync daemon next to a read-only web server) arrive through eventRelay.js.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Event bus can only run on server-side');
+}
+
+import { EventEmitter } from 'events';
+
+const EVENT_HISTORY_SIZE = 200;
+const SYNC_EVENT_INTERVAL = 1000; // 🛡️ Progress updates are coalesced to at most one per second
+const MAX_PAYMENTS_PER_EVENT = 50; // 🛡️ Historical sync can store thousands of payments per batch
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let nextEventId = 1;
+const eventHistory = [];
+let relayWriter = null; // NEW: Set by eventRelay.js - gets this process's own events
+
+export function setEventRelayWriter(writer) {
+  relayWriter = writer;
+}
+
+// 🔄 UPDATED: relayed - the event came from another process (eventRelay.js), time is its original time
+export function publishEvent(type, data, { relayed = false, time = Date.now() } = {}) {
+  const event = { id: nextEventId++, type, time, data, relayed };
+
+  eventHistory.push(event);
+  if (eventHistory.length > EVENT_HISTORY_SIZE) eventHistory.shift();
+
+  bus.emit('event', event);
+  if (!relayed && relayWriter) relayWriter(event);
+  return event;
+}
+
+// Replays events newer than lastEventId, then delivers live ones - returns an unsubscribe function
+export function subscribeEvents(listener, lastEventId = null) {
+  if (lastEventId !== null) {
+    for (const event of eventHistory) {
+      if (event.id > lastEventId) listener(event);
+    }
+  }
+
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+export function getSubscriberCount() {
+  return bus.listenerCount('event');
+}
+
+// Payments as stored in the transactions table
+export function publishPayments(payments, source = 'sync') {
+  if (!payments || payments.length === 0) return;
+
+  const newest = [...payments]
+    .sort((a, b) => b.blockHeight - a.blockHeight)
+    .slice(0, MAX_PAYMENTS_PER_EVENT);
+
+  publishEvent('payments', {
+    source,
+    count: payments.length,
+    total: payments.reduce((sum, payment) => sum + (payment.amount || 0), 0),
+    addresses: [...new Set(payments.map(payment => payment.address))],
+    payments: newest,
+    truncated: payments.length > newest.length
+  });
+}
+
+export function publishBlocks(heights) {
+  if (!heights || heights.length === 0) return;
+
+  publishEvent('blocks', {
+    count: heights.length,
+    fromHeight: Math.min(...heights),
+    toHeight: Math.max(...heights)
+  });
+}
+
+// Bridge the existing process event from syncStatusStore.js
+let pendingSyncInfo = null;
+let syncTimer = null;
+let lastSyncEvent = 0;
+
+function flushSyncInfo() {
+  syncTimer = null;
+  lastSyncEvent = Date.now();
+  publishEvent('sync', pendingSyncInfo);
+  pendingSyncInfo = null;
+}
+
+if (typeof process !== 'undefined' && process.on) {
+  process.on('syncStatusUpdate', (syncInfo) => {
+    pendingSyncInfo = syncInfo;
+
+    // Start/finish transitions go out immediately, progress is throttled
+    const elapsed = Date.now() - lastSyncEvent;
+    if (elapsed >= SYNC_EVENT_INTERVAL || syncInfo.isRunning === false) {
+      if (syncTimer) clearTimeout(syncTimer);
+      flushSyncInfo();
+    } else if (!syncTimer) {
+      syncTimer = setTimeout(flushSyncInfo, SYNC_EVENT_INTERVAL - elapsed);
+    }
+  });
+}
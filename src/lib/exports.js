@@ -0,0 +1,331 @@
+// exports.js - Streaming dataset exports (CSV / JSON / NDJSON)
+// Rows are read with better-sqlite3 iterators and serialized chunk by chunk as the client
+// reads, so multi-year exports never sit in memory. Each export opens its own read-only
+// connection: an open iterator keeps a connection busy, and the shared one is needed by
+// the scheduler and every other route. In WAL mode the export also sees a consistent snapshot.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Exports can only run on server-side');
+}
+
+import Database from 'better-sqlite3';
+import { DB_CONFIG } from './config.js';
+import { toCsvRow } from './csv.js';
+// Imported for its side effects: the schema must exist before a read-only connection opens
+import './db.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const ISO_DATE = (column) => `strftime('%Y-%m-%dT%H:%M:%SZ', ${column}, 'unixepoch') as date`;
+
+function timeConditions(column, filters, conditions, params) {
+  if (filters.fromTime !== null) {
+    conditions.push(`${column} >= ?`);
+    params.push(filters.fromTime);
+  }
+  if (filters.toTime !== null) {
+    conditions.push(`${column} <= ?`);
+    params.push(filters.toTime);
+  }
+}
+
+function blockConditions(column, filters, conditions, params) {
+  if (filters.fromBlock !== null) {
+    conditions.push(`${column} >= ?`);
+    params.push(filters.fromBlock);
+  }
+  if (filters.toBlock !== null) {
+    conditions.push(`${column} <= ?`);
+    params.push(filters.toBlock);
+  }
+}
+
+function addressCondition(column, filters, conditions, params) {
+  if (filters.addresses) {
+    // An empty group exports nothing rather than everything
+    conditions.push(filters.addresses.length > 0 ? `${column} IN (${filters.addresses.map(() => '?').join(', ')})` : '0');
+    params.push(...filters.addresses);
+  }
+}
+
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// NEW: Filter values from query strings and CLI flags - undefined when invalid, null when not given.
+// Accepts unix seconds or an ISO date/time. A date-only `to` covers that whole UTC day.
+export function parseTimeParam(value, endOfDay = false) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) return parseInt(value);
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) return undefined;
+
+  const seconds = Math.floor(parsed / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86399 : seconds;
+}
+
+export function parseBlockParam(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const height = parseInt(value);
+  return Number.isInteger(height) && height >= 0 ? height : undefined;
+}
+
+// Each dataset lists its columns (output order) and the filters it supports
+export const EXPORT_DATASETS = {
+  transactions: {
+    description: 'Every stored payment with its fiat value at receipt',
+    filters: ['time', 'block', 'address'],
+    columns: [
+      'id', 'block_height', 'timestamp', 'date', 'tx_hash', 'vout_index', 'address',
+      'from_address', 'value', 'fiat_currency', 'fiat_value', 'fiat_price', 'fiat_source'
+    ],
+    buildQuery(filters) {
+      const conditions = [];
+      const params = [filters.currency, filters.currency];
+      timeConditions('t.timestamp', filters, conditions, params);
+      blockConditions('t.block_height', filters, conditions, params);
+      addressCondition('t.address', filters, conditions, params);
+
+      return {
+        sql: `
+          SELECT t.id, t.block_height, t.timestamp, ${ISO_DATE('t.timestamp')}, t.tx_hash, t.vout_index,
+            t.address, t.from_address, t.value, ? as fiat_currency,
+            fv.value as fiat_value, fv.price as fiat_price, fv.source as fiat_source
+          FROM transactions t
+          LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+          ${whereClause(conditions)}
+          ORDER BY t.block_height ASC, t.id ASC
+        `,
+        params
+      };
+    }
+  },
+
+  blocks: {
+    description: 'Synced blocks (address filters keep blocks that paid those addresses)',
+    filters: ['time', 'block', 'address'],
+    columns: ['height', 'timestamp', 'date', 'hash', 'previous_hash', 'synced_at'],
+    buildQuery(filters) {
+      const conditions = [];
+      const params = [];
+      timeConditions('b.timestamp', filters, conditions, params);
+      blockConditions('b.height', filters, conditions, params);
+
+      if (filters.addresses) {
+        const paymentConditions = ['t.block_height = b.height'];
+        addressCondition('t.address', filters, paymentConditions, params);
+        conditions.push(`EXISTS (SELECT 1 FROM transactions t WHERE ${paymentConditions.join(' AND ')})`);
+      }
+
+      return {
+        sql: `
+          SELECT b.height, b.timestamp, ${ISO_DATE('b.timestamp')}, b.hash, b.previous_hash, b.synced_at
+          FROM blocks b
+          ${whereClause(conditions)}
+          ORDER BY b.height ASC
+        `,
+        params
+      };
+    }
+  },
+
+  'daily-revenue': {
+    description: 'Revenue per UTC day and address, in FLUX and fiat at receipt',
+    filters: ['time', 'block', 'address'],
+    columns: ['date', 'address', 'payments', 'flux_total', 'fiat_currency', 'fiat_total', 'unvalued_count'],
+    buildQuery(filters) {
+      const conditions = [];
+      const params = [filters.currency, filters.currency];
+      timeConditions('t.timestamp', filters, conditions, params);
+      blockConditions('t.block_height', filters, conditions, params);
+      addressCondition('t.address', filters, conditions, params);
+
+      return {
+        sql: `
+          SELECT date(t.timestamp, 'unixepoch') as date, t.address, COUNT(*) as payments,
+            SUM(t.value) as flux_total, ? as fiat_currency, COALESCE(SUM(fv.value), 0) as fiat_total,
+            COUNT(*) - COUNT(fv.transaction_id) as unvalued_count
+          FROM transactions t
+          LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+          ${whereClause(conditions)}
+          GROUP BY date(t.timestamp, 'unixepoch'), t.address
+          ORDER BY date ASC, t.address ASC
+        `,
+        params
+      };
+    }
+  },
+
+  'node-stats': {
+    description: 'Network node count snapshots',
+    filters: ['time'],
+    columns: [
+      'timestamp', 'date', 'total_nodes', 'cumulus_nodes', 'nimbus_nodes', 'stratus_nodes', 'arcane_nodes',
+      'cumulus_percentage', 'nimbus_percentage', 'stratus_percentage', 'arcane_percentage',
+      'data_source', 'api_success_rate', 'notes'
+    ],
+    buildQuery(filters) {
+      const conditions = [];
+      const params = [];
+      timeConditions('timestamp', filters, conditions, params);
+
+      return {
+        sql: `
+          SELECT timestamp, ${ISO_DATE('timestamp')}, total_nodes, cumulus_nodes, nimbus_nodes, stratus_nodes,
+            arcane_nodes, cumulus_percentage, nimbus_percentage, stratus_percentage, arcane_percentage,
+            data_source, api_success_rate, notes
+          FROM network_node_stats
+          ${whereClause(conditions)}
+          ORDER BY timestamp ASC
+        `,
+        params
+      };
+    }
+  },
+
+  utilization: {
+    description: 'Network utilization snapshots',
+    filters: ['time'],
+    columns: [
+      'timestamp', 'date', 'total_cores', 'total_ram_gb', 'total_ssd_gb', 'utilized_cores', 'utilized_nodes',
+      'utilized_ram_gb', 'utilized_ssd_gb', 'cores_percentage', 'nodes_percentage', 'ram_percentage',
+      'ssd_percentage', 'running_apps', 'nodes_with_apps', 'watchtower_instances', 'total_checked_nodes',
+      'data_source', 'api_success_rate', 'notes'
+    ],
+    buildQuery(filters) {
+      const conditions = [];
+      const params = [];
+      timeConditions('timestamp', filters, conditions, params);
+
+      return {
+        sql: `
+          SELECT timestamp, ${ISO_DATE('timestamp')}, total_cores, total_ram_gb, total_ssd_gb, utilized_cores,
+            utilized_nodes, utilized_ram_gb, utilized_ssd_gb, cores_percentage, nodes_percentage,
+            ram_percentage, ssd_percentage, running_apps, nodes_with_apps, watchtower_instances,
+            total_checked_nodes, data_source, api_success_rate, notes
+          FROM network_utilization_stats
+          ${whereClause(conditions)}
+          ORDER BY timestamp ASC
+        `,
+        params
+      };
+    }
+  }
+};
+
+let activeExports = 0;
+
+export function getActiveExportCount() {
+  return activeExports;
+}
+
+function serializer(format, columns) {
+  if (format === 'csv') {
+    return {
+      header: toCsvRow(columns),
+      row: (row) => toCsvRow(columns.map(column => row[column])),
+      footer: ''
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      header: '',
+      row: (row) => JSON.stringify(row) + '\n',
+      footer: ''
+    };
+  }
+
+  let first = true;
+  return {
+    header: '[',
+    row: (row) => {
+      const prefix = first ? '\n' : ',\n';
+      first = false;
+      return prefix + JSON.stringify(row);
+    },
+    footer: '\n]\n'
+  };
+}
+
+// Returns a ReadableStream of the encoded export - throws when too many exports are running
+export function createExportStream(datasetName, format, filters) {
+  const dataset = EXPORT_DATASETS[datasetName];
+  if (!dataset) throw new Error(`Unknown export dataset: ${datasetName}`);
+  if (!EXPORT_FORMATS[format]) throw new Error(`Unknown export format: ${format}`);
+
+  if (activeExports >= DB_CONFIG.MAX_CONCURRENT_EXPORTS) {
+    throw new Error(`Too many exports running (max ${DB_CONFIG.MAX_CONCURRENT_EXPORTS})`);
+  }
+
+  const { sql, params } = dataset.buildQuery(filters);
+  const output = serializer(format, dataset.columns);
+  const encoder = new TextEncoder();
+  const rowsPerChunk = DB_CONFIG.EXPORT_ROWS_PER_CHUNK;
+
+  const connection = new Database(DB_CONFIG.DB_NAME, { readonly: true, fileMustExist: true });
+  activeExports++;
+
+  let iterator = null;
+  let rowCount = 0;
+  let closed = false;
+  const startTime = Date.now();
+
+  const close = (status) => {
+    if (closed) return;
+    closed = true;
+    try {
+      iterator?.return();
+    } finally {
+      connection.close();
+      activeExports--;
+    }
+    console.log(`📤 Export ${datasetName}.${format} ${status}: ${rowCount.toLocaleString()} rows in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+  };
+
+  return new ReadableStream({
+    start(controller) {
+      try {
+        iterator = connection.prepare(sql).iterate(...params);
+        if (output.header) controller.enqueue(encoder.encode(output.header));
+      } catch (error) {
+        close('failed');
+        controller.error(error);
+      }
+    },
+
+    // Called whenever the client has drained the previous chunk
+    pull(controller) {
+      try {
+        let chunk = '';
+        for (let i = 0; i < rowsPerChunk; i++) {
+          const { value, done } = iterator.next();
+          if (done) {
+            chunk += output.footer;
+            if (chunk) controller.enqueue(encoder.encode(chunk));
+            close('completed');
+            controller.close();
+            return;
+          }
+          chunk += output.row(value);
+          rowCount++;
+        }
+        controller.enqueue(encoder.encode(chunk));
+      } catch (error) {
+        console.error(`❌ Export ${datasetName} failed:`, error);
+        close('failed');
+        controller.error(error);
+      }
+    },
+
+    cancel() {
+      close('cancelled');
+    }
+  });
+}
@@ -1,10 +1,17 @@
-import { API_CONFIG, getAllTargetAddresses, getMainAddress, PERFORMANCE_CONFIG } from './config.js';
+import { API_CONFIG, ENDPOINT_CONFIG, getAllTargetAddresses, getMainAddress, PERFORMANCE_CONFIG } from './config.js';
 import { dbUtils } from './db.js';
+import { publishEvent } from './events.js';
+import { createDataSource } from './dataSource.js';
+import { createEndpointPool } from './endpointPool.js';
+import { analyzeBlockForAddresses as analyzeBlock, analyzeBlocksBatch as analyzeBlocks } from './blockAnalysis.js';
+import { getAdaptiveState, getConcurrencyLimit, parseRetryAfter, recordApiResult, resetAdaptiveState, waitForRetryAfter } from './adaptiveConcurrency.js';
+import { isSyncLeader } from './leaderLock.js';
 
-const { BASE_URL, MAX_CONCURRENT, ENABLE_CACHING, CACHE_SIZE, AGGRESSIVE_PARALLEL } = API_CONFIG;
+const { BASE_URL, ENABLE_CACHING, CACHE_SIZE, AGGRESSIVE_PARALLEL } = API_CONFIG;
 
 // Performance tracking
 let apiCallCount = 0;
+let apiErrorCount = 0;
 let cacheHitCount = 0;
 let batchTimes = [];
 
@@ -51,52 +58,148 @@ if (ENABLE_CACHING) {
   }, 30 * 60 * 1000);
 }
 
-// Enhanced API call wrapper with connection management
-async function apiCall(url, options = {}) {
-  if (activeConnections >= MAX_CONCURRENT) {
-    await new Promise(resolve => connectionQueue.push(resolve));
-  }
-  
-  activeConnections++;
+// NEW: Equivalent Flux API endpoints with health scores and circuit breakers (see endpointPool.js)
+const endpointPool = createEndpointPool(ENDPOINT_CONFIG.ENDPOINTS);
+
+// One HTTP attempt - HTTP errors carry their status so apiCall can tell endpoint failures apart
+async function fetchOnce(url, fetchOptions, acceptStatus) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.CONNECTION_TIMEOUT);
   
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.CONNECTION_TIMEOUT);
-    
     const response = await fetch(url, {
       method: 'GET',
-      ...options,
+      ...fetchOptions,
       signal: controller.signal,
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; FluxTracker/1.0)',
         'Accept': 'application/json',
         'Connection': 'keep-alive',
-        ...options.headers
+        ...fetchOptions.headers
       }
     });
     
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    if (!response.ok && !acceptStatus.includes(response.status)) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
     }
     
-    if (PERFORMANCE_CONFIG.TRACK_API_CALLS) apiCallCount++;
     return response;
   } catch (error) {
     if (error.name === 'AbortError') {
       throw new Error(`Request timeout after ${API_CONFIG.CONNECTION_TIMEOUT}ms`);
     }
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// The endpoint answered - only throttling and server errors count against it
+function isEndpointFailure(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Enhanced API call wrapper with connection management
+// 🔄 UPDATED: URLs under one of ENDPOINT_CONFIG.ENDPOINTS go to the healthiest endpoint and fail over
+// to another on network errors, timeouts, 429 and 5xx. Other URLs are fetched as they are.
+// acceptStatus lists non-2xx statuses the caller reads itself (JSON-RPC errors)
+// 🔄 UPDATED: Concurrency follows the adaptive controller (adaptiveConcurrency.js), which sees every
+// attempt's latency and error and pauses all requests when the API sends Retry-After
+async function apiCall(url, options = {}) {
+  const { acceptStatus = [], ...fetchOptions } = options;
+  const path = endpointPool.match(url);
+
+  // The limit can shrink while waiting, so check again after every wake-up
+  while (activeConnections >= getConcurrencyLimit()) {
+    await new Promise(resolve => connectionQueue.push(resolve));
+  }
+  
+  activeConnections++;
+  
+  try {
+    // After getting a slot, so requests queued before a 429 wait too
+    await waitForRetryAfter();
+
+    let response;
+
+    if (path === null) {
+      const started = Date.now();
+      try {
+        response = await fetchOnce(url, fetchOptions, acceptStatus);
+        recordApiResult({ latencyMs: Date.now() - started });
+      } catch (error) {
+        recordApiResult({ error });
+        throw error;
+      }
+    } else {
+      const tried = [];
+      const maxAttempts = Math.min(endpointPool.size, ENDPOINT_CONFIG.MAX_FAILOVER_ATTEMPTS);
+      let lastError = null;
+
+      while (!response && tried.length < maxAttempts) {
+        const endpoint = endpointPool.pick(tried);
+        if (!endpoint) break;
+        tried.push(endpoint);
+
+        const started = Date.now();
+        try {
+          response = await fetchOnce(endpoint.url + path, fetchOptions, acceptStatus);
+          endpointPool.recordSuccess(endpoint, Date.now() - started);
+          recordApiResult({ latencyMs: Date.now() - started });
+        } catch (error) {
+          if (!isEndpointFailure(error)) {
+            endpointPool.recordSuccess(endpoint, Date.now() - started);
+            throw error;
+          }
+
+          endpointPool.recordFailure(endpoint, error);
+          // With other endpoints to fail over to, a Retry-After only parks this one
+          recordApiResult({ error, honorRetryAfter: endpointPool.size === 1 });
+          lastError = error;
+          if (tried.length < maxAttempts) {
+            console.warn(`🔀 ${endpoint.url} failed (${error.message}) - failing over`);
+          }
+        }
+      }
+
+      if (!response) {
+        if (lastError) throw lastError;
+        const waitSeconds = Math.max(1, Math.ceil((endpointPool.nextAvailableAt() - Date.now()) / 1000));
+        throw new Error(`All API endpoints unavailable (circuits open, next retry in ${waitSeconds}s)`);
+      }
+    }
+    
+    if (PERFORMANCE_CONFIG.TRACK_API_CALLS) apiCallCount++;
+    return response;
+  } catch (error) {
+    if (PERFORMANCE_CONFIG.TRACK_API_CALLS) apiErrorCount++;
+    throw error;
   } finally {
     activeConnections--;
-    if (connectionQueue.length > 0) {
+    // Wake as many waiters as there are free slots (at least one, so the queue keeps moving)
+    let slots = Math.max(1, getConcurrencyLimit() - activeConnections);
+    while (slots-- > 0 && connectionQueue.length > 0) {
       const resolve = connectionQueue.shift();
       resolve();
     }
   }
 }
 
+// NEW: Block data source (REST API or fluxd RPC, see dataSource.js) - requests go through apiCall
+const dataSource = createDataSource(apiCall);
+console.log(`📡 Block data source: ${dataSource.type} (${dataSource.url})`);
+
+export function getEndpointStats() {
+  return endpointPool.getStats();
+}
+
+export function getDataSourceInfo() {
+  return { type: dataSource.type, url: dataSource.url };
+}
+
 // Helper function for cache management
 function getCachedData(cacheKey, duration) {
   const cache = networkStatsCache[cacheKey];
@@ -118,25 +221,14 @@ function setCachedData(cacheKey, data) {
 export async function getCurrentBlockHeight() {
   try {
     console.log('🔍 Fetching current block height...');
-    const response = await apiCall(`${BASE_URL}/daemon/getinfo`);
-    const data = await response.json();
+    const height = await dataSource.getBlockCount();
     
-    if (data.status === 'success' && data.data?.blocks) {
-      console.log(`📡 Current block height: ${data.data.blocks}`);
-      return data.data.blocks;
-    }
-    
-    console.warn('⚠️ Unexpected response format:', data);
-    
-    // Try fallback
-    const fallbackResponse = await fetch(`${BASE_URL}/daemon/getblockcount`);
-    const fallbackData = await fallbackResponse.json();
-    
-    if (fallbackData.status === 'success' && fallbackData.data) {
-      console.log(`📡 Fallback block height: ${fallbackData.data}`);
-      return fallbackData.data;
+    if (typeof height === 'number' && height > 0) {
+      console.log(`📡 Current block height: ${height}`);
+      return height;
     }
     
+    console.warn('⚠️ Unexpected block height response:', height);
     return null;
   } catch (error) {
     console.error('❌ Error getting current block height:', error.message);
@@ -169,9 +261,7 @@ export async function getBlockDataBatch(blockHeights) {
   // Fetch uncached blocks in parallel
   const fetchPromises = uncachedHeights.map(async (height) => {
     try {
-      const response = await apiCall(`${BASE_URL}/daemon/getblock?hashheight=${height}`);
-      const data = await response.json();
-      const blockData = data.data || data;
+      const blockData = await dataSource.getBlock(height);
       
       if (ENABLE_CACHING && blockData) {
         blockCache.set(height, blockData);
@@ -203,12 +293,91 @@ export async function getBlockDataBatch(blockHeights) {
   return allResults;
 }
 
+// NEW: Fetch stage of the sync pipeline - blocks come back as unparsed response text
+// ({ height, text, status }) for the block workers; cached blocks are passed on already parsed
+export async function getRawBlockBatch(blockHeights) {
+  if (!Array.isArray(blockHeights) || blockHeights.length === 0) return [];
+
+  const startTime = Date.now();
+  let cachedCount = 0;
+
+  const results = await Promise.all(blockHeights.map(async (height) => {
+    const cached = ENABLE_CACHING ? blockCache.get(height) : null;
+    if (cached) {
+      cachedCount++;
+      cacheHitCount++;
+      return { height, data: cached, cached: true };
+    }
+
+    try {
+      const { text, status } = await dataSource.getRawBlock(height);
+      return { height, text, status };
+    } catch (error) {
+      console.error(`Error getting block ${height}:`, error.message);
+      return { height, error: error.message };
+    }
+  }));
+
+  const elapsed = Date.now() - startTime;
+  if (PERFORMANCE_CONFIG.MEASURE_BATCH_TIMES) {
+    batchTimes.push(elapsed);
+    const errorCount = results.filter(r => r.error).length;
+    console.log(`⚡ Batch fetch: ${blockHeights.length} blocks in ${elapsed}ms (${cachedCount} cached, ${blockHeights.length - cachedCount} fetched, ${errorCount} errors)`);
+  }
+
+  return results;
+}
+
 // Backward compatibility
 export async function getBlockData(blockHeight) {
   const results = await getBlockDataBatch([blockHeight]);
   return results[0]?.data || null;
 }
 
+// NEW: Canonical block hash lookup for chain reorganization checks (never cached)
+export async function getBlockHash(height) {
+  try {
+    const hash = await dataSource.getBlockHash(height);
+
+    if (typeof hash === 'string') {
+      return hash;
+    }
+
+    console.warn(`⚠️ Unexpected getblockhash response for ${height}:`, hash);
+    return null;
+  } catch (error) {
+    console.error(`❌ Error getting block hash for ${height}:`, error.message);
+    return null;
+  }
+}
+
+export async function getBlockHashes(blockHeights, batchSize = 20) {
+  const hashes = new Map();
+
+  for (let i = 0; i < blockHeights.length; i += batchSize) {
+    const batch = blockHeights.slice(i, i + batchSize);
+    const results = await Promise.all(batch.map(height => getBlockHash(height)));
+    batch.forEach((height, index) => hashes.set(height, results[index]));
+  }
+
+  return hashes;
+}
+
+// NEW: Drop cached block data that may belong to an orphaned chain
+export function invalidateBlockCache(fromHeight, toHeight) {
+  let removed = 0;
+  for (const height of Array.from(blockCache.keys())) {
+    if (height >= fromHeight && height <= toHeight) {
+      blockCache.delete(height);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    console.log(`🧹 Invalidated ${removed} cached blocks between ${fromHeight} and ${toHeight}`);
+  }
+  return removed;
+}
+
 export async function getBalance(address) {
   try {
     const targetAddress = address || getMainAddress();
@@ -274,7 +443,7 @@ export async function getFluxNodeCount() {
 
   try {
     console.log('🔍 Fetching Flux node count...');
-    const response = await apiCall('https://api.runonflux.io/daemon/getfluxnodecount');
+    const response = await apiCall(`${BASE_URL}/daemon/getfluxnodecount`);
     const data = await response.json();
     
     if (data.status === 'success' && data.data) {
@@ -709,6 +878,7 @@ export async function collectNetworkStatsSnapshot(forceCollection = false) {
       networkStatsCollectionState.lastSuccessTime = Date.now();
       networkStatsCollectionState.consecutiveFailures = 0;
       console.log(`✅ Network stats collection completed in ${elapsed}ms (node: ${nodeStored}, utilization: ${utilizationStored})`);
+      publishEvent('network-snapshot', { timestamp: snapshotTimestamp, nodeStored, utilizationStored, elapsed });
     } else {
       networkStatsCollectionState.consecutiveFailures++;
       console.error(`❌ Network stats collection failed after ${elapsed}ms (${errors.length} errors)`);
@@ -767,7 +937,10 @@ export function startNetworkStatsCollection() {
   console.log(`📅 Next network stats collection scheduled for: ${nextCollection.toISOString()}`);
   
   // Check every 5 minutes if it's time to collect
+  // 🔄 UPDATED: Only the process holding the sync leader lock collects (see leaderLock.js)
   networkStatsCollectionState.collectionInterval = setInterval(async () => {
+    if (!isSyncLeader()) return;
+    
     try {
       const shouldCollect = dbUtils.shouldTakeNetworkSnapshot();
       
@@ -789,6 +962,8 @@ export function startNetworkStatsCollection() {
   
   // Take an initial snapshot if we don't have recent data
   setTimeout(async () => {
+    if (!isSyncLeader()) return;
+    
     try {
       const syncStatus = dbUtils.getCurrentSyncStatus();
       const latestNodeStats = syncStatus?.latestNodeStats;
@@ -830,151 +1005,14 @@ export function getNetworkStatsCollectionStatus() {
   };
 }
 
-/**
- * Enhanced function to analyze block data and extract complete transaction information
- */
+// 🔄 UPDATED: Analysis lives in blockAnalysis.js so the block worker threads can run it too;
+// these keep the tracked addresses as the default
 export function analyzeBlockForAddresses(blockData, targetAddresses = null) {
-  const addresses = targetAddresses || getAllTargetAddresses();
-  if (!blockData?.tx || addresses.length === 0) {
-    return { transactions: [], count: 0, value: 0, addressBreakdown: {} };
-  }
-  
-  const transactions = [];
-  const addressBreakdown = {};
-  
-  addresses.forEach(addr => {
-    addressBreakdown[addr] = { count: 0, value: 0, transactions: [] };
-  });
-  
-  const addressSet = new Set(addresses);
-  
-  for (const tx of blockData.tx) {
-    if (tx.vin && tx.vin.length > 0 && tx.vin[0].coinbase) {
-      continue;
-    }
-    
-    const foundPayments = [];
-    
-    for (let i = 0; i < (tx.vout || []).length; i++) {
-      const output = tx.vout[i];
-      const outputAddresses = output.scriptPubKey?.addresses || [];
-      
-      for (const outputAddr of outputAddresses) {
-        if (addressSet.has(outputAddr)) {
-          foundPayments.push({
-            targetAddress: outputAddr,
-            voutIndex: i,
-            value: output.value || 0
-          });
-        }
-      }
-    }
-    
-    if (foundPayments.length > 0) {
-      let fromAddress = 'Unknown';
-      
-      if (tx.vin && tx.vin.length > 0) {
-        const firstInput = tx.vin[0];
-        
-        if (firstInput.address) {
-          fromAddress = firstInput.address;
-        } else if (firstInput.scriptSig && firstInput.scriptSig.address) {
-          fromAddress = firstInput.scriptSig.address;
-        } else if (firstInput.txid && firstInput.vout !== undefined) {
-          fromAddress = `prev:${firstInput.txid}:${firstInput.vout}`;
-        }
-      }
-      
-      for (const payment of foundPayments) {
-        const transaction = {
-          id: tx.txid,
-          from: fromAddress,
-          to: payment.targetAddress,
-          amount: payment.value,
-          date: blockData.time ? new Date(blockData.time * 1000).toISOString() : null,
-          blockHeight: blockData.height,
-          blockHash: blockData.hash,
-          confirmations: blockData.confirmations || 0,
-          voutIndex: payment.voutIndex,
-          vinCount: tx.vin ? tx.vin.length : 0,
-          voutCount: tx.vout ? tx.vout.length : 0,
-          version: tx.version,
-          locktime: tx.locktime
-        };
-        
-        transactions.push(transaction);
-        addressBreakdown[payment.targetAddress].count++;
-        addressBreakdown[payment.targetAddress].value += payment.value;
-        addressBreakdown[payment.targetAddress].transactions.push(transaction);
-      }
-    }
-  }
-  
-  return {
-    transactions,
-    count: transactions.length,
-    value: transactions.reduce((sum, tx) => sum + tx.amount, 0),
-    addressBreakdown
-  };
+  return analyzeBlock(blockData, targetAddresses || getAllTargetAddresses());
 }
 
-/**
- * Batch analyze multiple blocks for transactions to target addresses
- */
 export function analyzeBlocksBatch(blockResults, targetAddresses = null) {
-  const addresses = targetAddresses || getAllTargetAddresses();
-  
-  if (!blockResults || blockResults.length === 0 || addresses.length === 0) {
-    return { 
-      transactions: [], 
-      count: 0, 
-      value: 0, 
-      addressBreakdown: {},
-      blocksAnalyzed: 0,
-      blocksWithTransactions: 0
-    };
-  }
-  
-  const allTransactions = [];
-  const addressBreakdown = {};
-  let blocksAnalyzed = 0;
-  let blocksWithTransactions = 0;
-  
-  // Initialize address breakdown
-  addresses.forEach(addr => {
-    addressBreakdown[addr] = { count: 0, value: 0, transactions: [] };
-  });
-  
-  // Process each block result
-  for (const blockResult of blockResults) {
-    if (!blockResult.data) continue;
-    
-    blocksAnalyzed++;
-    const analysis = analyzeBlockForAddresses(blockResult.data, addresses);
-    
-    if (analysis.transactions.length > 0) {
-      blocksWithTransactions++;
-      allTransactions.push(...analysis.transactions);
-      
-      // Merge address breakdown
-      for (const [address, breakdown] of Object.entries(analysis.addressBreakdown)) {
-        if (addressBreakdown[address]) {
-          addressBreakdown[address].count += breakdown.count;
-          addressBreakdown[address].value += breakdown.value;
-          addressBreakdown[address].transactions.push(...breakdown.transactions);
-        }
-      }
-    }
-  }
-  
-  return {
-    transactions: allTransactions,
-    count: allTransactions.length,
-    value: allTransactions.reduce((sum, tx) => sum + tx.amount, 0),
-    addressBreakdown,
-    blocksAnalyzed,
-    blocksWithTransactions
-  };
+  return analyzeBlocks(blockResults, targetAddresses || getAllTargetAddresses());
 }
 
 export function analyzeBlockForAddress(blockData, targetAddress) {
@@ -997,13 +1035,12 @@ export async function resolveFromAddress(txid, voutIndex) {
   }
   
   try {
-    const response = await apiCall(`${BASE_URL}/daemon/getrawtransaction?txid=${txid}&decrypt=1`);
-    const data = await response.json();
+    const transaction = await dataSource.getRawTransaction(txid);
     
     let resolvedAddress = 'Unknown';
     
-    if (data.status === 'success' && data.data && data.data.vout && data.data.vout[voutIndex]) {
-      const output = data.data.vout[voutIndex];
+    if (transaction?.vout?.[voutIndex]) {
+      const output = transaction.vout[voutIndex];
       const addresses = output.scriptPubKey?.addresses || [];
       resolvedAddress = addresses[0] || 'Unknown';
     }
@@ -1047,7 +1084,7 @@ export async function enhanceTransactionsWithFromAddresses(transactions) {
 
   console.log(`🔍 Resolving ${needResolution.length} from addresses in parallel...`);
 
-  const batchSize = Math.min(API_CONFIG.MAX_CONCURRENT, 15);
+  const batchSize = Math.min(getConcurrencyLimit(), 15);
   const batches = [];
   
   for (let i = 0; i < needResolution.length; i += batchSize) {
@@ -1091,7 +1128,7 @@ export async function batchResolveFromAddresses(transactions, batchSize = null)
     return enhanceTransactionsWithFromAddresses(transactions);
   }
 
-  const actualBatchSize = batchSize || Math.min(API_CONFIG.MAX_CONCURRENT, 20);
+  const actualBatchSize = batchSize || Math.min(getConcurrencyLimit(), 20);
   
   if (!transactions || transactions.length === 0) {
     return [];
@@ -1152,6 +1189,7 @@ export function getPerformanceStats() {
   
   return {
     apiCallCount,
+    apiErrorCount,
     cacheHitCount,
     cacheHitRate: apiCallCount > 0 ? (cacheHitCount / apiCallCount) * 100 : 0,
     avgBatchTime: Math.round(avgBatchTime),
@@ -1160,14 +1198,19 @@ export function getPerformanceStats() {
     cacheSize: addressCache.size,
     blockCacheSize: blockCache.size,
     networkCacheStatus,
-    networkStatsCollection: getNetworkStatsCollectionStatus()
+    networkStatsCollection: getNetworkStatsCollectionStatus(),
+    endpoints: getEndpointStats(),
+    adaptive: getAdaptiveState()
   };
 }
 
 export function resetPerformanceStats() {
   apiCallCount = 0;
+  apiErrorCount = 0;
   cacheHitCount = 0;
   batchTimes.length = 0;
+  endpointPool.reset();
+  resetAdaptiveState();
   console.log('📊 Performance stats reset');
 }
 
@@ -1233,9 +1276,3 @@ export function cleanup() {
   clearNetworkStatsCache();
   console.log('🧹 API module cleanup completed');
 }
-
-// NEW: Auto-start network stats collection on module load
-console.log('🚀 Starting network stats collection service...');
-setTimeout(() => {
-  startNetworkStatsCollection();
-}, 5000); // Start after 5 seconds to allow system initialization
\ No newline at end of file
@@ -0,0 +1,250 @@
+// health.js - Liveness (/api/health) and readiness (/api/ready) checks
+// Every component reports status 'pass', 'warn' or 'fail'; the overall status is the worst of them.
+// Liveness only looks at this process and its database, so a Flux API outage never gets the container restarted.
+// Readiness adds scheduler, sync, upstream and network stats - only the database and a long-stalled sync make it fail,
+// everything else is served from the local database and only warns.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Health checks can only run on server-side');
+}
+
+import { dbUtils, statements } from './db.js';
+import { HEALTH_CONFIG } from './config.js';
+import { createDataSource } from './dataSource.js';
+import { getSchedulerState } from './scheduler.js';
+import { getNetworkStatsCollectionStatus, getEndpointStats } from './flux-api.js';
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+// Cached upstream probe - health checks must not hammer the data source
+let upstreamCheck = null;
+let upstreamCheckPromise = null;
+const upstreamSource = createDataSource(probeRequest);
+
+function worstStatus(components) {
+  return Object.values(components).reduce(
+    (worst, component) => STATUS_ORDER.indexOf(component.status) > STATUS_ORDER.indexOf(worst) ? component.status : worst,
+    'pass'
+  );
+}
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+}
+
+function checkDatabase() {
+  const health = dbUtils.checkHealth({ integrity: false });
+
+  if (!health.accessible) {
+    return { status: 'fail', message: `Database not accessible: ${health.error}` };
+  }
+
+  return {
+    status: 'pass',
+    blockCount: health.blockCount,
+    walMode: health.walMode
+  };
+}
+
+function checkProcess() {
+  const memory = process.memoryUsage();
+  return {
+    status: 'pass',
+    uptimeSeconds: Math.round(process.uptime()),
+    residentMemoryBytes: memory.rss,
+    heapUsedBytes: memory.heapUsed
+  };
+}
+
+// 🔄 UPDATED: Reports the syncing process's scheduler when this one doesn't sync (read-only or standby)
+function checkScheduler(scheduler, now) {
+  const leader = scheduler.leader;
+
+  if (!scheduler.startedAt) {
+    return {
+      status: 'warn',
+      message: leader && !leader.holder ? 'No process is syncing (sync leader lock not held)' : 'Scheduler not started yet',
+      started: false,
+      leader
+    };
+  }
+
+  return {
+    status: scheduler.scheduled ? 'pass' : 'warn',
+    message: scheduler.scheduled ? undefined : 'Sync interval is not scheduled',
+    started: true,
+    leader,
+    startedAt: new Date(scheduler.startedAt).toISOString(),
+    uptimeSeconds: Math.round((now - scheduler.startedAt) / 1000),
+    syncRunning: scheduler.syncRunning,
+    syncIntervalSeconds: Math.round(scheduler.syncInterval / 1000)
+  };
+}
+
+function checkSync(scheduler, now) {
+  const highest = statements.getHighestBlock.get();
+  const base = {
+    highestBlock: highest?.height ?? null,
+    lastSuccessfulSync: scheduler.lastSuccessfulSyncTime ? new Date(scheduler.lastSuccessfulSyncTime).toISOString() : null
+  };
+
+  if (!scheduler.lastSuccessfulSyncTime) {
+    // Before the first sync completes, only fail once the grace period is over
+    const since = scheduler.startedAt ? now - scheduler.startedAt : 0;
+    const failing = scheduler.startedAt && since > HEALTH_CONFIG.STARTUP_GRACE_PERIOD;
+    return {
+      status: failing && HEALTH_CONFIG.READY_REQUIRES_SYNC ? 'fail' : 'warn',
+      message: failing ? `No successful sync in ${formatAge(since)} since start` : 'No successful sync yet',
+      ...base,
+      ageSeconds: null
+    };
+  }
+
+  const age = now - scheduler.lastSuccessfulSyncTime;
+  let status = 'pass';
+  let message;
+
+  if (age > HEALTH_CONFIG.SYNC_FAIL_AGE) {
+    status = HEALTH_CONFIG.READY_REQUIRES_SYNC ? 'fail' : 'warn';
+    message = `Last successful sync ${formatAge(age)} ago`;
+  } else if (age > HEALTH_CONFIG.SYNC_WARN_AGE) {
+    status = 'warn';
+    message = `Last successful sync ${formatAge(age)} ago`;
+  }
+
+  return { status, message, ...base, ageSeconds: Math.round(age / 1000) };
+}
+
+// Plain fetch with its own timeout - a probe must not wait in apiCall's connection queue
+async function probeRequest(url, { acceptStatus = [], ...options } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), HEALTH_CONFIG.UPSTREAM_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json', ...options.headers }
+    });
+    if (!response.ok && !acceptStatus.includes(response.status)) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`no response within ${HEALTH_CONFIG.UPSTREAM_TIMEOUT}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// 🔄 UPDATED: Probes the configured block data source (REST API or fluxd RPC)
+async function probeUpstream() {
+  const started = Date.now();
+
+  try {
+    const chainHeight = await upstreamSource.getBlockCount();
+    const latencyMs = Date.now() - started;
+
+    if (typeof chainHeight !== 'number') {
+      return { status: 'warn', message: 'Data source returned an unexpected block count', latencyMs };
+    }
+
+    return { status: 'pass', latencyMs, chainHeight };
+  } catch (error) {
+    return { status: 'warn', message: `Data source unreachable: ${error.message}` };
+  }
+}
+
+async function checkUpstream(now) {
+  if (!upstreamCheck || now - upstreamCheck.checkedAt > HEALTH_CONFIG.UPSTREAM_CHECK_INTERVAL) {
+    // Concurrent probes share one request
+    if (!upstreamCheckPromise) {
+      upstreamCheckPromise = probeUpstream()
+        .then(result => { upstreamCheck = { ...result, checkedAt: Date.now() }; })
+        .finally(() => { upstreamCheckPromise = null; });
+    }
+    await upstreamCheckPromise;
+  }
+
+  const { checkedAt, ...result } = upstreamCheck;
+  const component = { ...result, source: upstreamSource.type, url: upstreamSource.url, checkedAt: new Date(checkedAt).toISOString() };
+
+  // Circuit state of every API endpoint the sync is using
+  const endpoints = getEndpointStats();
+  const open = endpoints.filter(endpoint => endpoint.state === 'open');
+  if (open.length > 0 && component.status === 'pass') {
+    component.status = 'warn';
+    component.message = `${open.length} of ${endpoints.length} API endpoints have an open circuit`;
+  }
+  component.endpoints = endpoints.map(({ url, state, avgLatencyMs, successRate }) => ({ url, state, avgLatencyMs, successRate }));
+
+  return component;
+}
+
+function checkNetworkStats(now) {
+  const latest = statements.getLatestNetworkNodeStats.get();
+  const collection = getNetworkStatsCollectionStatus();
+
+  if (!latest) {
+    return {
+      status: 'warn',
+      message: 'No network stats snapshot yet',
+      lastSnapshot: null,
+      consecutiveFailures: collection.consecutiveFailures ?? 0
+    };
+  }
+
+  const age = now - latest.timestamp * 1000;
+  const stale = age > HEALTH_CONFIG.NETWORK_STATS_MAX_AGE;
+
+  return {
+    status: stale ? 'warn' : 'pass',
+    message: stale ? `Newest network stats snapshot is ${formatAge(age)} old` : undefined,
+    lastSnapshot: new Date(latest.timestamp * 1000).toISOString(),
+    ageSeconds: Math.round(age / 1000),
+    consecutiveFailures: collection.consecutiveFailures ?? 0
+  };
+}
+
+// Liveness: is this process able to answer and reach its database?
+export function getLiveness() {
+  const components = {
+    process: checkProcess(),
+    database: checkDatabase()
+  };
+
+  return {
+    status: worstStatus(components),
+    timestamp: new Date().toISOString(),
+    components
+  };
+}
+
+// Readiness: should this instance receive traffic?
+export async function getReadiness() {
+  const now = Date.now();
+  const scheduler = getSchedulerState();
+
+  const components = {
+    database: checkDatabase(),
+    scheduler: checkScheduler(scheduler, now),
+    sync: checkSync(scheduler, now),
+    upstream: await checkUpstream(now),
+    networkStats: checkNetworkStats(now)
+  };
+  const status = worstStatus(components);
+
+  return {
+    status,
+    ready: status !== 'fail',
+    timestamp: new Date(now).toISOString(),
+    components
+  };
+}
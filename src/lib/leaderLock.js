@@ -0,0 +1,167 @@
+// leaderLock.js - Leader lock in the database, so only one process syncs
+// Every process that may sync (the web server unless PROCESS_CONFIG.WEB_READ_ONLY, and scripts/syncd.js)
+// tries to take the 'sync' row of sync_leader. The holder renews it every LEADER_LOCK_RENEW_INTERVAL and
+// publishes its sync status with it, so read-only and standby processes can report on a sync they don't
+// run. The others retry on the same interval and take over once the holder has not renewed for
+// LEADER_LOCK_TTL (crashed, hung or shut down without releasing).
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Leader lock can only be used on server-side');
+}
+
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { statements } from './db.js';
+import { PROCESS_CONFIG } from './config.js';
+
+const LOCK_NAME = 'sync';
+const STATE_PUBLISH_INTERVAL = 2000; // 🛡️ Sync progress updates write the lock row at most this often
+
+// Unique per process start - a restarted process on the same host and pid is a new owner
+const owner = `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+
+let role = null;
+let leader = false;
+let renewTimer = null;
+let callbacks = null;
+let lastPublishAt = 0;
+let lastHolderSeen = null;
+
+function parseLock(row) {
+  if (!row) return null;
+
+  let state = null;
+  try {
+    state = row.state ? JSON.parse(row.state) : null;
+  } catch (error) {
+    // A half-written state is treated as none
+  }
+
+  return {
+    owner: row.owner,
+    role: row.role,
+    acquiredAt: row.acquired_at * 1000,
+    heartbeatAt: row.heartbeat_at * 1000,
+    expiresAt: row.expires_at * 1000,
+    expired: row.expires_at * 1000 < Date.now(),
+    state
+  };
+}
+
+// Takes or renews the lock - true when this process holds it afterwards
+function writeLock(state) {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + Math.ceil(PROCESS_CONFIG.LEADER_LOCK_TTL / 1000);
+  const result = statements.acquireLeaderLock.run(
+    LOCK_NAME, owner, role, now, now, expiresAt, state === null ? null : JSON.stringify(state)
+  );
+  lastPublishAt = Date.now();
+  return result.changes > 0;
+}
+
+function tryLead() {
+  let previous = null;
+  let acquired;
+
+  try {
+    previous = leader ? null : parseLock(statements.getLeaderLock.get(LOCK_NAME));
+    acquired = writeLock(leader ? callbacks.getState() : null);
+  } catch (error) {
+    // e.g. SQLITE_BUSY - keep the current role and try again on the next interval
+    console.error('❌ Leader lock error:', error.message);
+    return;
+  }
+
+  if (acquired && !leader) {
+    leader = true;
+    lastHolderSeen = owner;
+    console.log(`👑 Sync leader lock taken by ${owner} (${role})${previous ? ` - previous holder ${previous.owner}` : ''}`);
+    // Publish a fresh state right away so nobody reads the previous holder's
+    writeLock(callbacks.getState());
+    callbacks.onElected(previous);
+  } else if (!acquired && leader) {
+    leader = false;
+    const holder = parseLock(statements.getLeaderLock.get(LOCK_NAME));
+    console.warn(`⚠️ Sync leader lock lost to ${holder?.owner || 'another process'} - stopping sync`);
+    callbacks.onLost();
+  } else if (!acquired && previous && previous.owner !== lastHolderSeen) {
+    lastHolderSeen = previous.owner;
+    console.log(`🕰️ Sync leader lock held by ${previous.owner} (${previous.role}) - standing by`);
+  }
+}
+
+// getState() → JSON-serializable status published with every renewal.
+// onElected(previousLock) runs when this process becomes the leader, onLost() when another one took over
+export function startLeaderElection(processRole, { getState, onElected, onLost }) {
+  if (renewTimer) return;
+
+  role = processRole;
+  callbacks = { getState, onElected, onLost };
+  tryLead();
+  renewTimer = setInterval(tryLead, PROCESS_CONFIG.LEADER_LOCK_RENEW_INTERVAL);
+}
+
+export function stopLeaderElection() {
+  if (renewTimer) {
+    clearInterval(renewTimer);
+    renewTimer = null;
+  }
+  releaseLeaderLock();
+}
+
+export function releaseLeaderLock() {
+  if (!leader) return;
+  leader = false;
+
+  try {
+    statements.releaseLeaderLock.run(LOCK_NAME, owner);
+    console.log(`👋 Sync leader lock released by ${owner}`);
+  } catch (error) {
+    // The lock expires on its own
+  }
+}
+
+// Writes the leader's status now instead of at the next renewal (throttled unless force)
+export function publishLeaderState(force = false) {
+  if (!leader || (!force && Date.now() - lastPublishAt < STATE_PUBLISH_INTERVAL)) return;
+
+  try {
+    if (!writeLock(callbacks.getState())) tryLead();
+  } catch (error) {
+    console.error('❌ Leader lock error:', error.message);
+  }
+}
+
+export function isSyncLeader() {
+  return leader;
+}
+
+// The holder's published state - null when nobody holds an unexpired lock
+export function getLeaderState() {
+  const lock = parseLock(statements.getLeaderLock.get(LOCK_NAME));
+  return lock && !lock.expired ? lock.state : null;
+}
+
+export function getLeaderStatus() {
+  const lock = parseLock(statements.getLeaderLock.get(LOCK_NAME));
+
+  return {
+    owner,
+    role,
+    isLeader: leader,
+    readOnly: role === null && PROCESS_CONFIG.WEB_READ_ONLY,
+    holder: lock && !lock.expired ? {
+      owner: lock.owner,
+      role: lock.role,
+      acquiredAt: new Date(lock.acquiredAt).toISOString(),
+      heartbeatAt: new Date(lock.heartbeatAt).toISOString(),
+      expiresAt: new Date(lock.expiresAt).toISOString()
+    } : null
+  };
+}
+
+// Hand the lock over straight away on shutdown - before db.js closes the database on the same signals
+for (const event of ['SIGINT', 'SIGTERM', 'exit']) {
+  process.prependListener(event, releaseLeaderLock);
+}
@@ -0,0 +1,105 @@
+// liveEvents.js - Client-side subscription to /api/events (Server-Sent Events)
+// One EventSource is shared by every component. While it is not open, liveStatus is
+// 'connecting' or 'polling' and components keep refreshing on their own intervals.
+
+import { writable, get } from 'svelte/store';
+
+const EVENT_TYPES = ['hello', 'sync', 'blocks', 'payments', 'network-snapshot', 'alert'];
+const MAX_CONNECT_FAILURES = 3;        // Errors before giving up and polling
+const RECONNECT_DELAY = 60 * 1000;     // Retry SSE after falling back to polling
+
+// 'idle' | 'connecting' | 'open' | 'polling'
+export const liveStatus = writable('idle');
+
+const handlers = new Map();
+let subscriberCount = 0;
+let source = null;
+let failures = 0;
+let reconnectTimer = null;
+
+function dispatch(type, message) {
+  let data;
+  try {
+    data = JSON.parse(message.data);
+  } catch (error) {
+    console.warn(`Ignoring malformed ${type} event`);
+    return;
+  }
+
+  for (const handler of handlers.get(type) || []) {
+    try {
+      handler(data);
+    } catch (error) {
+      console.error(`Error handling ${type} event:`, error);
+    }
+  }
+}
+
+function connect() {
+  reconnectTimer = null;
+
+  if (typeof window === 'undefined' || typeof EventSource === 'undefined') {
+    liveStatus.set('polling');
+    return;
+  }
+
+  liveStatus.set('connecting');
+  source = new EventSource('/api/events');
+
+  source.onopen = () => {
+    failures = 0;
+    liveStatus.set('open');
+  };
+
+  // EventSource reconnects by itself - only give up after repeated failures
+  source.onerror = () => {
+    failures++;
+    if (source.readyState === EventSource.CLOSED || failures >= MAX_CONNECT_FAILURES) {
+      disconnect();
+      liveStatus.set('polling');
+      reconnectTimer = setTimeout(() => {
+        if (subscriberCount > 0) connect();
+      }, RECONNECT_DELAY);
+    } else {
+      liveStatus.set('connecting');
+    }
+  };
+
+  for (const type of EVENT_TYPES) {
+    source.addEventListener(type, message => dispatch(type, message));
+  }
+}
+
+function disconnect() {
+  if (source) {
+    source.close();
+    source = null;
+  }
+}
+
+// Subscribe to one event type - returns an unsubscribe function. Call from onMount.
+export function onLiveEvent(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type).add(handler);
+
+  subscriberCount++;
+  if (!source && !reconnectTimer) connect();
+
+  return () => {
+    handlers.get(type)?.delete(handler);
+    subscriberCount--;
+
+    if (subscriberCount === 0) {
+      disconnect();
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      failures = 0;
+      liveStatus.set('idle');
+    }
+  };
+}
+
+// True when components can skip their polling refresh
+export function isLive() {
+  return get(liveStatus) === 'open';
+}
@@ -0,0 +1,193 @@
+// metrics.js - Prometheus text exposition (format 0.0.4) for GET /metrics
+// Everything is read from state the tracker already keeps - a scrape never calls the Flux API.
+// Counters restart from zero when the process restarts, as Prometheus expects.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Metrics can only be collected on server-side');
+}
+
+import { statements, dbUtils } from './db.js';
+import { getSyncMetrics } from './scheduler.js';
+import { getSyncInfo } from './syncStatusStore.js';
+import { getSubscriberCount } from './events.js';
+import { getActiveExportCount } from './exports.js';
+import { getAlertStatus } from './alerts.js';
+import { getRateLimitStats } from './rateLimit.js';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// samples: a number, or [{ labels, value }] - null/undefined values are left out
+function addMetric(lines, name, type, help, samples) {
+  const list = Array.isArray(samples) ? samples : [{ labels: {}, value: samples }];
+  const present = list.filter(sample => sample.value !== null && sample.value !== undefined);
+  if (present.length === 0) return;
+
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+
+  for (const { labels = {}, value } of present) {
+    const labelText = Object.entries(labels)
+      .filter(([, labelValue]) => labelValue !== null && labelValue !== undefined)
+      .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+      .join(',');
+    lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${formatValue(Number(value))}`);
+  }
+}
+
+function collectSyncMetrics(lines) {
+  const syncMetrics = getSyncMetrics();
+  const syncInfo = getSyncInfo();
+  const highest = statements.getHighestBlock.get()?.height ?? null;
+  const lowest = statements.getLowestBlock.get()?.height ?? null;
+
+  addMetric(lines, 'flux_chain_height', 'gauge', 'Latest block height reported by the Flux API', syncMetrics.networkHeight);
+  addMetric(lines, 'flux_sync_highest_block', 'gauge', 'Highest synced block height', highest);
+  addMetric(lines, 'flux_sync_lowest_block', 'gauge', 'Lowest synced block height', lowest);
+  addMetric(lines, 'flux_sync_blocks_stored', 'gauge', 'Blocks stored in the database', statements.getTotalBlockCount.get()?.count ?? 0);
+  addMetric(lines, 'flux_sync_lag_blocks', 'gauge', 'Blocks between the chain tip and the highest synced block',
+    syncMetrics.networkHeight !== null && highest !== null ? Math.max(0, syncMetrics.networkHeight - highest) : null);
+  addMetric(lines, 'flux_sync_running', 'gauge', 'Whether a sync cycle is running (1) or not (0)', syncInfo.isRunning ? 1 : 0);
+  addMetric(lines, 'flux_sync_last_run_timestamp_seconds', 'gauge', 'Unix time of the last sync status change',
+    syncInfo.lastSyncTime ? syncInfo.lastSyncTime / 1000 : null);
+  addMetric(lines, 'flux_sync_cycles_total', 'counter', 'Completed sync cycles that processed blocks', syncMetrics.syncCount);
+  addMetric(lines, 'flux_sync_blocks_processed_total', 'counter', 'Blocks processed by sync cycles', syncMetrics.totalBlocksProcessed);
+  addMetric(lines, 'flux_sync_blocks_per_second', 'gauge', 'Average sync speed over all cycles', syncMetrics.averageBlocksPerSecond);
+  addMetric(lines, 'flux_sync_last_blocks_per_second', 'gauge', 'Sync speed of the last cycle that processed blocks',
+    syncMetrics.lastSyncPerformance ? syncMetrics.lastSyncPerformance.rate : null);
+
+  const reorgs = statements.getChainReorgCount.get();
+  addMetric(lines, 'flux_chain_reorgs_total', 'counter', 'Chain reorganizations detected and rolled back', reorgs?.count ?? 0);
+
+  const failedBlocks = dbUtils.getFailedBlockSummary();
+  addMetric(lines, 'flux_sync_failed_blocks', 'gauge', 'Blocks in the failed block queue, by status', [
+    { labels: { status: 'retrying' }, value: failedBlocks.retrying },
+    { labels: { status: 'failed' }, value: failedBlocks.failed }
+  ]);
+
+  const pipeline = syncMetrics.pipeline;
+  addMetric(lines, 'flux_sync_pipeline_queued_batches', 'gauge', 'Block batches waiting between sync pipeline stages', pipeline.queuedBatches);
+  addMetric(lines, 'flux_sync_pipeline_memory_pauses_total', 'counter', 'Times block fetching paused because memory was above the limit', pipeline.memoryPauses);
+  addMetric(lines, 'flux_sync_worker_threads', 'gauge', 'Block analysis worker threads running', pipeline.workers.running);
+  addMetric(lines, 'flux_sync_worker_busy', 'gauge', 'Block analysis worker threads working on a batch', pipeline.workers.busy);
+  addMetric(lines, 'flux_sync_worker_restarts_total', 'counter', 'Block analysis worker threads replaced after a crash or timeout', pipeline.workers.restarts);
+
+  return syncMetrics.api;
+}
+
+function collectApiMetrics(lines, api) {
+  addMetric(lines, 'flux_api_calls_total', 'counter', 'Successful Flux API requests', api.apiCallCount);
+  addMetric(lines, 'flux_api_errors_total', 'counter', 'Failed Flux API requests (HTTP errors, timeouts, network errors)', api.apiErrorCount);
+  addMetric(lines, 'flux_api_cache_hits_total', 'counter', 'Lookups served from the in-memory caches', api.cacheHitCount);
+  addMetric(lines, 'flux_api_cache_hit_ratio', 'gauge', 'Cache hits relative to API calls (0-1)', api.cacheHitRate / 100);
+  addMetric(lines, 'flux_api_active_connections', 'gauge', 'Flux API requests in flight', api.activeConnections);
+  addMetric(lines, 'flux_api_queued_connections', 'gauge', 'Flux API requests waiting for a connection slot', api.queuedConnections);
+  addMetric(lines, 'flux_api_batch_duration_milliseconds', 'gauge', 'Average block batch fetch time', api.avgBatchTime);
+
+  const adaptive = api.adaptive;
+  if (adaptive) {
+    addMetric(lines, 'flux_api_concurrency_limit', 'gauge', 'Concurrent Flux API requests currently allowed by the adaptive controller', adaptive.concurrency);
+    addMetric(lines, 'flux_sync_batch_size', 'gauge', 'Blocks per sync batch currently used by the adaptive controller', adaptive.batchSize);
+    addMetric(lines, 'flux_api_paused_seconds', 'gauge', 'Time left before requests resume after a Retry-After', adaptive.pausedForMs / 1000);
+    addMetric(lines, 'flux_api_backoffs_total', 'counter', 'Times the adaptive controller reduced concurrency', adaptive.decreases);
+  }
+
+  const endpoints = api.endpoints || [];
+  const endpointLabels = endpoint => ({ endpoint: endpoint.url });
+  addMetric(lines, 'flux_api_endpoint_requests_total', 'counter', 'Requests sent to each Flux API endpoint, by result',
+    endpoints.flatMap(endpoint => [
+      { labels: { ...endpointLabels(endpoint), result: 'success' }, value: endpoint.successes },
+      { labels: { ...endpointLabels(endpoint), result: 'failure' }, value: endpoint.failures }
+    ]));
+  addMetric(lines, 'flux_api_endpoint_latency_milliseconds', 'gauge', 'Moving average response time of each endpoint',
+    endpoints.map(endpoint => ({ labels: endpointLabels(endpoint), value: endpoint.avgLatencyMs })));
+  addMetric(lines, 'flux_api_endpoint_circuit_open', 'gauge', 'Whether an endpoint is taken out of rotation (1) or not (0)',
+    endpoints.map(endpoint => ({ labels: endpointLabels(endpoint), value: endpoint.state === 'open' ? 1 : 0 })));
+  addMetric(lines, 'flux_api_cache_entries', 'gauge', 'Entries in the in-memory caches', [
+    { labels: { cache: 'address' }, value: api.cacheSize },
+    { labels: { cache: 'block' }, value: api.blockCacheSize }
+  ]);
+}
+
+function collectDatabaseMetrics(lines) {
+  const db = dbUtils.getPerformanceMetrics();
+  if (!db) return;
+
+  addMetric(lines, 'flux_db_size_bytes', 'gauge', 'SQLite database size (page count x page size)', db.databaseSize);
+  addMetric(lines, 'flux_db_free_pages', 'gauge', 'Unused pages in the SQLite database', db.freePages);
+}
+
+function collectAddressMetrics(lines) {
+  const addresses = dbUtils.getTrackedAddresses();
+  const labels = addr => ({ address: addr.address, label: addr.label });
+
+  addMetric(lines, 'flux_address_revenue_flux_total', 'counter', 'FLUX received by each tracked address (stored payments)',
+    addresses.map(addr => ({ labels: labels(addr), value: addr.total_received })));
+  addMetric(lines, 'flux_address_payments_total', 'counter', 'Payments received by each tracked address (stored payments)',
+    addresses.map(addr => ({ labels: labels(addr), value: addr.transaction_count })));
+  addMetric(lines, 'flux_address_last_payment_timestamp_seconds', 'gauge', 'Unix time of the newest stored payment to each tracked address',
+    addresses.map(addr => ({ labels: labels(addr), value: addr.last_payment })));
+  addMetric(lines, 'flux_address_active', 'gauge', 'Whether each tracked address is synced (1) or paused (0)',
+    addresses.map(addr => ({ labels: labels(addr), value: addr.active ? 1 : 0 })));
+}
+
+function collectNetworkMetrics(lines) {
+  const latest = statements.getLatestNetworkNodeStats.get();
+  const now = Math.floor(Date.now() / 1000);
+
+  addMetric(lines, 'flux_network_snapshot_timestamp_seconds', 'gauge', 'Unix time of the newest network stats snapshot', latest?.timestamp);
+  addMetric(lines, 'flux_network_snapshot_age_seconds', 'gauge', 'Age of the newest network stats snapshot', latest ? now - latest.timestamp : null);
+
+  if (latest) {
+    addMetric(lines, 'flux_network_nodes', 'gauge', 'Nodes on the network in the newest snapshot', [
+      { labels: { tier: 'cumulus' }, value: latest.cumulus_nodes },
+      { labels: { tier: 'nimbus' }, value: latest.nimbus_nodes },
+      { labels: { tier: 'stratus' }, value: latest.stratus_nodes },
+      { labels: { tier: 'arcane' }, value: latest.arcane_nodes }
+    ]);
+  }
+}
+
+function collectServiceMetrics(lines, api) {
+  const collection = api.networkStatsCollection || {};
+  addMetric(lines, 'flux_network_snapshot_consecutive_failures', 'gauge', 'Network stats collections that failed in a row', collection.consecutiveFailures ?? 0);
+
+  addMetric(lines, 'flux_alerts_firing', 'gauge', 'Alert rules currently firing', getAlertStatus().firing);
+  addMetric(lines, 'flux_live_event_subscribers', 'gauge', 'Open /api/events connections', getSubscriberCount());
+  addMetric(lines, 'flux_exports_active', 'gauge', 'Streaming exports in progress', getActiveExportCount());
+
+  const rateLimits = getRateLimitStats();
+  addMetric(lines, 'flux_rate_limit_requests_total', 'counter', 'Requests checked by the rate limiter, by rule and result',
+    rateLimits.rules.flatMap(rule => [
+      { labels: { rule: rule.name, result: 'allowed' }, value: rule.allowed },
+      { labels: { rule: rule.name, result: 'limited' }, value: rule.limited }
+    ]));
+  addMetric(lines, 'flux_rate_limit_buckets', 'gauge', 'Client buckets held by the rate limiter', rateLimits.activeBuckets);
+
+  const memory = process.memoryUsage();
+  addMetric(lines, 'flux_process_resident_memory_bytes', 'gauge', 'Resident memory of the tracker process', memory.rss);
+  addMetric(lines, 'flux_process_uptime_seconds', 'gauge', 'Seconds since the tracker process started', Math.round(process.uptime()));
+}
+
+export function collectMetrics() {
+  const lines = [];
+
+  const api = collectSyncMetrics(lines);
+  collectApiMetrics(lines, api);
+  collectDatabaseMetrics(lines);
+  collectAddressMetrics(lines);
+  collectNetworkMetrics(lines);
+  collectServiceMetrics(lines, api);
+
+  return lines.join('\n') + '\n';
+}
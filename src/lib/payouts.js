@@ -0,0 +1,238 @@
+// payouts.js - Expected vs. actual payouts per tracked address, based on its node tier
+// Every block pays one node of each tier in turn, so a single node of a tier with N nodes
+// is paid about once every N blocks. For an address running `node_count` nodes of a tier:
+//   expected payments = synced blocks * node_count / tier node count
+//   expected revenue  = expected payments * PAYOUT_CONFIG.TIER_REWARDS[tier]
+// Tier node counts come from the network_node_stats snapshot closest before each window
+// (or the first one after it, for windows older than every snapshot).
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Payout analysis can only run on server-side');
+}
+
+import { statements, dbUtils } from './db.js';
+import { PAYOUT_CONFIG, REVENUE_CONFIG } from './config.js';
+
+const FULL_SYNC_RATIO = 0.99; // 🛡️ Gaps over partly unsynced ranges are not reported as suspicious
+
+function round(value, decimals = 8) {
+  return value === null ? null : Number(value.toFixed(decimals));
+}
+
+function getVariancePercent(actual, expected) {
+  return expected > 0 ? round(((actual - expected) / expected) * 100, 2) : null;
+}
+
+// Node counts in effect at a block height, cached by snapshot so each window costs one lookup
+function createNodeStatsLookup() {
+  const cache = new Map();
+
+  return (height) => {
+    if (cache.has(height)) return cache.get(height);
+
+    const block = statements.getBlockAtOrBelow.get(height) || statements.getBlockAtOrAbove.get(height);
+    const stats = block
+      ? statements.getNetworkNodeStatsAtOrBefore.get(block.timestamp) || statements.getNetworkNodeStatsAtOrAfter.get(block.timestamp)
+      : null;
+
+    const result = stats ? {
+      timestamp: stats.timestamp,
+      cumulus: stats.cumulus_nodes,
+      nimbus: stats.nimbus_nodes,
+      stratus: stats.stratus_nodes
+    } : null;
+
+    cache.set(height, result);
+    return result;
+  };
+}
+
+function buildWindows(fromHeight, toHeight, windowBlocks, nodeStatsAt) {
+  const windows = [];
+
+  for (let start = fromHeight; start <= toHeight; start += windowBlocks) {
+    const end = Math.min(start + windowBlocks - 1, toHeight);
+    windows.push({
+      fromHeight: start,
+      toHeight: end,
+      blocks: end - start + 1,
+      syncedBlocks: statements.countBlocksInRange.get(start, end).count,
+      nodeStats: nodeStatsAt(Math.floor((start + end) / 2))
+    });
+  }
+
+  return windows;
+}
+
+function findSuspiciousGaps(address, fromHeight, toHeight, nodeStatsAt) {
+  // Payment heights, oldest first (an address running several nodes can be paid twice in a block)
+  const heights = [...new Set(
+    statements.getTransactionsByBlockRange.all(address.address, fromHeight, toHeight).map(tx => tx.block_height)
+  )].sort((a, b) => a - b);
+
+  const points = [
+    { height: fromHeight, kind: 'range_start' },
+    ...heights.map(height => ({ height, kind: 'payment' })),
+    { height: toHeight, kind: 'range_end' }
+  ];
+  const gaps = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1];
+    const end = points[i];
+    const gapBlocks = end.height - start.height;
+    if (gapBlocks <= 0) continue;
+
+    const stats = nodeStatsAt(end.height);
+    const tierNodes = stats?.[address.tier];
+    if (!tierNodes) continue;
+
+    const expectedInterval = tierNodes / address.node_count;
+    if (gapBlocks < expectedInterval * PAYOUT_CONFIG.GAP_FACTOR) continue;
+
+    const syncedBlocks = statements.countBlocksInRange.get(start.height, end.height).count;
+    if (syncedBlocks < (gapBlocks + 1) * FULL_SYNC_RATIO) continue;
+
+    gaps.push({
+      address: address.address,
+      label: address.label,
+      tier: address.tier,
+      fromHeight: start.height,
+      toHeight: end.height,
+      gapBlocks,
+      expectedIntervalBlocks: Math.round(expectedInterval),
+      ratio: round(gapBlocks / expectedInterval, 2),
+      // 'ongoing': no payment since the last one up to the newest synced block
+      kind: end.kind === 'range_end' ? 'ongoing' : start.kind === 'range_start' ? 'before_first_payment' : 'between_payments',
+      missedPayments: Math.floor(gapBlocks / expectedInterval) - 1
+    });
+  }
+
+  return gaps;
+}
+
+function analyzeAddress(address, windows, fromHeight, toHeight, nodeStatsAt) {
+  const reward = PAYOUT_CONFIG.TIER_REWARDS[address.tier];
+  let expected = 0;
+  let actual = 0;
+  let expectedPayments = 0;
+  let actualPayments = 0;
+  let comparedWindows = 0;
+
+  const windowResults = windows.map(window => {
+    const revenue = statements.getRevenueByBlockRange.get(address.address, window.fromHeight, window.toHeight);
+    const windowActual = revenue?.total_revenue || 0;
+    const windowPayments = revenue?.transaction_count || 0;
+    const tierNodes = window.nodeStats?.[address.tier];
+
+    // No snapshot or nothing synced - the window can't be compared
+    if (!tierNodes || window.syncedBlocks === 0) {
+      return { fromHeight: window.fromHeight, toHeight: window.toHeight, syncedBlocks: window.syncedBlocks, expected: null, actual: round(windowActual), variancePercent: null };
+    }
+
+    const windowExpectedPayments = window.syncedBlocks * address.node_count / tierNodes;
+    const windowExpected = windowExpectedPayments * reward;
+
+    expected += windowExpected;
+    actual += windowActual;
+    expectedPayments += windowExpectedPayments;
+    actualPayments += windowPayments;
+    comparedWindows++;
+
+    return {
+      fromHeight: window.fromHeight,
+      toHeight: window.toHeight,
+      syncedBlocks: window.syncedBlocks,
+      tierNodes,
+      expected: round(windowExpected),
+      actual: round(windowActual),
+      variancePercent: getVariancePercent(windowActual, windowExpected)
+    };
+  });
+
+  const variancePercent = comparedWindows > 0 ? getVariancePercent(actual, expected) : null;
+  let status = 'no_data';
+  if (variancePercent !== null) {
+    if (variancePercent <= -PAYOUT_CONFIG.VARIANCE_WARNING_PERCENT) status = 'underpaid';
+    else if (variancePercent >= PAYOUT_CONFIG.VARIANCE_WARNING_PERCENT) status = 'above_expected';
+    else status = 'ok';
+  }
+
+  return {
+    address: address.address,
+    label: address.label,
+    tier: address.tier,
+    nodeCount: address.node_count,
+    rewardPerPayment: reward,
+    expected: comparedWindows > 0 ? round(expected) : null,
+    actual: round(actual),
+    variance: comparedWindows > 0 ? round(actual - expected) : null,
+    variancePercent,
+    expectedPayments: comparedWindows > 0 ? round(expectedPayments, 2) : null,
+    actualPayments,
+    comparedWindows,
+    status,
+    windows: windowResults,
+    gaps: findSuspiciousGaps(address, fromHeight, toHeight, nodeStatsAt)
+  };
+}
+
+// addresses: tracked addresses to analyse (defaults to every active one)
+export function analyzePayouts({ period = PAYOUT_CONFIG.DEFAULT_PERIOD, window = PAYOUT_CONFIG.DEFAULT_WINDOW, addresses = null } = {}) {
+  const periodBlocks = REVENUE_CONFIG.BLOCK_PERIODS[period];
+  const windowBlocks = REVENUE_CONFIG.BLOCK_PERIODS[window];
+  if (!periodBlocks || !windowBlocks) {
+    throw new Error(`Unknown period or window - use one of ${Object.keys(REVENUE_CONFIG.BLOCK_PERIODS).join(', ')}`);
+  }
+  if (windowBlocks > periodBlocks || Math.ceil(periodBlocks / windowBlocks) > PAYOUT_CONFIG.MAX_WINDOWS) {
+    throw new Error(`window must be smaller than period and give at most ${PAYOUT_CONFIG.MAX_WINDOWS} windows`);
+  }
+
+  const highest = statements.getHighestBlock.get()?.height ?? null;
+  const tracked = dbUtils.getTrackedAddresses().filter(addr => addr.active);
+  const selected = addresses ? tracked.filter(addr => addresses.includes(addr.address)) : tracked;
+  const configured = selected.filter(addr => PAYOUT_CONFIG.NODE_TIERS.includes(addr.tier));
+
+  const result = {
+    period,
+    window,
+    windowBlocks,
+    fromHeight: highest !== null ? Math.max(1, highest - periodBlocks + 1) : null,
+    toHeight: highest,
+    tierRewards: PAYOUT_CONFIG.TIER_REWARDS,
+    gapFactor: PAYOUT_CONFIG.GAP_FACTOR,
+    nodeStats: null,
+    summary: null,
+    addresses: [],
+    unconfigured: selected.filter(addr => !configured.includes(addr)).map(addr => addr.address),
+    suspiciousGaps: []
+  };
+
+  if (highest === null) return result;
+
+  const nodeStatsAt = createNodeStatsLookup();
+  const windows = buildWindows(result.fromHeight, highest, windowBlocks, nodeStatsAt);
+  result.nodeStats = nodeStatsAt(highest);
+
+  result.addresses = configured.map(addr => analyzeAddress(addr, windows, result.fromHeight, highest, nodeStatsAt));
+  result.suspiciousGaps = result.addresses
+    .flatMap(addr => addr.gaps)
+    .sort((a, b) => b.ratio - a.ratio);
+
+  const compared = result.addresses.filter(addr => addr.expected !== null);
+  const expected = compared.reduce((sum, addr) => sum + addr.expected, 0);
+  const actual = compared.reduce((sum, addr) => sum + addr.actual, 0);
+
+  result.summary = {
+    addresses: result.addresses.length,
+    underpaid: result.addresses.filter(addr => addr.status === 'underpaid').length,
+    suspiciousGaps: result.suspiciousGaps.length,
+    syncedBlocks: windows.reduce((sum, window) => sum + window.syncedBlocks, 0),
+    expected: compared.length > 0 ? round(expected) : null,
+    actual: round(actual),
+    variancePercent: compared.length > 0 ? getVariancePercent(actual, expected) : null
+  };
+
+  return result;
+}
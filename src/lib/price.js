@@ -0,0 +1,321 @@
+// price.js - Server-side FLUX price history and fiat valuation at time of receipt
+// Prices and fiat values are stored per currency for every entry in PRICE_CONFIG.FIAT_CURRENCIES.
+//
+// Providers are built from PRICE_CONFIG.PRICE_PROVIDERS and tried in order. A provider is:
+//   { name, supportsHistory, getCurrentPrice(currency), getPriceHistory(currency, fromTs, toTs) }
+// getCurrentPrice resolves to a price (or null), getPriceHistory to [{ timestamp, price }]
+// with timestamps in unix seconds. Extra providers can be added with registerPriceProvider().
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Price collector can only run on server-side');
+}
+
+import { statements, dbUtils } from './db.js';
+import { PRICE_CONFIG } from './config.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+// CoinGecko returns hourly points for ranges up to 90 days, daily points beyond that
+const HISTORY_CHUNK_SECONDS = 90 * SECONDS_PER_DAY;
+
+let collectionInterval = null;
+let isCollecting = false;
+const lastCollection = {};
+
+async function fetchJson(url) {
+  let lastError;
+
+  for (let attempt = 0; attempt < PRICE_CONFIG.PRICE_RETRY_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(PRICE_CONFIG.PRICE_TIMEOUT),
+        headers: { 'Accept': 'application/json' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      lastError = error;
+      if (attempt < PRICE_CONFIG.PRICE_RETRY_ATTEMPTS - 1) {
+        await new Promise(resolve => setTimeout(resolve, PRICE_CONFIG.PRICE_RETRY_DELAY));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+// Flux explorer - current USD rate only
+function createExplorerProvider(config) {
+  return {
+    name: 'explorer',
+    supportsHistory: false,
+
+    async getCurrentPrice(currency) {
+      if (currency !== 'USD') return null;
+      const data = await fetchJson(config.PRICE_API_URL);
+      const rate = data?.data?.rate;
+      return rate > 0 ? rate : null;
+    },
+
+    async getPriceHistory() {
+      return [];
+    }
+  };
+}
+
+// CoinGecko - current price and market_chart/range history
+function createCoinGeckoProvider(config) {
+  const baseUrl = config.COINGECKO_API_URL;
+  const coinId = config.COINGECKO_COIN_ID;
+
+  return {
+    name: 'coingecko',
+    supportsHistory: true,
+
+    async getCurrentPrice(currency) {
+      const vs = currency.toLowerCase();
+      const data = await fetchJson(`${baseUrl}/simple/price?ids=${coinId}&vs_currencies=${vs}`);
+      const price = data?.[coinId]?.[vs];
+      return price > 0 ? price : null;
+    },
+
+    async getPriceHistory(currency, fromTimestamp, toTimestamp) {
+      const points = [];
+
+      for (let start = fromTimestamp; start < toTimestamp; start += HISTORY_CHUNK_SECONDS) {
+        const end = Math.min(start + HISTORY_CHUNK_SECONDS, toTimestamp);
+        const data = await fetchJson(
+          `${baseUrl}/coins/${coinId}/market_chart/range?vs_currency=${currency.toLowerCase()}&from=${start}&to=${end}`
+        );
+
+        for (const [timeMs, price] of data?.prices || []) {
+          if (price > 0) {
+            points.push({ timestamp: Math.floor(timeMs / 1000), price });
+          }
+        }
+      }
+
+      return points;
+    }
+  };
+}
+
+const providerFactories = {
+  explorer: createExplorerProvider,
+  coingecko: createCoinGeckoProvider
+};
+
+export function registerPriceProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+export function getPriceProviders() {
+  return PRICE_CONFIG.PRICE_PROVIDERS
+    .filter(name => {
+      if (!providerFactories[name]) {
+        console.warn(`⚠️ Unknown price provider "${name}" - skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => providerFactories[name](PRICE_CONFIG));
+}
+
+function storePricePoints(points, currency, source) {
+  const insertMany = statements.db.transaction((rows) => {
+    for (const point of rows) {
+      statements.insertPricePoint.run(point.timestamp, currency, point.price, source);
+    }
+  });
+  insertMany(points);
+  return points.length;
+}
+
+// Store the current price from the first provider that answers
+export async function collectCurrentPrice(currency = PRICE_CONFIG.FIAT_CURRENCIES[0]) {
+  for (const provider of getPriceProviders()) {
+    try {
+      const price = await provider.getCurrentPrice(currency);
+      if (price) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        storePricePoints([{ timestamp, price }], currency, provider.name);
+        return { timestamp, price, source: provider.name };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Price provider ${provider.name} failed:`, error.message);
+    }
+  }
+
+  console.warn(`⚠️ No price provider returned a FLUX/${currency} price`);
+  return null;
+}
+
+// Fetch history for payments that predate the stored prices (and any gap since the last point)
+export async function backfillPriceHistory(currency = PRICE_CONFIG.FIAT_CURRENCIES[0]) {
+  const unvalued = statements.getEarliestUnvaluedTimestamp.get(currency);
+  if (!unvalued?.timestamp) return 0;
+
+  const now = Math.floor(Date.now() / 1000);
+  const maxAge = PRICE_CONFIG.PRICE_MAX_AGE_SECONDS;
+  const oldestAvailable = now - PRICE_CONFIG.PRICE_HISTORY_BACKFILL_DAYS * SECONDS_PER_DAY;
+  const coverage = statements.getPriceHistoryCoverage.get(currency);
+
+  const ranges = [];
+  const wantedFrom = Math.max(unvalued.timestamp - maxAge, oldestAvailable);
+  if (!coverage?.earliest) {
+    ranges.push([wantedFrom, now]);
+  } else {
+    if (coverage.earliest - maxAge > wantedFrom) ranges.push([wantedFrom, coverage.earliest]);
+    if (now - coverage.latest > maxAge) ranges.push([coverage.latest, now]);
+  }
+
+  if (ranges.length === 0) return 0;
+
+  for (const provider of getPriceProviders().filter(p => p.supportsHistory)) {
+    try {
+      let stored = 0;
+      for (const [from, to] of ranges) {
+        const points = await provider.getPriceHistory(currency, from, to);
+        stored += storePricePoints(points, currency, provider.name);
+      }
+      if (stored > 0) {
+        console.log(`📈 Stored ${stored} historical FLUX/${currency} prices from ${provider.name}`);
+        return stored;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Price history from ${provider.name} failed:`, error.message);
+    }
+  }
+
+  return 0;
+}
+
+// Value payments that have no fiat value yet using the nearest stored price
+export function valueTransactions(currency = PRICE_CONFIG.FIAT_CURRENCIES[0]) {
+  const coverage = statements.getPriceHistoryCoverage.get(currency);
+  if (!coverage?.count) return 0;
+
+  const maxAge = PRICE_CONFIG.PRICE_MAX_AGE_SECONDS;
+  const upperBound = coverage.latest + maxAge;
+  let cursor = coverage.earliest - maxAge;
+  let valued = 0;
+
+  const valueBatch = statements.db.transaction((rows) => {
+    let count = 0;
+    for (const tx of rows) {
+      const price = dbUtils.getNearestPrice(currency, tx.timestamp, maxAge);
+      if (!price) continue;
+
+      statements.insertTransactionFiatValue.run(
+        tx.id, currency, price.price, tx.value * price.price, price.timestamp, price.source
+      );
+      count++;
+    }
+    return count;
+  });
+
+  while (true) {
+    const rows = statements.getUnvaluedTransactions.all(currency, cursor, upperBound, PRICE_CONFIG.VALUATION_BATCH_SIZE);
+    if (rows.length === 0) break;
+
+    const batchValued = valueBatch(rows);
+    valued += batchValued;
+
+    // Payments inside a price gap stay unvalued - move past them
+    const lastTimestamp = rows[rows.length - 1].timestamp;
+    if (rows.length < PRICE_CONFIG.VALUATION_BATCH_SIZE || (lastTimestamp === cursor && batchValued === 0)) break;
+    cursor = lastTimestamp;
+  }
+
+  if (valued > 0) {
+    console.log(`💵 Valued ${valued} payments in ${currency} at their block time`);
+  }
+  return valued;
+}
+
+// Value new payments in every configured currency
+export function valueAllTransactions() {
+  let valued = 0;
+  for (const currency of PRICE_CONFIG.FIAT_CURRENCIES) {
+    valued += valueTransactions(currency);
+  }
+  return valued;
+}
+
+export async function runPriceCollection() {
+  if (!PRICE_CONFIG.ENABLE_PRICE_HISTORY || isCollecting) return null;
+
+  isCollecting = true;
+
+  try {
+    // One currency failing must not stop the others
+    for (const currency of PRICE_CONFIG.FIAT_CURRENCIES) {
+      try {
+        const current = await collectCurrentPrice(currency);
+        const historyPoints = await backfillPriceHistory(currency);
+        const valued = valueTransactions(currency);
+
+        lastCollection[currency] = { time: Date.now(), current, historyPoints, valued, error: null };
+      } catch (error) {
+        console.error(`❌ Price collection for ${currency} failed:`, error);
+        lastCollection[currency] = { time: Date.now(), current: null, historyPoints: 0, valued: 0, error: error.message };
+      }
+    }
+  } finally {
+    isCollecting = false;
+  }
+
+  return { ...lastCollection };
+}
+
+export function startPriceCollection() {
+  if (!PRICE_CONFIG.ENABLE_PRICE_HISTORY) {
+    console.log('💵 Price history disabled - fiat values will not be stored');
+    return;
+  }
+
+  if (collectionInterval) clearInterval(collectionInterval);
+
+  runPriceCollection();
+  collectionInterval = setInterval(runPriceCollection, PRICE_CONFIG.PRICE_COLLECTION_INTERVAL);
+
+  console.log(`💵 Price history collection every ${PRICE_CONFIG.PRICE_COLLECTION_INTERVAL / 60000} minutes for ${PRICE_CONFIG.FIAT_CURRENCIES.join(', ')} (${PRICE_CONFIG.PRICE_PROVIDERS.join(' → ')})`);
+}
+
+export function stopPriceCollection() {
+  if (collectionInterval) {
+    clearInterval(collectionInterval);
+    collectionInterval = null;
+  }
+}
+
+export function getPriceStatus(currency = PRICE_CONFIG.FIAT_CURRENCIES[0]) {
+  const coverage = statements.getPriceHistoryCoverage.get(currency);
+  const unvalued = statements.getEarliestUnvaluedTimestamp.get(currency);
+  const latest = coverage?.latest ? statements.getPriceAtOrBefore.get(currency, coverage.latest) : null;
+
+  return {
+    enabled: PRICE_CONFIG.ENABLE_PRICE_HISTORY,
+    currency,
+    providers: PRICE_CONFIG.PRICE_PROVIDERS,
+    points: coverage?.count || 0,
+    earliest: coverage?.earliest || null,
+    latest,
+    unvaluedTransactions: unvalued?.count || 0,
+    lastCollection: lastCollection[currency] || null
+  };
+}
+
+// Latest stored rate for each configured currency
+export function getLatestPrices() {
+  const prices = {};
+  for (const currency of PRICE_CONFIG.FIAT_CURRENCIES) {
+    const coverage = statements.getPriceHistoryCoverage.get(currency);
+    prices[currency] = coverage?.latest ? statements.getPriceAtOrBefore.get(currency, coverage.latest) : null;
+  }
+  return prices;
+}
@@ -0,0 +1,136 @@
+// rateLimit.js - In-memory token buckets per client and route rule (see RATE_LIMIT_CONFIG)
+// Buckets live in this process only - a restart gives everyone a full bucket again.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Rate limiting can only run on server-side');
+}
+
+import { RATE_LIMIT_CONFIG } from './config.js';
+
+// `${rule}|${client}` → { tokens, updatedAt }, in least-recently-used order
+const buckets = new Map();
+
+// rule name → { allowed, limited }
+const ruleStats = new Map();
+
+let cleanupInterval = null;
+let proxyWarningShown = false;
+
+function matchesPath(pathname, paths) {
+  return paths.some(path => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+function findRule(method, pathname) {
+  return RATE_LIMIT_CONFIG.ROUTES.find(rule =>
+    matchesPath(pathname, rule.paths) && (!rule.methods || rule.methods.includes(method))
+  ) || RATE_LIMIT_CONFIG.DEFAULT;
+}
+
+// NEW: Behind a proxy without ADDRESS_HEADER every anonymous client has the proxy's IP - one shared
+// bucket, so a few failed logins lock everybody out. Warned once, on the first proxied request
+function warnIfProxiedWithoutAddressHeader(event) {
+  if (proxyWarningShown || process.env.ADDRESS_HEADER) return;
+  if (!event.request.headers.has('x-forwarded-for')) return;
+
+  proxyWarningShown = true;
+  console.warn('⚠️ Requests arrive with X-Forwarded-For but ADDRESS_HEADER is not set - rate limiting sees every anonymous client as the proxy\'s IP. Set ADDRESS_HEADER=X-Forwarded-For (and XFF_DEPTH for several proxies)');
+}
+
+function getClient(event, identity) {
+  warnIfProxiedWithoutAddressHeader(event);
+
+  if (identity?.tokenId) {
+    return { key: `token:${identity.tokenId}`, authenticated: true };
+  }
+
+  let ip = 'unknown';
+  try {
+    // adapter-node honours ADDRESS_HEADER / XFF_DEPTH when behind a proxy
+    ip = event.getClientAddress();
+  } catch (error) {
+    // Not available (e.g. during prerendering)
+  }
+  return { key: `ip:${ip}`, authenticated: false };
+}
+
+function countRequest(ruleName, allowed) {
+  let stats = ruleStats.get(ruleName);
+  if (!stats) {
+    stats = { allowed: 0, limited: 0 };
+    ruleStats.set(ruleName, stats);
+  }
+  stats[allowed ? 'allowed' : 'limited']++;
+}
+
+function startCleanup() {
+  if (cleanupInterval) return;
+
+  // Full buckets carry no state worth keeping
+  cleanupInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt > bucket.fullAfter) buckets.delete(key);
+    }
+  }, RATE_LIMIT_CONFIG.CLEANUP_INTERVAL);
+  cleanupInterval.unref?.();
+}
+
+// Returns { allowed, limit, remaining, retryAfter, rule } - retryAfter in seconds
+export function checkRateLimit(event, identity = null) {
+  if (!RATE_LIMIT_CONFIG.ENABLED || matchesPath(event.url.pathname, RATE_LIMIT_CONFIG.EXEMPT_PATHS)) {
+    return { allowed: true, limit: null };
+  }
+
+  startCleanup();
+
+  const rule = findRule(event.request.method, event.url.pathname);
+  const client = getClient(event, identity);
+  const multiplier = client.authenticated ? RATE_LIMIT_CONFIG.TOKEN_MULTIPLIER : 1;
+  const capacity = rule.capacity * multiplier;
+  const refillPerMs = (rule.perMinute * multiplier) / 60000;
+  const key = `${rule.name}|${client.key}`;
+  const now = Date.now();
+
+  let bucket = buckets.get(key);
+  if (bucket) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    buckets.delete(key); // Re-inserted below to keep LRU order
+  } else {
+    bucket = { tokens: capacity };
+    if (buckets.size >= RATE_LIMIT_CONFIG.MAX_BUCKETS) {
+      buckets.delete(buckets.keys().next().value);
+    }
+  }
+
+  bucket.updatedAt = now;
+  bucket.fullAfter = capacity / refillPerMs;
+  buckets.set(key, bucket);
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) bucket.tokens -= 1;
+  countRequest(rule.name, allowed);
+
+  return {
+    allowed,
+    rule: rule.name,
+    limit: capacity,
+    remaining: Math.floor(bucket.tokens),
+    retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000))
+  };
+}
+
+export function getRateLimitStats() {
+  const rules = [RATE_LIMIT_CONFIG.DEFAULT, ...RATE_LIMIT_CONFIG.ROUTES].map(rule => ({
+    name: rule.name,
+    capacity: rule.capacity,
+    perMinute: rule.perMinute,
+    ...(ruleStats.get(rule.name) || { allowed: 0, limited: 0 })
+  }));
+
+  return {
+    enabled: RATE_LIMIT_CONFIG.ENABLED,
+    activeBuckets: buckets.size,
+    rules
+  };
+}
@@ -0,0 +1,188 @@
+// reports.js - Yearly income report (tax / cost basis) built from the transactions table
+// Every payment is listed with the fiat value stored at receipt (see price.js). Payments
+// without a stored valuation are kept in the report and counted as unvalued - never re-priced.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Reports can only be generated on server-side');
+}
+
+import { statements, dbUtils } from './db.js';
+import { toCsvRow } from './csv.js';
+import { getAllTargetAddresses } from './config.js';
+
+const FIRST_REPORT_YEAR = 2018; // Flux (ZelCash) mainnet launch
+
+export function getReportYearRange() {
+  return { first: FIRST_REPORT_YEAR, last: new Date().getUTCFullYear() };
+}
+
+function toIsoTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+function describeValuation(row) {
+  if (row.fiat_value === null || row.fiat_value === undefined) {
+    return 'not valued - no stored price near block time';
+  }
+  return `${row.fiat_source} price at ${toIsoTime(row.price_timestamp)}`;
+}
+
+function formatPayment(row, currency) {
+  return {
+    date: toIsoTime(row.timestamp),
+    timestamp: row.timestamp,
+    block_height: row.block_height,
+    txid: row.tx_hash,
+    vout: row.vout_index,
+    address: row.address,
+    from_address: row.from_address,
+    amount_flux: row.value,
+    fiat_currency: currency,
+    fiat_value: row.fiat_value ?? null,
+    fiat_price: row.fiat_price ?? null,
+    price_time: toIsoTime(row.price_timestamp),
+    price_source: row.fiat_source ?? null,
+    valuation_source: describeValuation(row)
+  };
+}
+
+function emptyTotals() {
+  return { payments: 0, flux_total: 0, fiat_total: 0, unvalued_count: 0 };
+}
+
+function addToTotals(totals, payment) {
+  totals.payments++;
+  totals.flux_total += payment.amount_flux;
+  if (payment.fiat_value === null) {
+    totals.unvalued_count++;
+  } else {
+    totals.fiat_total += payment.fiat_value;
+  }
+}
+
+function yearBounds(year) {
+  return { fromTimestamp: Date.UTC(year, 0, 1) / 1000, toTimestamp: Date.UTC(year + 1, 0, 1) / 1000 };
+}
+
+// NEW: Every address paid during the year plus the ones tracked now - an address removed or
+// deactivated since still has its income in the years it was paid
+export function getIncomeAddresses(year) {
+  const { fromTimestamp, toTimestamp } = yearBounds(year);
+  const paid = statements.getPaymentAddressesInRange.all(fromTimestamp, toTimestamp).map(row => row.address);
+  return [...new Set([...getAllTargetAddresses(), ...paid])];
+}
+
+// UTC calendar year - payments are assigned to the year of their block time
+export function buildIncomeReport({ year, currency, addresses, group = null }) {
+  const { fromTimestamp, toTimestamp } = yearBounds(year);
+
+  const payments = [];
+  const byAddress = [];
+  const byMonth = Array.from({ length: 12 }, (_, month) => ({
+    month: `${year}-${String(month + 1).padStart(2, '0')}`,
+    ...emptyTotals()
+  }));
+  const totals = emptyTotals();
+
+  for (const address of addresses) {
+    const rows = statements.getIncomeTransactions.all(currency, address, fromTimestamp, toTimestamp);
+    const subtotal = {
+      address,
+      label: dbUtils.getTrackedAddress(address, { includeRemoved: true })?.label || null,
+      ...emptyTotals()
+    };
+
+    for (const row of rows) {
+      const payment = formatPayment(row, currency);
+      payments.push(payment);
+
+      addToTotals(subtotal, payment);
+      addToTotals(byMonth[new Date(row.timestamp * 1000).getUTCMonth()], payment);
+      addToTotals(totals, payment);
+    }
+
+    byAddress.push(subtotal);
+  }
+
+  payments.sort((a, b) => a.timestamp - b.timestamp || a.address.localeCompare(b.address));
+
+  return {
+    report: 'income',
+    year,
+    currency,
+    period: { from: toIsoTime(fromTimestamp), to: toIsoTime(toTimestamp) },
+    addresses,
+    group,
+    generated_at: new Date().toISOString(),
+    summary: {
+      ...totals,
+      fully_valued: totals.unvalued_count === 0,
+      by_month: byMonth,
+      by_address: byAddress
+    },
+    payments
+  };
+}
+
+function formatFlux(value) {
+  return value.toFixed(8);
+}
+
+function formatFiat(value) {
+  return value === null ? '' : value.toFixed(2);
+}
+
+// Payments grouped by address with a subtotal after each address, then the summary sections
+export function incomeReportToCsv(report) {
+  const { currency, summary } = report;
+  let csv = toCsvRow([`Income report ${report.year}`, `Currency: ${currency}`, `Generated: ${report.generated_at}`]);
+
+  csv += '\r\n' + toCsvRow(['Payments']);
+  csv += toCsvRow([
+    'Date (UTC)', 'Block', 'TxID', 'Output', 'Address', 'From Address',
+    'Amount (FLUX)', `Fiat Value (${currency})`, `Price (${currency}/FLUX)`, 'Valuation Source'
+  ]);
+
+  for (const subtotal of summary.by_address) {
+    for (const payment of report.payments.filter(p => p.address === subtotal.address)) {
+      csv += toCsvRow([
+        payment.date,
+        payment.block_height,
+        payment.txid,
+        payment.vout,
+        payment.address,
+        payment.from_address,
+        formatFlux(payment.amount_flux),
+        formatFiat(payment.fiat_value),
+        payment.fiat_price ?? '',
+        payment.valuation_source
+      ]);
+    }
+    csv += toCsvRow([
+      'Subtotal', '', '', '', subtotal.address, '',
+      formatFlux(subtotal.flux_total),
+      formatFiat(subtotal.fiat_total),
+      '',
+      subtotal.unvalued_count > 0 ? `${subtotal.unvalued_count} payment(s) not valued` : ''
+    ]);
+  }
+
+  csv += '\r\n' + toCsvRow(['Summary by month']);
+  csv += toCsvRow(['Month', 'Payments', 'Amount (FLUX)', `Fiat Value (${currency})`, 'Unvalued Payments']);
+  for (const month of summary.by_month) {
+    csv += toCsvRow([month.month, month.payments, formatFlux(month.flux_total), formatFiat(month.fiat_total), month.unvalued_count]);
+  }
+
+  csv += '\r\n' + toCsvRow(['Summary by address']);
+  csv += toCsvRow(['Address', 'Label', 'Payments', 'Amount (FLUX)', `Fiat Value (${currency})`, 'Unvalued Payments']);
+  for (const subtotal of summary.by_address) {
+    csv += toCsvRow([
+      subtotal.address, subtotal.label, subtotal.payments,
+      formatFlux(subtotal.flux_total), formatFiat(subtotal.fiat_total), subtotal.unvalued_count
+    ]);
+  }
+  csv += toCsvRow(['Total', '', summary.payments, formatFlux(summary.flux_total), formatFiat(summary.fiat_total), summary.unvalued_count]);
+
+  return csv;
+}
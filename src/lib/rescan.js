@@ -0,0 +1,196 @@
+// rescan.js - Targeted historical rescans for a subset of addresses
+// Re-analyzes blocks that are already synced. Blocks, sync progress and the
+// forward/backward sync plan are never modified - only missing payments are added.
+// Jobs live in the sync_requests table (syncRequests.js), so any process can queue and list them.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Rescan jobs can only run on server-side');
+}
+
+import { statements, batchOperations } from './db.js';
+import {
+  getBlockDataBatch,
+  analyzeBlocksBatch,
+  batchResolveFromAddresses
+} from './flux-api.js';
+import { SYNC_CONFIG, API_CONFIG } from './config.js';
+import { publishPayments } from './events.js';
+import {
+  queueSyncRequest,
+  getSyncRequest,
+  getSyncRequests,
+  cancelSyncRequest,
+  registerSyncRequestHandler
+} from './syncRequests.js';
+
+const JOB_HISTORY = 20;
+
+function toJob(request) {
+  const { addresses = [], fromHeight = 0, toHeight = 0, reason = 'manual', totalBlocks = 0 } = request.params;
+  const progress = request.progress || {};
+  const processedBlocks = progress.processedBlocks || 0;
+
+  return {
+    id: request.id,
+    addresses,
+    fromHeight,
+    toHeight,
+    reason,
+    status: request.status,
+    totalBlocks,
+    processedBlocks,
+    failedBlocks: progress.failedBlocks || 0,
+    paymentsFound: progress.paymentsFound || 0,
+    currentHeight: request.status === 'running' ? progress.currentHeight ?? null : null,
+    blocksPerSecond: progress.blocksPerSecond || 0,
+    createdAt: request.createdAt,
+    startedAt: request.startedAt,
+    finishedAt: request.finishedAt,
+    error: request.error,
+    progress: totalBlocks > 0 ? Math.min(100, (processedBlocks / totalBlocks) * 100) : 0
+  };
+}
+
+// 🔄 UPDATED: Jobs are queued in the database and run by the process holding the sync leader lock
+export function startRescan({ addresses, fromHeight = null, toHeight = null, reason = 'manual' } = {}) {
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    throw new Error('At least one address is required for a rescan');
+  }
+
+  const lowestSynced = statements.getLowestBlock.get()?.height || null;
+  const highestSynced = statements.getHighestBlock.get()?.height || null;
+
+  // Only already-synced heights are rescanned - the regular sync covers the rest
+  const from = Math.max(fromHeight ?? lowestSynced ?? 0, lowestSynced ?? 0);
+  const to = Math.min(toHeight ?? highestSynced ?? 0, highestSynced ?? 0);
+  const totalBlocks = highestSynced && from <= to ? statements.countBlocksInRange.get(from, to).count : 0;
+
+  const job = toJob(queueSyncRequest('rescan', {
+    addresses: [...new Set(addresses)],
+    fromHeight: from,
+    toHeight: to,
+    reason,
+    totalBlocks
+  }));
+
+  console.log(`📥 Queued rescan #${job.id} (${reason}): ${job.addresses.length} address(es), blocks ${from.toLocaleString()}-${to.toLocaleString()} (${totalBlocks.toLocaleString()} synced)`);
+
+  return job;
+}
+
+export function getRescanJobs() {
+  return getSyncRequests({ type: 'rescan', limit: JOB_HISTORY }).map(toJob);
+}
+
+export function getRescanJob(id) {
+  const request = getSyncRequest(id);
+  return request?.type === 'rescan' ? toJob(request) : null;
+}
+
+export function cancelRescan(id) {
+  if (getSyncRequest(id)?.type !== 'rescan') return null;
+
+  // Running jobs stop after the current batch
+  const request = cancelSyncRequest(id);
+  return request ? toJob(request) : null;
+}
+
+async function runRescanJob(request, { setProgress, isCancelled }) {
+  const job = toJob(request);
+  const startedAt = Date.now();
+  let status = 'completed';
+
+  if (job.totalBlocks === 0) {
+    console.log(`ℹ️ Rescan #${job.id}: no synced blocks in range - nothing to do`);
+    return null;
+  }
+
+  console.log(`🔁 Rescan #${job.id} started for ${job.addresses.join(', ')}`);
+
+  const batchSize = SYNC_CONFIG.BATCH_SIZE;
+  const progress = {
+    processedBlocks: 0,
+    failedBlocks: 0,
+    paymentsFound: 0,
+    currentHeight: null,
+    blocksPerSecond: 0
+  };
+
+  try {
+    // Newest first, so recent payments show up before older history
+    for (let end = job.toHeight; end >= job.fromHeight; end -= batchSize) {
+      if (isCancelled()) {
+        status = 'cancelled';
+        console.log(`⏹️ Rescan #${job.id} cancelled at block ${end.toLocaleString()}`);
+        break;
+      }
+
+      const start = Math.max(job.fromHeight, end - batchSize + 1);
+      const heights = statements.getBlocksInRange.all(start, end).map(b => b.height);
+      if (heights.length === 0) continue;
+
+      progress.currentHeight = end;
+
+      try {
+        const blockResults = await getBlockDataBatch(heights);
+        progress.failedBlocks += blockResults.filter(result => !result.data).length;
+
+        const analysis = analyzeBlocksBatch(blockResults, job.addresses);
+        if (analysis.transactions.length > 0) {
+          const enhancedTransactions = await batchResolveFromAddresses(
+            analysis.transactions,
+            Math.min(API_CONFIG.MAX_CONCURRENT, 15)
+          );
+
+          const inserted = [];
+          progress.paymentsFound += batchOperations.insertTransactions(
+            enhancedTransactions.map(tx => ({
+              blockHeight: tx.blockHeight,
+              txHash: tx.id || '',
+              voutIndex: tx.voutIndex || 0,
+              address: tx.to,
+              fromAddress: tx.from === 'Unknown' ? null : tx.from,
+              value: tx.amount || 0,
+              timestamp: blockResults.find(b => b.height === tx.blockHeight)?.data?.time || Math.floor(Date.now() / 1000)
+            })),
+            inserted
+          );
+
+          publishPayments(inserted.map(tx => ({
+            blockHeight: tx.blockHeight,
+            txid: tx.txHash,
+            vout: tx.voutIndex,
+            address: tx.address,
+            from: tx.fromAddress,
+            amount: tx.value,
+            timestamp: tx.timestamp
+          })), 'rescan');
+        }
+      } catch (error) {
+        console.error(`❌ Rescan #${job.id} batch ${start}-${end} failed:`, error.message);
+        progress.failedBlocks += heights.length;
+      }
+
+      progress.processedBlocks += heights.length;
+      progress.blocksPerSecond = progress.processedBlocks / ((Date.now() - startedAt) / 1000);
+      setProgress(progress);
+
+      if (progress.processedBlocks % (batchSize * 20) < heights.length) {
+        console.log(`   🔁 Rescan #${job.id}: ${progress.processedBlocks.toLocaleString()}/${job.totalBlocks.toLocaleString()} blocks, ${progress.paymentsFound} new payments`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, API_CONFIG.REQUEST_DELAY));
+    }
+  } catch (error) {
+    console.error(`❌ Rescan #${job.id} failed:`, error);
+    throw error;
+  }
+
+  const elapsed = (Date.now() - startedAt) / 1000;
+  console.log(`✅ Rescan #${job.id} ${status}: ${progress.processedBlocks.toLocaleString()} blocks, ${progress.paymentsFound} new payments, ${progress.failedBlocks} failed in ${elapsed.toFixed(1)}s`);
+
+  return { ...progress, currentHeight: null };
+}
+
+registerSyncRequestHandler('rescan', runRescanJob);
@@ -3,10 +3,15 @@ if (typeof window !== 'undefined') {
   throw new Error('Scheduler can only run on server-side');
 }
 
-import { statements } from './db.js';
+import { statements, dbUtils } from './db.js';
 import { 
   getCurrentBlockHeight, 
   getBlockDataBatch, 
+  getRawBlockBatch,
+  getDataSourceInfo,
+  getBlockHash,
+  getBlockHashes,
+  invalidateBlockCache,
   analyzeBlocksBatch,
   batchResolveFromAddresses,
   getPerformanceStats,
@@ -18,10 +23,47 @@ import {
   SYNC_CONFIG, 
   API_CONFIG, 
   DB_CONFIG,
-  PERFORMANCE_CONFIG 
+  PRICE_CONFIG,
+  PERFORMANCE_CONFIG,
+  PROCESS_CONFIG
 } from './config.js';
 import { readFileSync, existsSync } from 'fs';
-import { updateSyncInfo } from './syncStatusStore.js';
+import { getSyncInfo, setSyncInfoProvider, updateSyncInfo } from './syncStatusStore.js';
+import { startRescan } from './rescan.js';
+import {
+  registerSyncRequestHandler,
+  startSyncRequestWorker,
+  stopSyncRequestWorker,
+  waitForSyncRequestWorker
+} from './syncRequests.js';
+import { startPriceCollection, stopPriceCollection, valueAllTransactions } from './price.js';
+import { publishBlocks, publishPayments } from './events.js';
+import { startEventRelay, stopEventRelay } from './eventRelay.js';
+import { queuePaymentWebhooks, startWebhookDelivery, stopWebhookDelivery } from './webhooks.js';
+import { runAlertsAfterSync } from './alerts.js';
+import { getBatchSize, getConcurrencyLimit } from './adaptiveConcurrency.js';
+import { analyzeRawBlocks, getBlockWorkerStats, stopBlockWorkers } from './blockWorkerPool.js';
+import { getPipelineStats, runPipeline } from './syncPipeline.js';
+import {
+  countHeights,
+  findGaps,
+  finishSyncJob,
+  getOpenSyncJobs,
+  getSyncFrontier,
+  markBlocksSynced,
+  rebuildSyncRanges,
+  startSyncJob,
+  trimRangesBelow,
+  updateSyncJob
+} from './syncRanges.js';
+import {
+  getLeaderState,
+  getLeaderStatus,
+  isSyncLeader,
+  publishLeaderState,
+  startLeaderElection,
+  stopLeaderElection
+} from './leaderLock.js';
 
 const { 
   BLOCKS_PER_DAY, 
@@ -35,6 +77,9 @@ const {
 
 let isRunning = false;
 let syncInterval = null;
+let schedulerStartedAt = null;      // NEW: For /api/ready
+let lastSuccessfulSyncTime = null;
+let stopping = false;               // NEW: stopScheduler() was called - no new cycles
 
 // Performance tracking
 let syncMetrics = {
@@ -42,39 +87,40 @@ let syncMetrics = {
   totalSyncTime: 0,
   averageBlocksPerSecond: 0,
   lastSyncPerformance: null,
-  syncCount: 0
+  syncCount: 0,
+  networkHeight: null,       // NEW: Last chain height seen, for sync lag in /metrics
+  networkHeightTime: null
 };
 
 // Function to update sync status
 function updateSyncStatus(updates) {
   updateSyncInfo(updates);
+  // NEW: Other processes read the sync status from the leader lock - start/finish goes out right away
+  publishLeaderState(updates.isRunning !== undefined);
+}
+
+// NEW: Processes that don't sync report the syncing process's status
+try {
+  setSyncInfoProvider(() => (isSyncLeader() ? null : getLeaderState()?.syncInfo || null));
+} catch (error) {
+  console.warn('⚠️ Could not share sync status between processes:', error.message);
 }
 
 // NEW: Missing block detection and filling for completion
-async function detectAndFillMissingBlocks(startHeight, endHeight) {
-  console.log(`🔍 Scanning for missing blocks between ${startHeight.toLocaleString()} and ${endHeight.toLocaleString()}`);
-  
-  const existingBlocks = statements.db.prepare(`
-    SELECT height FROM blocks 
-    WHERE height >= ? AND height <= ? 
-    ORDER BY height
-  `).all(startHeight, endHeight);
+// 🔄 UPDATED: Gaps are the range minus the completed sync ranges (blocks in the failed block queue are left to it)
+export async function detectAndFillMissingBlocks(startHeight, endHeight) {
+  console.log(`🔍 Checking for missing blocks between ${startHeight.toLocaleString()} and ${endHeight.toLocaleString()}`);
   
-  const existingSet = new Set(existingBlocks.map(b => b.height));
-  const missingBlocks = [];
+  const failedHeights = statements.getFailedBlockHeights.all().map(row => row.height);
+  const gaps = findGaps(startHeight, endHeight, failedHeights);
   
-  for (let height = startHeight; height <= endHeight; height++) {
-    if (!existingSet.has(height)) {
-      missingBlocks.push(height);
-    }
-  }
-  
-  if (missingBlocks.length === 0) {
+  if (gaps.length === 0) {
     console.log(`✅ No missing blocks found in range`);
     return 0;
   }
   
-  console.log(`🎯 Found ${missingBlocks.length} missing blocks - filling gaps...`);
+  const missingBlocks = gaps.flatMap(gap => Array.from({ length: gap.end - gap.start + 1 }, (_, i) => gap.start + i));
+  console.log(`🎯 Found ${missingBlocks.length} missing blocks in ${gaps.length} gap(s) - filling gaps...`);
   
   let processed = 0;
   const batchSize = 50;
@@ -82,25 +128,12 @@ async function detectAndFillMissingBlocks(startHeight, endHeight) {
   for (let i = 0; i < missingBlocks.length; i += batchSize) {
     const batch = missingBlocks.slice(i, i + batchSize);
     
-    try {
-      const blockResults = await getBlockDataBatch(batch);
-      const analysis = analyzeBlocksBatch(blockResults, getAllTargetAddresses());
-      
-      if (analysis.transactions.length > 0) {
-        const enhancedTransactions = await batchResolveFromAddresses(analysis.transactions, 5);
-        await batchInsertData(blockResults, enhancedTransactions);
-      } else {
-        await batchInsertBlocks(blockResults);
-      }
-      
-      processed += batch.length;
-      console.log(`   ✅ Filled ${processed}/${missingBlocks.length} missing blocks`);
-      
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-    } catch (error) {
-      console.error(`❌ Error processing missing block batch:`, error);
-    }
+    // 🔄 UPDATED: Blocks that fail here go to the failed block queue like any other
+    const result = await processBlockBatch(batch, 5);
+    processed += result.stored;
+    console.log(`   ✅ Filled ${processed}/${missingBlocks.length} missing blocks`);
+    
+    await new Promise(resolve => setTimeout(resolve, 100));
   }
   
   return processed;
@@ -143,29 +176,260 @@ async function performFinalCompletionCheck(currentHeight) {
   return false;
 }
 
-export async function startScheduler() {
+// NEW: Chain reorganization detection - verify stored hashes inside the confirmation window
+async function detectChainReorg(currentHeight) {
+  if (!SYNC_CONFIG.ENABLE_REORG_DETECTION) return null;
+
+  const highestBlockRow = statements.getHighestBlock.get();
+  const highestSynced = highestBlockRow?.height;
+  if (!highestSynced) return null;
+
+  const windowStart = Math.max(1, highestSynced - SYNC_CONFIG.REORG_CHECK_DEPTH + 1);
+  const storedBlocks = statements.getBlocksInRange.all(windowStart, highestSynced);
+  if (storedBlocks.length === 0) return null;
+
+  // Cheap check first: stored blocks must link to each other and the tip must match the chain.
+  // Blocks stored before hashes were kept have hash = '' - unknown, so they are never a mismatch
+  let detectionMethod = null;
+  for (let i = 1; i < storedBlocks.length; i++) {
+    const block = storedBlocks[i];
+    const parent = storedBlocks[i - 1];
+    if (block.previous_hash && parent.hash && parent.height === block.height - 1 && block.previous_hash !== parent.hash) {
+      detectionMethod = 'previous_hash';
+      break;
+    }
+  }
+
+  const tipBlock = storedBlocks[storedBlocks.length - 1];
+  const canonicalTipHash = highestSynced <= currentHeight ? await getBlockHash(highestSynced) : null;
+  if (!detectionMethod) {
+    if (highestSynced > currentHeight) {
+      detectionMethod = 'tip_height';
+    } else if (canonicalTipHash && tipBlock.hash && canonicalTipHash !== tipBlock.hash) {
+      detectionMethod = 'tip_hash';
+    }
+  }
+
+  if (!detectionMethod) return null;
+
+  console.log(`🔀 Possible chain reorganization detected (${detectionMethod}) - verifying ${storedBlocks.length} blocks...`);
+
+  // Find the lowest stored block that no longer matches the canonical chain
+  const canonicalHashes = await getBlockHashes(
+    storedBlocks.filter(b => b.height <= currentHeight).map(b => b.height)
+  );
+
+  let firstMismatch = null;
+  for (const block of storedBlocks) {
+    if (block.height > currentHeight) {
+      firstMismatch = block.height;
+      break;
+    }
+    const canonicalHash = canonicalHashes.get(block.height);
+    if (canonicalHash && block.hash && canonicalHash !== block.hash) {
+      firstMismatch = block.height;
+      break;
+    }
+  }
+
+  if (firstMismatch === null) {
+    console.log('✅ Stored blocks match the canonical chain - no rollback needed');
+    return null;
+  }
+
+  const forkHeight = firstMismatch - 1;
+  const depth = highestSynced - forkHeight;
+  if (firstMismatch === windowStart && windowStart > 1) {
+    console.warn(`⚠️ Reorg reaches the bottom of the ${SYNC_CONFIG.REORG_CHECK_DEPTH}-block check window - it may be deeper`);
+  }
+
+  console.log(`⏪ Chain reorganization: ${depth} blocks orphaned above height ${forkHeight.toLocaleString()}`);
+
+  const { blocksRolledBack, transactionsRemoved } = dbUtils.rollbackAboveHeight(forkHeight);
+  invalidateBlockCache(forkHeight + 1, highestSynced);
+
+  const reorgId = dbUtils.recordChainReorg({
+    forkHeight,
+    oldTipHeight: highestSynced,
+    depth,
+    oldTipHash: tipBlock.hash,
+    newTipHash: canonicalTipHash,
+    blocksRolledBack,
+    transactionsRemoved,
+    detectionMethod,
+    notes: firstMismatch === windowStart && windowStart > 1 ? 'Mismatch at bottom of check window' : null
+  });
+
+  // Re-fetch the rolled back range from the canonical chain
+  const refetchEnd = Math.min(highestSynced, currentHeight);
+  let blocksRefetched = 0;
+  if (refetchEnd > forkHeight) {
+    updateSyncStatus({
+      lastSyncMessage: `Chain reorg: re-fetching ${refetchEnd - forkHeight} blocks above ${forkHeight}`
+    });
+    const refetch = await executeOptimizedSyncDirection(forkHeight + 1, refetchEnd, 'forward', refetchEnd - forkHeight);
+    blocksRefetched = refetch.processed;
+  }
+
+  if (reorgId) {
+    statements.updateChainReorgRefetched.run(blocksRefetched, reorgId);
+  }
+
+  const lastReorg = {
+    id: reorgId,
+    detectedAt: Date.now(),
+    forkHeight,
+    oldTipHeight: highestSynced,
+    depth,
+    blocksRolledBack,
+    transactionsRemoved,
+    blocksRefetched,
+    detectionMethod
+  };
+
+  updateSyncStatus({
+    lastReorg,
+    reorgsDetected: statements.getChainReorgCount.get()?.count || 0
+  });
+
+  console.log(`✅ Reorg handled: removed ${transactionsRemoved} transactions, re-fetched ${blocksRefetched} blocks`);
+  return lastReorg;
+}
+
+// 🔄 UPDATED: Every process that may sync competes for the leader lock (leaderLock.js) - only the
+// holder fetches blocks, prices and delivers webhooks; the others stand by and take over if it stops.
+// role: 'web' for the web server, 'daemon' for scripts/syncd.js
+export async function startScheduler({ role = 'web' } = {}) {
   const targetAddresses = getAllTargetAddresses();
+  schedulerStartedAt = Date.now();
   
-  console.log('🚀 Starting OPTIMIZED Flux tracker scheduler...');
+  console.log(`🚀 Starting OPTIMIZED Flux tracker scheduler (${role})...`);
   console.log(`📊 Configuration: ${targetAddresses.length} addresses, ${MAX_BLOCKS_PER_SYNC} blocks/sync, ${PARALLEL_BATCHES} batches, ${API_CONFIG.MAX_CONCURRENT} concurrent`);
   
+  // NEW: Live events reach /api/events in whichever process serves it, syncing or not
+  startEventRelay();
+  
+  startLeaderElection(role, {
+    getState: getPublishedSyncState,
+    onElected: () => {
+      beginSyncing().catch(error => {
+        console.error('❌ Failed to start syncing:', error);
+      });
+    },
+    onLost: stopSyncing
+  });
+}
+
+async function beginSyncing() {
   await new Promise(resolve => setTimeout(resolve, 3000));
+  if (!isSyncLeader() || stopping) return;
   
   if (PERFORMANCE_CONFIG.ENABLE_METRICS) {
     resetPerformanceStats();
   }
   
+  // NEW: Historical FLUX prices for fiat valuation (runs on its own interval)
+  startPriceCollection();
+  
+  // NEW: Webhook delivery and retries (runs on its own interval)
+  startWebhookDelivery();
+  
+  // NEW: Rescans, backfills and syncs queued by any process (syncRequests.js)
+  startSyncRequestWorker();
+  
   await performSync();
+  if (!isSyncLeader() || stopping) return;
   
   if (syncInterval) clearInterval(syncInterval);
   syncInterval = setInterval(async () => {
     await performSync();
   }, SYNC_INTERVAL);
+  publishLeaderState(true);
   
   console.log(`⏰ Scheduled sync every ${SYNC_INTERVAL / 1000} seconds`);
 }
 
+// NEW: One-off sync work outside the scheduler (scripts/flux-tracker.js) - holds the leader lock while
+// task runs, so it never runs next to a syncing web server or syncd. Returns task's result, or
+// { success: false, locked: true, message } when another process is syncing
+export async function runWithSyncLock(task, { role = 'cli' } = {}) {
+  startEventRelay();
+  startLeaderElection(role, {
+    getState: getPublishedSyncState,
+    onElected: () => {},
+    onLost: () => {}
+  });
+  
+  if (!isSyncLeader()) {
+    const message = notLeaderMessage();
+    stopLeaderElection();
+    stopEventRelay();
+    return { success: false, locked: true, message };
+  }
+  
+  try {
+    return await task();
+  } finally {
+    stopLeaderElection();
+    stopEventRelay();
+  }
+}
+
+// NEW: Another process holds the lock now - a cycle already running finishes, nothing new starts
+function stopSyncing(reason = 'another process is syncing') {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+  stopPriceCollection();
+  stopWebhookDelivery();
+  stopSyncRequestWorker();
+  console.log(`⏹️ Scheduled sync stopped - ${reason}`);
+}
+
+// NEW: Ordered shutdown (scripts/syncd.js) - nothing new starts, the running sync cycle and queued request
+// finish (up to timeoutMs), then the block workers stop and the leader lock is released.
+// The caller closes the database afterwards
+export async function stopScheduler({ timeoutMs = PROCESS_CONFIG.SHUTDOWN_TIMEOUT } = {}) {
+  stopping = true;
+  stopSyncing('shutting down');
+  
+  let timer = null;
+  const finished = await Promise.race([
+    Promise.all([waitForIdle(), waitForSyncRequestWorker()]).then(() => true),
+    new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); })
+  ]);
+  clearTimeout(timer);
+  
+  if (!finished) {
+    console.warn(`⚠️ Sync still running after ${timeoutMs / 1000}s - open sync jobs and requests resume in the next syncing process`);
+  }
+  
+  await stopBlockWorkers();
+  stopEventRelay();
+  stopLeaderElection();
+}
+
 export async function performSync() {
+  // NEW: Only the leader syncs - manual syncs elsewhere don't run a second sync against the same database
+  if (!isSyncLeader()) {
+    return { success: false, message: notLeaderMessage() };
+  }
+  if (stopping) {
+    return { success: false, message: 'Scheduler is stopping' };
+  }
+  
+  const result = await runSyncCycle();
+  if (result?.success) lastSuccessfulSyncTime = Date.now();
+  publishLeaderState(true);
+  
+  // NEW: Alert rules run after every cycle, including skipped ones (a hung sync still gets flagged)
+  runAlertsAfterSync(result);
+  
+  return result;
+}
+
+async function runSyncCycle() {
   if (isRunning) {
     console.log('⏸️  Sync already in progress, skipping...');
     return { success: false, message: 'Sync already in progress' };
@@ -188,8 +452,32 @@ export async function performSync() {
       throw new Error('Could not get current block height');
     }
     
-    console.log(`📡 Current network block height: ${currentHeight.toLocaleString()}`);
+    syncMetrics.networkHeight = currentHeight;
+    syncMetrics.networkHeightTime = Date.now();
     
+    console.log(`📡 Current network block height: ${currentHeight.toLocaleString()}`);
+
+    // NEW: Roll back orphaned blocks before planning the next sync
+    try {
+      await detectChainReorg(currentHeight);
+    } catch (error) {
+      console.error('❌ Chain reorg check failed:', error);
+    }
+
+    // NEW: Blocks that failed in earlier cycles and are due for another attempt
+    try {
+      await retryFailedBlocks(currentHeight);
+    } catch (error) {
+      console.error('❌ Failed block retry failed:', error);
+    }
+
+    // NEW: Sync jobs interrupted by a crash or restart continue where they stopped
+    try {
+      await resumeSyncJobs();
+    } catch (error) {
+      console.error('❌ Resuming sync jobs failed:', error);
+    }
+
     const syncStatus = getSyncStatus(currentHeight);
     if (!syncStatus) {
       throw new Error('Could not get sync status - database not ready');
@@ -257,6 +545,15 @@ export async function performSync() {
     
     await cleanOldData();
     
+    // NEW: Value newly stored payments at their block time
+    if (PRICE_CONFIG.ENABLE_PRICE_HISTORY) {
+      try {
+        valueAllTransactions();
+      } catch (error) {
+        console.error('❌ Error valuing new payments:', error);
+      }
+    }
+    
     const syncEndTime = Date.now();
     const syncDuration = (syncEndTime - syncStartTime) / 1000;
     updateSyncMetrics(result.blocksProcessed, syncDuration);
@@ -307,18 +604,19 @@ function getSyncStatus(currentHeight) {
     }
 
     const totalBlocksQuery = statements.getTotalBlockCount.get();
-    const highestBlockRow = statements.getHighestBlock.get();
-    const lowestBlockRow = statements.getLowestBlock.get();
-    
     const totalBlocksSynced = totalBlocksQuery?.count || 0;
-    const highestSynced = highestBlockRow?.height || null;
-    const lowestSynced = lowestBlockRow?.height || null;
+    
+    // 🔄 UPDATED: From the sync checkpoints - lowestSynced is the bottom of the contiguous range
+    // at the top, so backward sync fills holes first instead of jumping to the oldest block
+    const frontier = getSyncFrontier();
+    const highestSynced = frontier.highest;
+    const lowestSynced = frontier.lowest;
     
     const targetLowestBlock = currentHeight - (BLOCKS_PER_DAY * RETENTION_DAYS);
     const initialSyncTarget = currentHeight - BLOCKS_PER_DAY;
     
     const newBlocksRemaining = highestSynced ? Math.max(0, currentHeight - highestSynced) : BLOCKS_PER_DAY;
-    const historicalBlocksRemaining = lowestSynced ? Math.max(0, lowestSynced - targetLowestBlock) : (BLOCKS_PER_DAY * RETENTION_DAYS) - BLOCKS_PER_DAY;
+    const historicalBlocksRemaining = lowestSynced ? countHeights(findGaps(targetLowestBlock, lowestSynced - 1)) : (BLOCKS_PER_DAY * RETENTION_DAYS) - BLOCKS_PER_DAY;
     const totalBlocksRemaining = newBlocksRemaining + historicalBlocksRemaining;
     
     return {
@@ -327,6 +625,7 @@ function getSyncStatus(currentHeight) {
       highestSynced,
       lowestSynced,
       targetLowestBlock,
+      backwardFloor: Math.max(targetLowestBlock, frontier.floor ?? targetLowestBlock),
       initialSyncTarget,
       newBlocksRemaining,
       historicalBlocksRemaining,
@@ -383,11 +682,12 @@ function createSyncPlan(status, currentHeight) {
     }
     
     if (status.needsBackwardSync) {
-      const backwardBlocks = Math.min(status.historicalBlocksRemaining, 1000);
+      const endBlock = status.lowestSynced - 1;
+      const startBlock = Math.max(endBlock - Math.min(status.historicalBlocksRemaining, 1000) + 1, status.backwardFloor);
       return {
-        startBlock: Math.max(status.lowestSynced - backwardBlocks, status.targetLowestBlock),
-        endBlock: status.lowestSynced - 1,
-        blocksToSync: backwardBlocks,
+        startBlock,
+        endBlock,
+        blocksToSync: endBlock - startBlock + 1,
         direction: 'backward',
         priority: 'completion_backward',
         useGapDetection: true
@@ -438,13 +738,13 @@ function createSyncPlan(status, currentHeight) {
       backwardEndBlock = status.lowestSynced - 1;
       backwardStartBlock = Math.max(
         backwardEndBlock - remainingCapacity + 1, 
-        Math.max(status.initialSyncTarget, status.targetLowestBlock)
+        Math.max(status.initialSyncTarget, status.backwardFloor)
       );
     } else {
       backwardEndBlock = status.lowestSynced - 1;
       backwardStartBlock = Math.max(
         backwardEndBlock - remainingCapacity + 1, 
-        status.targetLowestBlock
+        status.backwardFloor
       );
     }
     
@@ -551,20 +851,24 @@ async function executeOptimizedSyncPlan(plan, status) {
     );
     totalProcessed += backwardResult.processed;
     totalPaymentsFound += backwardResult.paymentsFound;
+    const totalFailed = forwardResult.failed + backwardResult.failed;
     
     const elapsed = (Date.now() - startTime) / 1000;
     const rate = totalProcessed / elapsed;
     
     console.log(`✅ Optimized hybrid sync complete!`);
     console.log(`   📦 Total processed: ${totalProcessed} blocks`);
+    if (totalFailed > 0) console.log(`   🔁 Failed (queued for retry): ${totalFailed} blocks`);
     console.log(`   💰 Total payments found: ${totalPaymentsFound}`);
     console.log(`   ⚡ Performance: ${rate.toFixed(1)} blocks/sec (${(rate * 60).toFixed(0)} blocks/min)`);
     console.log(`   🎯 Capacity used: ${plan.totalCapacityUsed}/${MAX_BLOCKS_PER_SYNC} blocks`);
     
+    // 🔄 UPDATED: A cycle where every block failed is not a successful sync
     return {
-      success: true,
-      message: `Optimized hybrid sync: ${forwardResult.processed} forward + ${backwardResult.processed} backward blocks - ${totalPaymentsFound} payments found`,
+      success: totalProcessed > 0 || totalFailed === 0,
+      message: `Optimized hybrid sync: ${forwardResult.processed} forward + ${backwardResult.processed} backward blocks - ${totalPaymentsFound} payments found${totalFailed > 0 ? `, ${totalFailed} failed` : ''}`,
       blocksProcessed: totalProcessed,
+      blocksFailed: totalFailed,
       paymentsFound: totalPaymentsFound,
       direction: 'hybrid',
       priority: 'hybrid',
@@ -583,14 +887,16 @@ async function executeOptimizedSyncPlan(plan, status) {
     
     console.log(`✅ Optimized sync batch complete!`);
     console.log(`   📦 Processed: ${result.processed} blocks`);
+    if (result.failed > 0) console.log(`   🔁 Failed (queued for retry): ${result.failed} blocks`);
     console.log(`   💰 Payments found: ${result.paymentsFound}`);
     console.log(`   ⚡ Performance: ${result.rate.toFixed(1)} blocks/sec (${(result.rate * 60).toFixed(0)} blocks/min)`);
     console.log(`   🚀 Speedup: ~${Math.round(result.rate / 3)}x faster than sequential`);
     
     return {
-      success: true,
-      message: `Processed ${result.processed} blocks (${priority}) - ${result.paymentsFound} payments found`,
+      success: result.processed > 0 || result.failed === 0,
+      message: `Processed ${result.processed} blocks (${priority}) - ${result.paymentsFound} payments found${result.failed > 0 ? `, ${result.failed} failed` : ''}`,
       blocksProcessed: result.processed,
+      blocksFailed: result.failed,
       paymentsFound: result.paymentsFound,
       direction,
       priority,
@@ -600,8 +906,12 @@ async function executeOptimizedSyncPlan(plan, status) {
   }
 }
 
-async function executeOptimizedSyncDirection(startBlock, endBlock, direction, blocksToSync) {
+// 🔄 UPDATED: Runs as a sync job (sync_ranges) whose next height is saved after every batch.
+// `job` is passed when resuming an interrupted one; startBlock/endBlock are then what is left of it.
+async function executeOptimizedSyncDirection(startBlock, endBlock, direction, blocksToSync, job = null) {
+  const syncJob = job || startSyncJob(startBlock, endBlock, direction);
   let processed = 0;
+  let failed = 0;
   let paymentsFound = 0;
   const startTime = Date.now();
   
@@ -618,41 +928,52 @@ async function executeOptimizedSyncDirection(startBlock, endBlock, direction, bl
 
   console.log(`🚀 Processing ${blockHeights.length} blocks in parallel batches...`);
 
-  const actualBatchSize = ENABLE_FAST_SYNC ? BATCH_SIZE : Math.min(BATCH_SIZE, 10);
+  // 🔄 UPDATED: Batch size is read again for every batch - the adaptive controller shrinks it
+  // when the API struggles and grows it back afterwards (see adaptiveConcurrency.js)
+  function* batches() {
+    let next = 0;
+    while (next < blockHeights.length) {
+      const batch = blockHeights.slice(next, next + getBatchSize());
+      next += batch.length;
+      yield batch;
+    }
+  }
+
+  // 🔄 UPDATED: Fetch, analyze (worker threads) and write overlap - see syncPipeline.js.
+  // Batches reach the writer in order, so the job's next height is exact after each one
+  let done = 0;
+  let batchNumber = 0;
+  let batchesWritten = 0;
+  let lastBatchTime = Date.now();
   
-  for (let i = 0; i < blockHeights.length; i += actualBatchSize) {
-    const batchHeights = blockHeights.slice(i, i + actualBatchSize);
-    const batchStartTime = Date.now();
-    
-    console.log(`   📦 Processing batch ${Math.floor(i / actualBatchSize) + 1}/${Math.ceil(blockHeights.length / actualBatchSize)}: blocks ${batchHeights[0]} to ${batchHeights[batchHeights.length - 1]}`);
-    
-    try {
-      const blockResults = await getBlockDataBatch(batchHeights);
-      const analysis = analyzeBlocksBatch(blockResults, getAllTargetAddresses());
-      
-      if (analysis.transactions.length > 0) {
-        console.log(`💰 Found ${analysis.transactions.length} payments in batch of ${batchHeights.length} blocks`);
-        
-        const enhancedTransactions = await batchResolveFromAddresses(
-          analysis.transactions, 
-          Math.min(API_CONFIG.MAX_CONCURRENT, 15)
-        );
-        
-        await batchInsertData(blockResults, enhancedTransactions);
-        paymentsFound += enhancedTransactions.length;
-      } else {
-        await batchInsertBlocks(blockResults);
+  await runPipeline(batches(), {
+    fetch: async (batchHeights) => {
+      if (!ENABLE_FAST_SYNC && batchNumber > 0) {
+        await new Promise(resolve => setTimeout(resolve, API_CONFIG.REQUEST_DELAY));
       }
+      batchNumber++;
+      console.log(`   📦 Processing batch ${batchNumber} (${done}/${blockHeights.length} done): blocks ${batchHeights[0]} to ${batchHeights[batchHeights.length - 1]}`);
+      return fetchBlockBatch(batchHeights);
+    },
+    analyze: (rawResults) => analyzeBlockBatch(rawResults),
+    write: async (analysis, batchHeights) => {
+      // 🔄 UPDATED: Only blocks actually stored count as processed - the rest are queued for retry
+      const result = await storeBlockBatch(batchHeights, analysis);
+      batchesWritten++;
+      processed += result.stored;
+      failed += result.failed;
+      paymentsFound += result.paymentsFound;
+      done += batchHeights.length;
       
-      processed += batchHeights.length;
-      
-      const batchElapsed = (Date.now() - batchStartTime) / 1000;
-      const batchRate = batchHeights.length / batchElapsed;
+      const batchElapsed = (Date.now() - lastBatchTime) / 1000;
+      lastBatchTime = Date.now();
+      const batchRate = result.stored / batchElapsed;
       const overallElapsed = (Date.now() - startTime) / 1000;
       const overallRate = processed / overallElapsed;
+      const isLastBatch = done >= blockHeights.length;
       
-      if (processed % (actualBatchSize * 2) === 0 || i + actualBatchSize >= blockHeights.length) {
-        console.log(`     📊 Progress: ${processed}/${blocksToSync} blocks (batch: ${batchRate.toFixed(1)} b/s, overall: ${overallRate.toFixed(1)} b/s, ${paymentsFound} payments)`);
+      if (batchesWritten % 2 === 0 || isLastBatch) {
+        console.log(`     📊 Progress: ${processed}/${blocksToSync} blocks (batch: ${batchRate.toFixed(1)} b/s, overall: ${overallRate.toFixed(1)} b/s, ${paymentsFound} payments${failed > 0 ? `, ${failed} failed` : ''})`);
         
         updateSyncStatus({
           lastSyncMessage: `${direction} sync: ${processed}/${blocksToSync} blocks (${overallRate.toFixed(1)} blocks/sec)`,
@@ -660,20 +981,204 @@ async function executeOptimizedSyncDirection(startBlock, endBlock, direction, bl
         });
       }
       
-    } catch (error) {
-      console.error(`❌ Error processing batch ${i / actualBatchSize + 1}:`, error);
-      processed += batchHeights.length;
-    }
-    
-    if (!ENABLE_FAST_SYNC && i + actualBatchSize < blockHeights.length) {
-      await new Promise(resolve => setTimeout(resolve, API_CONFIG.REQUEST_DELAY));
+      if (!isLastBatch) updateSyncJob(syncJob.id, blockHeights[done]);
     }
-  }
+  });
+  
+  finishSyncJob(syncJob.id);
   
   const elapsed = (Date.now() - startTime) / 1000;
   const rate = processed / elapsed;
   
-  return { processed, paymentsFound, elapsed, rate };
+  return { processed, failed, paymentsFound, elapsed, rate };
+}
+
+// NEW: Jobs still 'in_progress' at the start of a cycle were cut off by a crash or restart
+async function resumeSyncJobs() {
+  const jobs = getOpenSyncJobs();
+  
+  for (const job of jobs) {
+    if (job.remainingBlocks <= 0) {
+      finishSyncJob(job.id);
+      continue;
+    }
+    
+    console.log(`⏯️ Resuming ${job.direction} sync job #${job.id} at block ${job.next.toLocaleString()} (${job.remainingBlocks} of ${job.end - job.start + 1} blocks left)`);
+    updateSyncStatus({
+      lastSyncMessage: `Resuming interrupted ${job.direction} sync at block ${job.next}`
+    });
+    await executeOptimizedSyncDirection(job.remaining.start, job.remaining.end, job.direction, job.remainingBlocks, job);
+  }
+  
+  return jobs.length;
+}
+
+// NEW: Fetch, analyze and store one batch - the three sync pipeline stages back to back. Blocks without
+// data (fetch errors) - or the whole batch when a stage fails - are added to the failed block queue;
+// blocks stored leave it and join the sync ranges. Returns { stored, failed, paymentsFound }
+async function processBlockBatch(batchHeights, resolveBatchSize = Math.min(getConcurrencyLimit(), 15)) {
+  const rawResults = await fetchBlockBatch(batchHeights);
+  const analysis = await analyzeBlockBatch(rawResults, resolveBatchSize);
+  return await storeBlockBatch(batchHeights, analysis);
+}
+
+// Fetch stage: block responses as unparsed text
+async function fetchBlockBatch(batchHeights) {
+  try {
+    return await getRawBlockBatch(batchHeights);
+  } catch (error) {
+    return batchHeights.map(height => ({ height, error: error.message }));
+  }
+}
+
+// Analyze stage: parsing and analysis in the block worker threads, then from-address lookups.
+// Failures are passed on as { error } for the writer to queue
+async function analyzeBlockBatch(rawResults, resolveBatchSize = Math.min(getConcurrencyLimit(), 15)) {
+  try {
+    const analysis = await analyzeRawBlocks(rawResults, getDataSourceInfo().type, getAllTargetAddresses());
+    
+    if (analysis.transactions.length > 0) {
+      console.log(`💰 Found ${analysis.transactions.length} payments in batch of ${rawResults.length} blocks`);
+      if (analysis.fromLookups > 0) {
+        analysis.transactions = await batchResolveFromAddresses(analysis.transactions, resolveBatchSize);
+      }
+    }
+    return analysis;
+  } catch (error) {
+    return { error };
+  }
+}
+
+// Write stage: the only one touching the database
+async function storeBlockBatch(batchHeights, analysis) {
+  const errors = new Map();
+  let storedHeights = [];
+  let paymentsFound = 0;
+
+  try {
+    if (analysis.error) throw analysis.error;
+    const { blockResults, transactions } = analysis;
+    
+    if (transactions.length > 0) {
+      await batchInsertData(blockResults, transactions);
+      paymentsFound = transactions.length;
+    } else {
+      await batchInsertBlocks(blockResults);
+    }
+
+    storedHeights = blockResults.filter(result => result.data).map(result => result.height);
+    blockResults.filter(result => !result.data && result.height !== null)
+      .forEach(result => errors.set(result.height, result.error || 'No block data returned'));
+  } catch (error) {
+    console.error(`❌ Error processing batch ${batchHeights[0]}-${batchHeights[batchHeights.length - 1]}:`, error);
+    batchHeights.forEach(height => errors.set(height, error.message));
+  }
+
+  const stored = new Set(storedHeights);
+  const failures = batchHeights
+    .filter(height => !stored.has(height))
+    .map(height => ({ height, error: errors.get(height) || 'No block data returned' }));
+
+  queueFailedBlocks(failures);
+  if (storedHeights.length > 0) {
+    markBlocksSynced(storedHeights);
+    dbUtils.clearFailedBlocks(storedHeights);
+  }
+
+  return { stored: storedHeights.length, failed: failures.length, paymentsFound };
+}
+
+function getFailedBlockRetryDelay(attempts) {
+  return Math.min(SYNC_CONFIG.FAILED_BLOCK_RETRY_BASE_DELAY * Math.pow(2, attempts - 1), SYNC_CONFIG.FAILED_BLOCK_RETRY_MAX_DELAY);
+}
+
+function queueFailedBlocks(failures) {
+  if (failures.length === 0) return;
+
+  const now = Math.floor(Date.now() / 1000);
+  const rows = failures.map(({ height, error }) => {
+    const attempts = (statements.getFailedBlock.get(height)?.attempts || 0) + 1;
+    const gaveUp = attempts >= SYNC_CONFIG.FAILED_BLOCK_MAX_ATTEMPTS;
+    return {
+      height,
+      error,
+      attempts,
+      status: gaveUp ? 'failed' : 'retrying',
+      nextRetryAt: now + Math.ceil(getFailedBlockRetryDelay(attempts) / 1000)
+    };
+  });
+
+  try {
+    dbUtils.recordFailedBlocks(rows);
+  } catch (error) {
+    console.error('❌ Error queuing failed blocks:', error);
+    return;
+  }
+
+  const gaveUp = rows.filter(row => row.status === 'failed');
+  console.warn(`⚠️ ${rows.length} block(s) failed and were queued for retry (e.g. ${rows[0].height}: ${rows[0].error})`);
+  if (gaveUp.length > 0) {
+    console.error(`❌ Giving up on ${gaveUp.length} block(s) after ${SYNC_CONFIG.FAILED_BLOCK_MAX_ATTEMPTS} attempts - retry them via /api/sync/failures`);
+  }
+}
+
+// NEW: Retry queued blocks that are due - runs at the start of every sync cycle
+async function retryFailedBlocks(currentHeight) {
+  // Blocks that fell out of the retention window are no longer wanted
+  statements.deleteFailedBlocksBelow.run(currentHeight - (BLOCKS_PER_DAY * RETENTION_DAYS));
+
+  const due = statements.getDueFailedBlocks.all(Math.floor(Date.now() / 1000), SYNC_CONFIG.FAILED_BLOCK_RETRIES_PER_CYCLE);
+  if (due.length === 0) return { retried: 0, recovered: 0, failed: 0 };
+
+  // Gap filling, rescans or a reorg re-fetch may have stored some of them in the meantime
+  const heights = due.map(row => row.height);
+  const isStored = height => statements.countBlocksInRange.get(height, height).count > 0;
+  const alreadyStored = heights.filter(isStored);
+  const missing = heights.filter(height => !alreadyStored.includes(height));
+  if (alreadyStored.length > 0) dbUtils.clearFailedBlocks(alreadyStored);
+
+  console.log(`🔁 Retrying ${missing.length} failed block(s)${alreadyStored.length > 0 ? ` (${alreadyStored.length} already stored)` : ''}...`);
+
+  let recovered = alreadyStored.length;
+  let failed = 0;
+  let i = 0;
+  while (i < missing.length) {
+    const batch = missing.slice(i, i + getBatchSize());
+    const result = await processBlockBatch(batch);
+    recovered += result.stored;
+    failed += result.failed;
+    i += batch.length;
+  }
+
+  console.log(`🔁 Failed block retry: ${recovered} recovered, ${failed} still failing`);
+  return { retried: due.length, recovered, failed };
+}
+
+// NEW: Manual "retry now" for /api/sync/failures - makes the blocks due and retries them unless a sync is running
+export async function retryFailedBlocksNow(height = null) {
+  const queued = dbUtils.retryFailedBlocksNow(height);
+  if (queued === 0) return { queued: 0, started: false };
+
+  if (!isSyncLeader()) {
+    return { queued, started: false, message: `${notLeaderMessage()} - blocks will be retried at its next cycle` };
+  }
+
+  if (isRunning) {
+    return { queued, started: false, message: 'Sync in progress - blocks will be retried at the start of the next cycle' };
+  }
+
+  const currentHeight = await getCurrentBlockHeight();
+  if (!currentHeight) {
+    return { queued, started: false, message: 'Could not get current block height - blocks will be retried next cycle' };
+  }
+
+  isRunning = true;
+  try {
+    const result = await retryFailedBlocks(currentHeight);
+    return { queued, started: true, ...result };
+  } finally {
+    isRunning = false;
+  }
 }
 
 async function batchInsertData(blockResults, transactions) {
@@ -683,7 +1188,8 @@ async function batchInsertData(blockResults, transactions) {
       .map(result => [
         result.height,
         result.data.time || Math.floor(Date.now() / 1000),
-        result.data.hash || ''
+        result.data.hash || '',
+        result.data.previousblockhash || null
       ]);
 
     if (blockInserts.length > 0) {
@@ -693,41 +1199,74 @@ async function batchInsertData(blockResults, transactions) {
         }
       });
       blockInsertTransaction();
+      publishBlocks(blockInserts.map(insert => insert[0]));
     }
 
-    if (transactions && transactions.length > 0) {
-      const transactionInserts = transactions.map(tx => {
-        const blockData = blockResults.find(b => b.height === tx.blockHeight);
-        const timestamp = blockData?.data?.time || Math.floor(Date.now() / 1000);
-        
-        return [
-          tx.blockHeight,
-          tx.id || '',
-          tx.voutIndex || 0,
-          tx.to,
-          tx.from === 'Unknown' ? null : tx.from,
-          tx.amount || 0,
-          timestamp
-        ];
-      });
+    insertTransactionRows(blockResults, transactions);
 
-      const transactionInsertTransaction = statements.db.transaction(() => {
-        for (const insert of transactionInserts) {
-          try {
-            statements.insertTransaction.run(...insert);
-          } catch (dbError) {
-            if (!dbError.message.includes('UNIQUE constraint failed')) {
-              console.error('❌ Error storing transaction:', dbError);
-            }
-          }
+  } catch (error) {
+    console.error('❌ Error in batch insert:', error);
+    await fallbackIndividualInserts(blockResults, transactions);
+  }
+}
+
+// Inserts payments only (blocks untouched) - returns the number of new rows
+function insertTransactionRows(blockResults, transactions) {
+  if (!transactions || transactions.length === 0) return 0;
+
+  const transactionInserts = transactions.map(tx => toTransactionInsert(blockResults, tx));
+
+  const transactionInsertTransaction = statements.db.transaction(() => {
+    const inserted = [];
+    for (const insert of transactionInserts) {
+      try {
+        if (statements.insertTransaction.run(...insert).changes > 0) {
+          inserted.push(insert);
         }
-      });
-      transactionInsertTransaction();
+      } catch (dbError) {
+        if (!dbError.message.includes('UNIQUE constraint failed')) {
+          console.error('❌ Error storing transaction:', dbError);
+        }
+      }
     }
+    return inserted;
+  });
+  const inserted = transactionInsertTransaction();
+
+  announcePayments(inserted);
+  return inserted.length;
+}
 
+// insertTransaction parameters for an analyzed payment
+function toTransactionInsert(blockResults, tx) {
+  const blockData = blockResults.find(b => b.height === tx.blockHeight);
+  const timestamp = blockData?.data?.time || Math.floor(Date.now() / 1000);
+  
+  return [
+    tx.blockHeight,
+    tx.id || '',
+    tx.voutIndex || 0,
+    tx.to,
+    tx.from === 'Unknown' ? null : tx.from,
+    tx.amount || 0,
+    timestamp
+  ];
+}
+
+// NEW: Events and webhooks for newly stored payments (insertTransaction parameter rows)
+function announcePayments(inserted) {
+  const payments = inserted.map(([blockHeight, txid, vout, address, from, amount, timestamp]) => ({
+    blockHeight, txid, vout, address, from, amount, timestamp
+  }));
+
+  // NEW: Live update for /api/events subscribers
+  publishPayments(payments);
+
+  // NEW: Webhook notifications - a failure here must never undo the insert
+  try {
+    queuePaymentWebhooks(payments);
   } catch (error) {
-    console.error('❌ Error in batch insert:', error);
-    await fallbackIndividualInserts(blockResults, transactions);
+    console.error('❌ Error queuing webhooks:', error);
   }
 }
 
@@ -738,7 +1277,8 @@ async function batchInsertBlocks(blockResults) {
       .map(result => [
         result.height,
         result.data.time || Math.floor(Date.now() / 1000),
-        result.data.hash || ''
+        result.data.hash || '',
+        result.data.previousblockhash || null
       ]);
 
     if (blockInserts.length > 0) {
@@ -748,6 +1288,7 @@ async function batchInsertBlocks(blockResults) {
         }
       });
       blockInsertTransaction();
+      publishBlocks(blockInserts.map(insert => insert[0]));
     }
   } catch (error) {
     console.error('❌ Error in batch block insert:', error);
@@ -757,7 +1298,8 @@ async function batchInsertBlocks(blockResults) {
           statements.insertBlock.run(
             result.height,
             result.data.time || Math.floor(Date.now() / 1000),
-            result.data.hash || ''
+            result.data.hash || '',
+            result.data.previousblockhash || null
           );
         } catch (individualError) {
           console.error(`❌ Error inserting block ${result.height}:`, individualError);
@@ -776,7 +1318,8 @@ async function fallbackIndividualInserts(blockResults, transactions) {
         statements.insertBlock.run(
           result.height,
           result.data.time || Math.floor(Date.now() / 1000),
-          result.data.hash || ''
+          result.data.hash || '',
+          result.data.previousblockhash || null
         );
       } catch (error) {
         console.error(`❌ Error inserting block ${result.height}:`, error);
@@ -785,26 +1328,22 @@ async function fallbackIndividualInserts(blockResults, transactions) {
   }
 
   if (transactions && transactions.length > 0) {
+    // 🔄 UPDATED: Payments stored here get their events and webhooks too
+    const inserted = [];
     for (const tx of transactions) {
-      const blockData = blockResults.find(b => b.height === tx.blockHeight);
-      const timestamp = blockData?.data?.time || Math.floor(Date.now() / 1000);
+      const insert = toTransactionInsert(blockResults, tx);
       
       try {
-        statements.insertTransaction.run(
-          tx.blockHeight,
-          tx.id || '',
-          tx.voutIndex || 0,
-          tx.to,
-          tx.from === 'Unknown' ? null : tx.from,
-          tx.amount || 0,
-          timestamp
-        );
+        if (statements.insertTransaction.run(...insert).changes > 0) {
+          inserted.push(insert);
+        }
       } catch (dbError) {
         if (!dbError.message.includes('UNIQUE constraint failed')) {
           console.error('❌ Error storing transaction:', dbError);
         }
       }
     }
+    announcePayments(inserted);
   }
 }
 
@@ -875,6 +1414,16 @@ async function cleanOldData() {
     if (deletedTx.changes > 0 || deletedBlocks.changes > 0) {
       console.log(`🧹 Cleaned old data: ${deletedTx.changes} transactions, ${deletedBlocks.changes} blocks`);
     }
+    
+    // NEW: Keep the sync checkpoints in line with what is left
+    if (deletedBlocks.changes > 0) {
+      const lowest = statements.getLowestBlock.get()?.height;
+      if (lowest) {
+        trimRangesBelow(lowest);
+      } else {
+        rebuildSyncRanges();
+      }
+    }
   } catch (error) {
     console.error('❌ Error cleaning old data:', error);
   }
@@ -898,7 +1447,8 @@ function logPerformanceStats() {
   console.log(`📡 API calls made: ${perfStats.apiCallCount}`);
   console.log(`🎯 Cache hits: ${perfStats.cacheHitCount} (${perfStats.cacheHitRate.toFixed(1)}% hit rate)`);
   console.log(`⏱️ Average batch time: ${perfStats.avgBatchTime}ms`);
-  console.log(`🔗 Active connections: ${perfStats.activeConnections}/${API_CONFIG.MAX_CONCURRENT}`);
+  console.log(`🔗 Active connections: ${perfStats.activeConnections}/${perfStats.adaptive.concurrency} (max ${perfStats.adaptive.maxConcurrency})`);
+  console.log(`📦 Sync batch size: ${perfStats.adaptive.batchSize}/${perfStats.adaptive.maxBatchSize}`);
   console.log(`📝 Address cache size: ${perfStats.cacheSize}`);
   console.log(`📦 Block cache size: ${perfStats.blockCacheSize}`);
   
@@ -908,10 +1458,67 @@ function logPerformanceStats() {
   }
 }
 
+// NEW: Scheduler state for the health/readiness checks
+// 🔄 UPDATED: In a process that doesn't sync, this is the syncing process's state (null when none is running)
+export function getSchedulerState() {
+  if (!isSyncLeader()) {
+    const state = getLeaderState();
+    return {
+      startedAt: state?.schedulerStartedAt ?? null,
+      scheduled: state?.scheduled ?? false,
+      syncRunning: state?.syncRunning ?? false,
+      lastSuccessfulSyncTime: state?.lastSuccessfulSyncTime ?? null,
+      syncInterval: SYNC_INTERVAL,
+      leader: getLeaderStatus()
+    };
+  }
+  
+  return {
+    startedAt: schedulerStartedAt,
+    scheduled: !!syncInterval,
+    syncRunning: isRunning,
+    lastSuccessfulSyncTime,
+    syncInterval: SYNC_INTERVAL,
+    leader: getLeaderStatus()
+  };
+}
+
+// NEW: Published with the leader lock - everything other processes need to report on this one's sync
+function getPublishedSyncState() {
+  return {
+    syncInfo: getSyncInfo(),
+    schedulerStartedAt,
+    scheduled: !!syncInterval,
+    syncRunning: isRunning,
+    lastSuccessfulSyncTime,
+    networkHeight: syncMetrics.networkHeight
+  };
+}
+
+function notLeaderMessage() {
+  const holder = getLeaderStatus().holder;
+  return holder ? `Sync runs in the ${holder.role} process ${holder.owner}` : 'No process is syncing right now';
+}
+
+// NEW: Chain height from the last sync cycle - the syncing process's in one that doesn't sync, null when unknown
+export function getNetworkHeight() {
+  if (!isSyncLeader()) return getLeaderState()?.networkHeight ?? null;
+  return syncMetrics.networkHeight;
+}
+
 export function getSyncMetrics() {
   return {
     ...syncMetrics,
-    api: getPerformanceStats()
+    api: getPerformanceStats(),
+    pipeline: getPipelineStatus()
+  };
+}
+
+// NEW: Sync pipeline queues and block worker threads
+export function getPipelineStatus() {
+  return {
+    ...getPipelineStats(),
+    workers: getBlockWorkerStats()
   };
 }
 
@@ -989,6 +1596,40 @@ export async function backfillFromAddresses(limit = 100) {
   }
 }
 
+// NEW: Historical backfill for newly tracked addresses - runs as a targeted rescan
+// over already-synced blocks, so forward/backward sync progress is untouched
+// 🔄 UPDATED: Queued in the database - works from any process, the syncing one runs it
+export function scheduleAddressBackfill(address) {
+  return startRescan({ addresses: [address], reason: 'address_added' });
+}
+
+// NEW: Resolves once no sync cycle is running in this process
+async function waitForIdle() {
+  while (isRunning) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
+// NEW: Work other processes queue for the syncing one (syncRequests.js) - rescans register in rescan.js
+registerSyncRequestHandler('sync', async () => {
+  await waitForIdle();
+  return await performSync();
+});
+
+registerSyncRequestHandler('backfill', async request => {
+  return await backfillFromAddresses(request.params.limit);
+});
+
+registerSyncRequestHandler('fill_gaps', async request => {
+  await waitForIdle();
+  isRunning = true;
+  try {
+    return { filled: await detectAndFillMissingBlocks(request.params.fromHeight, request.params.toHeight) };
+  } finally {
+    isRunning = false;
+  }
+});
+
 export async function syncBlocks() {
   return await performSync();
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+// syncPipeline.js - Fetch → analyze → write, with bounded queues between the stages
+// Each stage works on one batch at a time, so the next batch is being fetched while the current one
+// is analyzed (blockWorkerPool.js) and the previous one is written. Writing is a single stage - the
+// only one touching the database - and sees batches in order, so sync job checkpoints stay exact.
+// Backpressure: a stage waits while the queue after it holds PIPELINE_CONFIG.QUEUE_SIZE batches, and
+// fetching waits while resident memory is above SYNC_CONFIG.MAX_MEMORY_USAGE_MB and batches are still
+// queued (an empty pipeline always fetches, so it can't stall itself).
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Sync pipeline can only run on server-side');
+}
+
+import { PIPELINE_CONFIG, SYNC_CONFIG } from './config.js';
+
+const activeQueues = new Set();
+const stats = {
+  running: 0,
+  batches: 0,
+  memoryPauses: 0,
+  lastMemoryPauseAt: null
+};
+
+function createBoundedQueue(capacity) {
+  const items = [];
+  const waitingTakers = [];
+  const waitingPutters = [];
+  let closed = false;
+
+  function wake(waiting) {
+    waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  return {
+    // false once the queue is closed - the consumer is gone or the pipeline failed
+    async put(item) {
+      while (items.length >= capacity && !closed) {
+        await new Promise(resolve => waitingPutters.push(resolve));
+      }
+      if (closed) return false;
+
+      items.push(item);
+      wake(waitingTakers);
+      return true;
+    },
+
+    // null when the queue is closed and drained
+    async take() {
+      while (items.length === 0 && !closed) {
+        await new Promise(resolve => waitingTakers.push(resolve));
+      }
+      if (items.length === 0) return null;
+
+      const item = items.shift();
+      wake(waitingPutters);
+      return item;
+    },
+
+    // End of input: what is queued is still taken
+    close() {
+      closed = true;
+      wake(waitingTakers);
+      wake(waitingPutters);
+    },
+
+    abort() {
+      items.length = 0;
+      this.close();
+    },
+
+    get length() {
+      return items.length;
+    }
+  };
+}
+
+function overMemoryLimit() {
+  return process.memoryUsage().rss > SYNC_CONFIG.MAX_MEMORY_USAGE_MB * 1024 * 1024;
+}
+
+async function waitForMemory(queues, isAborted) {
+  let paused = false;
+
+  while (!isAborted() && queues.some(queue => queue.length > 0) && overMemoryLimit()) {
+    if (!paused) {
+      paused = true;
+      // At most one warning a minute while memory stays high
+      if (!stats.lastMemoryPauseAt || Date.now() - stats.lastMemoryPauseAt > 60 * 1000) {
+        const rssMb = Math.round(process.memoryUsage().rss / 1024 / 1024);
+        console.warn(`🧠 Memory at ${rssMb}MB (limit ${SYNC_CONFIG.MAX_MEMORY_USAGE_MB}MB) - pausing block fetching until queued batches are written`);
+      }
+      stats.memoryPauses++;
+      stats.lastMemoryPauseAt = Date.now();
+    }
+    await new Promise(resolve => setTimeout(resolve, PIPELINE_CONFIG.MEMORY_CHECK_INTERVAL));
+  }
+}
+
+// batches: any iterable of block height arrays - read lazily, so a generator can size each batch
+// when it is fetched. fetch(batch) → raw, analyze(raw, batch) → analyzed, write(analyzed, batch).
+// Stages handle their own per-block errors; anything they throw stops the pipeline and is rethrown.
+export async function runPipeline(batches, { fetch, analyze, write }) {
+  const fetched = createBoundedQueue(PIPELINE_CONFIG.QUEUE_SIZE);
+  const analyzed = createBoundedQueue(PIPELINE_CONFIG.QUEUE_SIZE);
+  const queues = [fetched, analyzed];
+  let failure = null;
+
+  const abort = (error) => {
+    failure = failure || error;
+    queues.forEach(queue => queue.abort());
+  };
+
+  const fetchStage = async () => {
+    for (const batch of batches) {
+      await waitForMemory(queues, () => failure !== null);
+      if (failure) return;
+
+      const raw = await fetch(batch);
+      if (!await fetched.put({ batch, raw })) return;
+    }
+    fetched.close();
+  };
+
+  const analyzeStage = async () => {
+    let item;
+    while ((item = await fetched.take()) !== null) {
+      const result = await analyze(item.raw, item.batch);
+      if (!await analyzed.put({ batch: item.batch, result })) return;
+    }
+    analyzed.close();
+  };
+
+  const writeStage = async () => {
+    let item;
+    while ((item = await analyzed.take()) !== null) {
+      await write(item.result, item.batch);
+      stats.batches++;
+    }
+  };
+
+  stats.running++;
+  queues.forEach(queue => activeQueues.add(queue));
+
+  try {
+    await Promise.all([fetchStage(), analyzeStage(), writeStage()].map(stage => stage.catch(abort)));
+  } finally {
+    stats.running--;
+    queues.forEach(queue => activeQueues.delete(queue));
+  }
+
+  if (failure) throw failure;
+}
+
+export function getPipelineStats() {
+  return {
+    ...stats,
+    queuedBatches: [...activeQueues].reduce((sum, queue) => sum + queue.length, 0),
+    queueSize: PIPELINE_CONFIG.QUEUE_SIZE,
+    memoryLimitMb: SYNC_CONFIG.MAX_MEMORY_USAGE_MB,
+    rssMb: Math.round(process.memoryUsage().rss / 1024 / 1024)
+  };
+}
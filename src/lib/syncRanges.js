@@ -0,0 +1,193 @@
+// syncRanges.js - Sync checkpoints in the sync_ranges table
+// Completed ranges are the stored blocks as merged, contiguous [start, end] ranges, so the frontier
+// and every gap come from a small range set instead of scanning block heights. Each forward/backward
+// sync run is also recorded as a job with its next height; a job left 'in_progress' by a crash or
+// restart is resumed from exactly that height by the next cycle.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Sync ranges can only be used on server-side');
+}
+
+import { db, statements } from './db.js';
+
+// Consecutive heights → [{ start, end }], e.g. [5, 6, 7, 9] → [{5, 7}, {9, 9}]
+export function toRanges(heights) {
+  const sorted = [...new Set(heights)].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const height of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && height === last.end + 1) {
+      last.end = height;
+    } else {
+      ranges.push({ start: height, end: height });
+    }
+  }
+  return ranges;
+}
+
+// [start, end] minus a sorted, non-overlapping range list
+export function subtractRanges(start, end, ranges) {
+  const gaps = [];
+  let cursor = start;
+
+  for (const range of ranges) {
+    if (range.end < cursor) continue;
+    if (range.start > end) break;
+    if (range.start > cursor) gaps.push({ start: cursor, end: range.start - 1 });
+    cursor = Math.max(cursor, range.end + 1);
+    if (cursor > end) break;
+  }
+
+  if (cursor <= end) gaps.push({ start: cursor, end });
+  return gaps;
+}
+
+export function countHeights(ranges) {
+  return ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0);
+}
+
+export function getCompletedRanges() {
+  return statements.getCompletedSyncRanges.all().map(row => ({ start: row.start_height, end: row.end_height }));
+}
+
+// Merges each range with every completed range it overlaps or touches
+const mergeRanges = db.transaction((ranges) => {
+  for (const range of ranges) {
+    const touching = statements.getTouchingSyncRanges.all(range.end + 1, range.start - 1);
+    let start = range.start;
+    let end = range.end;
+
+    for (const row of touching) {
+      start = Math.min(start, row.start_height);
+      end = Math.max(end, row.end_height);
+      statements.deleteSyncRange.run(row.id);
+    }
+    statements.insertSyncRange.run(start, end, 'complete', null, null);
+  }
+});
+
+export function markBlocksSynced(heights) {
+  if (heights.length === 0) return;
+  mergeRanges(toRanges(heights));
+}
+
+// Missing heights between start and end, as ranges (exclude: heights handled elsewhere, e.g. the failed block queue)
+export function findGaps(start, end, exclude = []) {
+  if (end < start) return [];
+
+  const covered = [...getCompletedRanges(), ...toRanges(exclude)]
+    .sort((a, b) => a.start - b.start);
+  return subtractRanges(start, end, covered);
+}
+
+// Completed ranges merged with the failed block queue - queued blocks are retried with their own
+// backoff, so forward and backward sync step over them instead of fetching them again every cycle
+function getCoveredRanges() {
+  const ranges = getCompletedRanges();
+  const failed = toRanges(statements.getFailedBlockHeights.all().map(row => row.height));
+  if (failed.length === 0) return ranges;
+
+  const merged = [];
+  for (const range of [...ranges, ...failed].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+// highest: top of the highest range. lowest: bottom of the contiguous range that reaches it -
+// backward sync continues below that, down to `floor` (just above the next range down, if any)
+export function getSyncFrontier() {
+  const ranges = getCoveredRanges();
+  if (ranges.length === 0) {
+    return { highest: null, lowest: null, floor: null };
+  }
+
+  const top = ranges[ranges.length - 1];
+  const below = ranges[ranges.length - 2];
+
+  return {
+    highest: top.end,
+    lowest: top.start,
+    floor: below ? below.end + 1 : null
+  };
+}
+
+// Retention cleanup removed everything below `height`
+export function trimRangesBelow(height) {
+  db.transaction(() => {
+    statements.deleteSyncRangesBelow.run(height);
+    statements.truncateSyncRangesBelow.run(height, height);
+  })();
+}
+
+// Rebuilds the completed ranges from the blocks table (first start after upgrading, or repair)
+export function rebuildSyncRanges() {
+  const islands = statements.getBlockIslands.all();
+
+  db.transaction(() => {
+    statements.deleteCompletedSyncRanges.run();
+    for (const island of islands) {
+      statements.insertSyncRange.run(island.start_height, island.end_height, 'complete', null, null);
+    }
+  })();
+
+  console.log(`🧭 Sync ranges rebuilt from stored blocks: ${islands.length} range(s)`);
+  return islands.length;
+}
+
+// Jobs - heights are processed from next_height towards end_height (forward) or start_height (backward)
+export function startSyncJob(startHeight, endHeight, direction) {
+  const nextHeight = direction === 'backward' ? endHeight : startHeight;
+  const id = statements.insertSyncRange.run(startHeight, endHeight, 'in_progress', direction, nextHeight).lastInsertRowid;
+  return { id, start: startHeight, end: endHeight, direction, next: nextHeight };
+}
+
+export function updateSyncJob(id, nextHeight) {
+  statements.updateSyncJobProgress.run(nextHeight, id);
+}
+
+export function finishSyncJob(id) {
+  statements.deleteSyncRange.run(id);
+}
+
+// Interrupted jobs with the part that is still to do
+export function getOpenSyncJobs() {
+  return statements.getSyncJobs.all().map(row => {
+    const remaining = row.direction === 'backward'
+      ? { start: row.start_height, end: row.next_height }
+      : { start: row.next_height, end: row.end_height };
+    return {
+      id: row.id,
+      direction: row.direction,
+      start: row.start_height,
+      end: row.end_height,
+      next: row.next_height,
+      remaining,
+      remainingBlocks: Math.max(0, remaining.end - remaining.start + 1),
+      updatedAt: row.updated_at
+    };
+  });
+}
+
+export function getSyncRangeSummary() {
+  const ranges = getCompletedRanges();
+  return {
+    ranges: ranges.length,
+    blocks: countHeights(ranges),
+    lowest: ranges[0]?.start ?? null,
+    highest: ranges[ranges.length - 1]?.end ?? null,
+    openJobs: getOpenSyncJobs()
+  };
+}
+
+// Upgrading from a version without checkpoints: derive them from the blocks already stored
+if (statements.getCompletedSyncRanges.all().length === 0 && (statements.getTotalBlockCount.get()?.count || 0) > 0) {
+  rebuildSyncRanges();
+}
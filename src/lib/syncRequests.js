@@ -0,0 +1,174 @@
+// syncRequests.js - Queue in the database for work that fetches blocks: rescans, from-address backfills,
+// one-off sync cycles and gap fills
+// Any process can queue a request - the web server (read-only or standby too) and scripts/flux-tracker.js.
+// Only the process holding the sync leader lock (leaderLock.js) runs them, one at a time in the order they
+// were queued. Status and progress are kept in the sync_requests table, so every process can report on
+// every job. A request the previous lock holder was running when it stopped is run again.
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Sync requests can only run on server-side');
+}
+
+import { statements } from './db.js';
+import { PROCESS_CONFIG } from './config.js';
+import { getLeaderStatus, isSyncLeader } from './leaderLock.js';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// type → async handler(request, { setProgress, isCancelled }) returning the result to store
+const handlers = new Map();
+
+let pollTimer = null;
+let draining = null;
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function toRequest(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    params: parseJson(row.params, {}),
+    progress: parseJson(row.progress, null),
+    error: row.error,
+    requestedBy: row.requested_by,
+    runner: row.runner,
+    cancelRequested: row.cancel_requested === 1,
+    createdAt: row.created_at ? row.created_at * 1000 : null,
+    startedAt: row.started_at ? row.started_at * 1000 : null,
+    finishedAt: row.finished_at ? row.finished_at * 1000 : null
+  };
+}
+
+export function isActiveRequest(request) {
+  return ACTIVE_STATUSES.includes(request.status);
+}
+
+export function registerSyncRequestHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export function queueSyncRequest(type, params = {}) {
+  const id = statements.insertSyncRequest.run(type, JSON.stringify(params), getLeaderStatus().owner).lastInsertRowid;
+
+  // The lock holder starts right away instead of at its next poll
+  if (pollTimer) {
+    drainSyncRequests().catch(error => console.error('❌ Sync request queue failed:', error));
+  }
+
+  return getSyncRequest(id);
+}
+
+export function getSyncRequest(id) {
+  return toRequest(statements.getSyncRequest.get(id));
+}
+
+export function getSyncRequests({ type = null, limit = 20 } = {}) {
+  return statements.getSyncRequests.all(type, type, limit).map(toRequest);
+}
+
+// Queued requests are cancelled at once, running ones stop at their next check - null if already finished
+export function cancelSyncRequest(id) {
+  if (statements.cancelQueuedSyncRequest.run(id).changes === 0) {
+    statements.requestSyncRequestCancel.run(id);
+  }
+
+  const request = getSyncRequest(id);
+  return request && (request.status === 'cancelled' || request.cancelRequested) ? request : null;
+}
+
+async function runRequest(request) {
+  const handler = handlers.get(request.type);
+  let cancelled = false;
+  let progress = null;
+
+  const context = {
+    setProgress(value) {
+      progress = value;
+      statements.updateSyncRequestProgress.run(JSON.stringify(value), request.id);
+    },
+    isCancelled() {
+      cancelled = cancelled || statements.getSyncRequest.get(request.id)?.cancel_requested === 1;
+      return cancelled;
+    }
+  };
+
+  console.log(`📋 Running sync request #${request.id} (${request.type}, from ${request.requestedBy || 'unknown'})`);
+
+  try {
+    if (!handler) throw new Error(`No handler for ${request.type} requests`);
+    const result = await handler(request, context);
+    statements.finishSyncRequest.run(cancelled ? 'cancelled' : 'completed', JSON.stringify(result ?? progress), null, request.id);
+  } catch (error) {
+    console.error(`❌ Sync request #${request.id} (${request.type}) failed:`, error.message);
+    statements.finishSyncRequest.run('failed', progress === null ? null : JSON.stringify(progress), error.message, request.id);
+  }
+}
+
+// Runs queued requests while this process holds the lock. stopAfter: return once that request has run
+export function drainSyncRequests({ stopAfter = null } = {}) {
+  if (draining) return draining;
+
+  draining = (async () => {
+    const owner = getLeaderStatus().owner;
+    statements.requeueInterruptedSyncRequests.run(owner);
+
+    let row;
+    while (isSyncLeader() && (row = statements.getNextSyncRequest.get())) {
+      if (statements.claimSyncRequest.run(owner, row.id).changes === 0) continue;
+
+      await runRequest(toRequest(row));
+      if (stopAfter !== null && row.id >= stopAfter) break;
+    }
+  })().finally(() => {
+    draining = null;
+  });
+
+  return draining;
+}
+
+// Called by the scheduler when this process becomes the lock holder
+export function startSyncRequestWorker() {
+  if (pollTimer) return;
+
+  const cutoff = Math.floor(Date.now() / 1000) - PROCESS_CONFIG.REQUEST_RETENTION_DAYS * 24 * 60 * 60;
+  statements.deleteOldSyncRequests.run(cutoff);
+
+  pollTimer = setInterval(() => {
+    drainSyncRequests().catch(error => console.error('❌ Sync request queue failed:', error));
+  }, PROCESS_CONFIG.REQUEST_POLL_INTERVAL);
+  drainSyncRequests().catch(error => console.error('❌ Sync request queue failed:', error));
+}
+
+// The request running now finishes - nothing new starts
+export function stopSyncRequestWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// Resolves once the request running in this process (if any) has finished
+export function waitForSyncRequestWorker() {
+  return draining ? draining.catch(() => {}) : Promise.resolve();
+}
+
+// Polls until the request has finished - onProgress(request) is called on every poll
+export async function waitForSyncRequest(id, { onProgress = null, interval = 1000 } = {}) {
+  for (;;) {
+    const request = getSyncRequest(id);
+    if (!request || !isActiveRequest(request)) return request;
+
+    onProgress?.(request);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
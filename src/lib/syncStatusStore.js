@@ -1,5 +1,8 @@
 // syncStatusStore.js - Centralized sync status management
 
+// NEW: Set by the scheduler - in a process that doesn't sync, returns the syncing process's status
+let syncInfoProvider = null;
+
 let syncInfo = {
   isRunning: false,
   lastSyncTime: null,
@@ -19,8 +22,13 @@ export function updateSyncInfo(updates) {
   }
 }
 
+export function setSyncInfoProvider(provider) {
+  syncInfoProvider = provider;
+}
+
 export function getSyncInfo() {
-  return { ...syncInfo };
+  const shared = syncInfoProvider ? syncInfoProvider() : null;
+  return { ...(shared || syncInfo) };
 }
 
 export function resetSyncInfo() {
@@ -0,0 +1,314 @@
+// webhooks.js - Signed webhook notifications for new payments to tracked addresses
+// Payments stored by the scheduler are matched against active webhooks (address, group,
+// minimum amount) and queued in webhook_deliveries. A delivery loop POSTs them and retries
+// failures with exponential backoff until WEBHOOK_CONFIG.MAX_ATTEMPTS is reached.
+//
+// Every request carries:
+//   X-Flux-Event      - event name ('payment.received' or 'webhook.test')
+//   X-Flux-Delivery   - delivery id (stable across retries, use it to de-duplicate)
+// A payment is sent at most once per webhook - payment.paymentId ('<txid>:<vout>') identifies it, also
+// when a chain reorganization stores it again in another block.
+//   X-Flux-Timestamp  - unix seconds when the request was sent
+//   X-Flux-Signature  - sha256=<hex HMAC-SHA256 of `${timestamp}.${body}` keyed with the webhook secret>
+
+// Server-side only check
+if (typeof window !== 'undefined') {
+  throw new Error('Webhooks can only run on server-side');
+}
+
+import { createHmac, randomBytes } from 'crypto';
+import { statements, dbUtils } from './db.js';
+import { WEBHOOK_CONFIG, isValidFluxAddress } from './config.js';
+
+let deliveryInterval = null;
+let isDelivering = false;
+
+export function generateWebhookSecret() {
+  return randomBytes(24).toString('hex');
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Validates a POST/PATCH body for /api/webhooks. With partial=true (PATCH) missing fields are left out.
+// Returns { updates } or { error }
+export function parseWebhookInput(body, { partial = false } = {}) {
+  const updates = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch {
+      return { error: 'A valid http(s) url is required' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'Webhook url must use http or https' };
+    }
+    updates.url = url.toString();
+  }
+
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) {
+      return { error: 'Webhook secret must be at least 16 characters' };
+    }
+    updates.secret = body.secret;
+  }
+
+  if (body.description !== undefined) {
+    updates.description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+  }
+
+  if (body.address !== undefined && body.address !== null && body.group !== undefined && body.group !== null) {
+    return { error: 'Use either address or group, not both' };
+  }
+
+  if (body.address !== undefined) {
+    const address = body.address ? String(body.address).trim() : null;
+    if (address && !isValidFluxAddress(address)) {
+      return { error: `Invalid Flux address: ${address}` };
+    }
+    updates.address = address;
+    if (address) updates.groupId = null;
+  }
+
+  if (body.group !== undefined) {
+    if (body.group === null || body.group === '') {
+      updates.groupId = null;
+    } else {
+      const group = dbUtils.getAddressGroup(body.group);
+      if (!group) return { error: `Unknown address group: ${body.group}` };
+      updates.groupId = group.id;
+      updates.address = null;
+    }
+  }
+
+  if (body.minAmount !== undefined) {
+    const minAmount = Number(body.minAmount);
+    if (!Number.isFinite(minAmount) || minAmount < 0) {
+      return { error: 'minAmount must be a non-negative number' };
+    }
+    updates.minAmount = minAmount;
+  }
+
+  if (body.active !== undefined) {
+    updates.active = Boolean(body.active);
+  }
+
+  return { updates };
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(WEBHOOK_CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempts - 1), WEBHOOK_CONFIG.RETRY_MAX_DELAY);
+}
+
+function getMatchingAddresses(webhook, groupMembers) {
+  if (webhook.group_id !== null) {
+    if (!groupMembers.has(webhook.group_id)) {
+      const group = dbUtils.getAddressGroup(webhook.group_id);
+      groupMembers.set(webhook.group_id, new Set(group ? group.addresses : []));
+    }
+    return groupMembers.get(webhook.group_id);
+  }
+  return webhook.address ? new Set([webhook.address]) : null;
+}
+
+// Payments as published by the scheduler: { blockHeight, txid, vout, address, from, amount, timestamp }
+// Returns the number of deliveries queued
+export function queuePaymentWebhooks(payments) {
+  if (!WEBHOOK_CONFIG.ENABLE_WEBHOOKS || !payments || payments.length === 0) return 0;
+
+  const webhooks = statements.getActiveWebhooks.all();
+  if (webhooks.length === 0) return 0;
+
+  // 🛡️ Backward sync and rescans store old payments - those are not news
+  const cutoff = Math.floor(Date.now() / 1000) - WEBHOOK_CONFIG.MAX_PAYMENT_AGE_SECONDS;
+  const recent = payments.filter(payment => payment.timestamp >= cutoff);
+  if (recent.length === 0) return 0;
+
+  const groupMembers = new Map();
+  const now = Math.floor(Date.now() / 1000);
+  let queued = 0;
+
+  const queue = statements.db.transaction(() => {
+    for (const webhook of webhooks) {
+      const addresses = getMatchingAddresses(webhook, groupMembers);
+
+      for (const payment of recent) {
+        if (addresses && !addresses.has(payment.address)) continue;
+        if (payment.amount < webhook.min_amount) continue;
+
+        const paymentId = `${payment.txid}:${payment.vout}`;
+        const payload = {
+          event: 'payment.received',
+          webhookId: webhook.id,
+          payment: {
+            paymentId,
+            address: payment.address,
+            amount: payment.amount,
+            from: payment.from,
+            txid: payment.txid,
+            vout: payment.vout,
+            blockHeight: payment.blockHeight,
+            timestamp: payment.timestamp
+          }
+        };
+        queued += statements.insertWebhookDelivery.run(webhook.id, payload.event, JSON.stringify(payload), now, paymentId).changes;
+      }
+    }
+  });
+  queue();
+
+  if (queued > 0) {
+    console.log(`🪝 Queued ${queued} webhook deliveries`);
+    // Don't wait for the next interval - the point is to notify right away
+    setTimeout(processWebhookDeliveries, 0);
+  }
+
+  return queued;
+}
+
+async function sendDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = delivery.payload;
+
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'FluxRevenue-Webhook/1.0',
+      'X-Flux-Event': delivery.event,
+      'X-Flux-Delivery': String(delivery.id),
+      'X-Flux-Timestamp': String(timestamp),
+      [WEBHOOK_CONFIG.SIGNATURE_HEADER]: signWebhookPayload(delivery.secret, timestamp, body)
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_CONFIG.REQUEST_TIMEOUT)
+  });
+
+  // Drain the body so the connection can be reused
+  await response.text().catch(() => '');
+  return response;
+}
+
+async function attemptDelivery(delivery, { retry = true } = {}) {
+  let statusCode = null;
+  let errorMessage;
+
+  try {
+    const response = await sendDelivery(delivery);
+    statusCode = response.status;
+
+    if (response.ok) {
+      statements.markWebhookDelivered.run(statusCode, delivery.id);
+      return true;
+    }
+    errorMessage = `HTTP ${response.status}`;
+  } catch (error) {
+    errorMessage = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const failed = !retry || attempts >= WEBHOOK_CONFIG.MAX_ATTEMPTS;
+  const nextAttemptAt = failed ? delivery.next_attempt_at : Math.floor(Date.now() / 1000) + Math.ceil(getRetryDelay(attempts) / 1000);
+
+  statements.markWebhookAttemptFailed.run(
+    failed ? 'failed' : 'retrying', statusCode, errorMessage, nextAttemptAt, delivery.id
+  );
+
+  if (failed) {
+    console.error(`❌ Webhook delivery ${delivery.id} to ${delivery.url} failed after ${attempts} attempt(s): ${errorMessage}`);
+  } else {
+    console.warn(`⚠️ Webhook delivery ${delivery.id} to ${delivery.url} failed (${errorMessage}), retry ${attempts}/${WEBHOOK_CONFIG.MAX_ATTEMPTS - 1} in ${Math.round(getRetryDelay(attempts) / 1000)}s`);
+  }
+  return false;
+}
+
+export async function processWebhookDeliveries() {
+  if (isDelivering) return { skipped: true };
+  isDelivering = true;
+
+  let delivered = 0;
+  let failed = 0;
+
+  try {
+    const due = statements.getDueWebhookDeliveries.all(Math.floor(Date.now() / 1000), WEBHOOK_CONFIG.DELIVERY_BATCH_SIZE);
+
+    // Sequential on purpose - a slow receiver should not get a burst of parallel requests
+    for (const delivery of due) {
+      if (await attemptDelivery(delivery)) {
+        delivered++;
+      } else {
+        failed++;
+      }
+    }
+  } catch (error) {
+    console.error('❌ Webhook delivery error:', error);
+  } finally {
+    isDelivering = false;
+  }
+
+  return { delivered, failed };
+}
+
+function cleanOldDeliveries() {
+  try {
+    const cutoff = Math.floor(Date.now() / 1000) - WEBHOOK_CONFIG.DELIVERY_RETENTION_DAYS * 24 * 60 * 60;
+    const removed = statements.deleteOldWebhookDeliveries.run(cutoff).changes;
+    if (removed > 0) console.log(`🧹 Removed ${removed} old webhook deliveries`);
+  } catch (error) {
+    console.error('❌ Error cleaning webhook deliveries:', error);
+  }
+}
+
+export function startWebhookDelivery() {
+  if (!WEBHOOK_CONFIG.ENABLE_WEBHOOKS) {
+    console.log('🪝 Webhooks disabled - payments will not be delivered');
+    return;
+  }
+
+  if (deliveryInterval) clearInterval(deliveryInterval);
+
+  cleanOldDeliveries();
+  processWebhookDeliveries();
+
+  let passes = 0;
+  deliveryInterval = setInterval(() => {
+    processWebhookDeliveries();
+    // Roughly hourly at the default interval
+    if (++passes % 240 === 0) cleanOldDeliveries();
+  }, WEBHOOK_CONFIG.DELIVERY_INTERVAL);
+
+  console.log(`🪝 Webhook delivery every ${WEBHOOK_CONFIG.DELIVERY_INTERVAL / 1000} seconds (max ${WEBHOOK_CONFIG.MAX_ATTEMPTS} attempts)`);
+}
+
+export function stopWebhookDelivery() {
+  if (deliveryInterval) {
+    clearInterval(deliveryInterval);
+    deliveryInterval = null;
+  }
+}
+
+// Sends a single signed test event right away - it is logged like any other delivery
+export async function sendTestWebhook(webhookId) {
+  const webhook = statements.getWebhook.get(webhookId);
+  if (!webhook) return null;
+
+  const payload = {
+    event: 'webhook.test',
+    webhookId: webhook.id,
+    message: 'Test delivery from Flux revenue tracker'
+  };
+  const now = Math.floor(Date.now() / 1000);
+  const id = statements.insertWebhookDelivery.run(webhook.id, payload.event, JSON.stringify(payload), now, null).lastInsertRowid;
+
+  // No retries for test events - the caller sees the outcome immediately
+  const delivery = {
+    id, event: payload.event, payload: JSON.stringify(payload), attempts: 0,
+    next_attempt_at: now, url: webhook.url, secret: webhook.secret
+  };
+  const success = await attemptDelivery(delivery, { retry: false });
+
+  return { success, delivery: dbUtils.getWebhookDeliveries(webhook.id, { limit: 1 })[0] };
+}
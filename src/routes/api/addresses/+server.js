@@ -0,0 +1,85 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../lib/db.js';
+import { isValidFluxAddress, PAYOUT_CONFIG } from '../../../lib/config.js';
+import { scheduleAddressBackfill } from '../../../lib/scheduler.js';
+
+// NEW: Node tier for payout analysis - returns { tier, nodeCount } with undefined for fields not sent
+function parseNodeTier(body) {
+  const result = {};
+  
+  if (body.tier !== undefined) {
+    const tier = typeof body.tier === 'string' && body.tier.trim() ? body.tier.trim().toLowerCase() : null;
+    if (tier !== null && !PAYOUT_CONFIG.NODE_TIERS.includes(tier)) {
+      return { error: `tier must be one of ${PAYOUT_CONFIG.NODE_TIERS.join(', ')} (or null)` };
+    }
+    result.tier = tier;
+  }
+  
+  if (body.nodeCount !== undefined) {
+    const nodeCount = Number(body.nodeCount);
+    if (!Number.isInteger(nodeCount) || nodeCount < 1) {
+      return { error: 'nodeCount must be a whole number of at least 1' };
+    }
+    result.nodeCount = nodeCount;
+  }
+  
+  return result;
+}
+
+export async function GET({ url }) {
+  try {
+    const includeInactive = url.searchParams.get('all') === 'true';
+    const addresses = dbUtils.getTrackedAddresses()
+      .filter(addr => includeInactive || addr.active);
+    
+    return json({
+      addresses,
+      count: addresses.length,
+      active_count: addresses.filter(addr => addr.active).length
+    });
+  } catch (error) {
+    console.error('❌ Addresses API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+    const label = typeof body.label === 'string' && body.label.trim() ? body.label.trim() : null;
+    
+    if (!isValidFluxAddress(address)) {
+      return json({ 
+        success: false, 
+        error: 'Invalid Flux address',
+        usage: 'POST /api/addresses { "address": "t1...", "label": "optional", "tier": "cumulus|nimbus|stratus (optional)", "nodeCount": 1 }'
+      }, { status: 400 });
+    }
+    
+    const nodeTier = parseNodeTier(body);
+    if (nodeTier.error) {
+      return json({ success: false, error: nodeTier.error }, { status: 400 });
+    }
+    
+    const { created, reactivated } = dbUtils.addTrackedAddress(address, label);
+    const tracked = nodeTier.tier !== undefined || nodeTier.nodeCount !== undefined
+      ? dbUtils.updateTrackedAddress(address, nodeTier)
+      : dbUtils.getTrackedAddress(address);
+    
+    // New (or re-enabled) addresses need their history scanned in already-synced blocks
+    const backfill = created || reactivated ? scheduleAddressBackfill(address) : null;
+    
+    return json({
+      success: true,
+      address: tracked,
+      created,
+      reactivated,
+      backfill
+    }, { status: created ? 201 : 200 });
+    
+  } catch (error) {
+    console.error('❌ Add address API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
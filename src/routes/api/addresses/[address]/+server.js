@@ -0,0 +1,97 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { PAYOUT_CONFIG } from '../../../../lib/config.js';
+import { scheduleAddressBackfill } from '../../../../lib/scheduler.js';
+
+// NEW: Node tier for payout analysis - returns { tier, nodeCount } with undefined for fields not sent
+function parseNodeTier(body) {
+  const result = {};
+  
+  if (body.tier !== undefined) {
+    const tier = typeof body.tier === 'string' && body.tier.trim() ? body.tier.trim().toLowerCase() : null;
+    if (tier !== null && !PAYOUT_CONFIG.NODE_TIERS.includes(tier)) {
+      return { error: `tier must be one of ${PAYOUT_CONFIG.NODE_TIERS.join(', ')} (or null)` };
+    }
+    result.tier = tier;
+  }
+  
+  if (body.nodeCount !== undefined) {
+    const nodeCount = Number(body.nodeCount);
+    if (!Number.isInteger(nodeCount) || nodeCount < 1) {
+      return { error: 'nodeCount must be a whole number of at least 1' };
+    }
+    result.nodeCount = nodeCount;
+  }
+  
+  return result;
+}
+
+export async function GET({ params }) {
+  const address = dbUtils.getTrackedAddresses().find(addr => addr.address === params.address);
+  
+  if (!address) {
+    return json({ error: 'Address not tracked' }, { status: 404 });
+  }
+  
+  return json({ address });
+}
+
+export async function PATCH({ params, request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const existing = dbUtils.getTrackedAddress(params.address);
+    
+    if (!existing) {
+      return json({ success: false, error: 'Address not tracked' }, { status: 404 });
+    }
+    
+    const updates = {};
+    if (body.label !== undefined) {
+      updates.label = typeof body.label === 'string' && body.label.trim() ? body.label.trim() : null;
+    }
+    if (body.active !== undefined) {
+      updates.active = body.active === true || body.active === 'true';
+    }
+    
+    const nodeTier = parseNodeTier(body);
+    if (nodeTier.error) {
+      return json({ success: false, error: nodeTier.error }, { status: 400 });
+    }
+    Object.assign(updates, nodeTier);
+    
+    const address = dbUtils.updateTrackedAddress(params.address, updates);
+    
+    // Payments sent while the address was inactive were skipped by the sync
+    const backfill = !existing.active && address.active ? scheduleAddressBackfill(params.address) : null;
+    
+    return json({ success: true, address, backfill });
+    
+  } catch (error) {
+    console.error('❌ Update address API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
+
+export async function DELETE({ params, url }) {
+  try {
+    const purge = url.searchParams.get('purge') === 'true';
+    const result = dbUtils.removeTrackedAddress(params.address, { purge });
+    
+    if (!result.removed) {
+      return json({ success: false, error: 'Address not tracked' }, { status: 404 });
+    }
+    
+    return json({
+      success: true,
+      address: params.address,
+      transactions_removed: result.transactionsRemoved,
+      message: purge 
+        ? `Stopped tracking ${params.address} and removed ${result.transactionsRemoved} payments`
+        : `Stopped tracking ${params.address} (payments kept, use ?purge=true to remove them)`
+    });
+    
+  } catch (error) {
+    console.error('❌ Delete address API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
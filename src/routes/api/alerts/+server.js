@@ -0,0 +1,27 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../lib/db.js';
+import { getAlertStatus } from '../../../lib/alerts.js';
+
+const ALERT_STATUSES = ['firing', 'resolved'];
+
+// GET /api/alerts?status=firing|resolved&limit= - alert history (newest first) with every rule's current state
+export async function GET({ url }) {
+  try {
+    const status = url.searchParams.get('status') || null;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return json({ error: `status must be one of ${ALERT_STATUSES.join(', ')}` }, { status: 400 });
+    }
+
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 50, 1), 500);
+
+    return json({
+      ...getAlertStatus(),
+      alerts: dbUtils.getAlerts({ status, limit }),
+      rules: dbUtils.getAlertRules()
+    });
+
+  } catch (error) {
+    console.error('❌ Alerts API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
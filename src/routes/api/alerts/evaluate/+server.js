@@ -0,0 +1,12 @@
+import { json } from '@sveltejs/kit';
+import { evaluateAlerts } from '../../../../lib/alerts.js';
+
+// POST /api/alerts/evaluate - evaluate every enabled rule now instead of waiting for the next sync
+export async function POST() {
+  try {
+    return json({ success: true, ...evaluateAlerts() });
+  } catch (error) {
+    console.error('❌ Evaluate alerts API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { ALERT_RULE_TYPES, parseAlertRuleInput } from '../../../../lib/alerts.js';
+
+export async function GET() {
+  try {
+    const rules = dbUtils.getAlertRules();
+    return json({
+      rules,
+      count: rules.length,
+      types: Object.entries(ALERT_RULE_TYPES).map(([type, ruleType]) => ({ type, description: ruleType.description }))
+    });
+  } catch (error) {
+    console.error('❌ Alert rules API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { rule, error } = parseAlertRuleInput(body);
+
+    if (error) {
+      return json({
+        success: false,
+        error,
+        usage: 'POST /api/alerts/rules { "name": "optional", "type": "no_payment", "params": { "address": "t1...", "blocks": 1440 } }'
+      }, { status: 400 });
+    }
+
+    const created = dbUtils.createAlertRule({ type: body.type, ...rule });
+    console.log(`🚨 Created alert rule ${created.id}: ${created.name}`);
+
+    return json({ success: true, rule: created }, { status: 201 });
+
+  } catch (error) {
+    console.error('❌ Create alert rule API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
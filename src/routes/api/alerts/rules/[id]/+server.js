@@ -0,0 +1,51 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../../lib/db.js';
+import { parseAlertRuleInput } from '../../../../../lib/alerts.js';
+
+export async function GET({ params }) {
+  const rule = dbUtils.getAlertRule(parseInt(params.id));
+
+  if (!rule) {
+    return json({ error: 'Alert rule not found' }, { status: 404 });
+  }
+
+  return json({ rule, alerts: dbUtils.getAlerts({ ruleId: rule.id }) });
+}
+
+export async function PATCH({ params, request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const existing = dbUtils.getAlertRule(parseInt(params.id));
+
+    if (!existing) {
+      return json({ success: false, error: 'Alert rule not found' }, { status: 404 });
+    }
+
+    const { rule, error } = parseAlertRuleInput(body, existing);
+    if (error) {
+      return json({ success: false, error }, { status: 400 });
+    }
+
+    return json({ success: true, rule: dbUtils.updateAlertRule(existing.id, rule) });
+
+  } catch (error) {
+    console.error('❌ Update alert rule API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
+
+export async function DELETE({ params }) {
+  try {
+    const id = parseInt(params.id);
+
+    if (!dbUtils.deleteAlertRule(id)) {
+      return json({ success: false, error: 'Alert rule not found' }, { status: 404 });
+    }
+
+    return json({ success: true, message: `Deleted alert rule ${id} and its alert history` });
+
+  } catch (error) {
+    console.error('❌ Delete alert rule API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
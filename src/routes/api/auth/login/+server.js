@@ -0,0 +1,28 @@
+import { json } from '@sveltejs/kit';
+import { AUTH_CONFIG } from '../../../../lib/config.js';
+import { verifyToken, createSession } from '../../../../lib/auth.js';
+
+// POST /api/auth/login { "token": "flux_..." } - exchanges an API token for a session cookie
+export async function POST({ request, cookies, url }) {
+  if (!AUTH_CONFIG.ENABLED) {
+    return json({ success: false, error: 'Authentication is disabled (FLUX_AUTH=false)' }, { status: 400 });
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const record = verifyToken(typeof body.token === 'string' ? body.token.trim() : null);
+
+    if (!record) {
+      return json({ success: false, error: 'Invalid or expired token' }, { status: 401 });
+    }
+
+    const expiresAt = createSession(cookies, record, url.protocol === 'https:');
+    console.log(`🔐 Session started for token "${record.name}" (${record.role})`);
+
+    return json({ success: true, role: record.role, name: record.name, expiresAt });
+
+  } catch (error) {
+    console.error('❌ Login API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
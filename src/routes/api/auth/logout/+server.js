@@ -0,0 +1,12 @@
+import { json } from '@sveltejs/kit';
+import { endSession } from '../../../../lib/auth.js';
+
+export async function POST({ cookies }) {
+  try {
+    endSession(cookies);
+    return json({ success: true });
+  } catch (error) {
+    console.error('❌ Logout API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
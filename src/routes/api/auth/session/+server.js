@@ -0,0 +1,19 @@
+import { json } from '@sveltejs/kit';
+import { AUTH_CONFIG } from '../../../../lib/config.js';
+import { authenticate } from '../../../../lib/auth.js';
+
+// GET /api/auth/session - who the caller is and what they may do
+export async function GET(event) {
+  const identity = AUTH_CONFIG.ENABLED ? authenticate(event) : event.locals.auth;
+  const authenticated = !!identity?.role && !identity.invalid;
+  const role = authenticated ? identity.role : (AUTH_CONFIG.PUBLIC_READ ? 'viewer' : null);
+
+  return json({
+    enabled: AUTH_CONFIG.ENABLED,
+    publicRead: AUTH_CONFIG.PUBLIC_READ,
+    authenticated,
+    via: authenticated ? identity.via : null,
+    name: authenticated ? identity.name : null,
+    role
+  }, { headers: { 'Cache-Control': 'no-store' } });
+}
@@ -0,0 +1,63 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { AUTH_CONFIG } from '../../../../lib/config.js';
+import { createApiToken } from '../../../../lib/auth.js';
+
+function parseTokenInput(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { error: 'name is required (max 100 characters)' };
+  }
+
+  const role = body.role || 'viewer';
+  if (!AUTH_CONFIG.ROLES.includes(role)) {
+    return { error: `role must be one of ${AUTH_CONFIG.ROLES.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      return { error: 'expiresInDays must be a positive number' };
+    }
+    expiresAt = Math.floor(Date.now() / 1000 + days * 24 * 60 * 60);
+  }
+
+  return { token: { name, role, expiresAt } };
+}
+
+// Admin only (see auth.js) - hashes are never returned
+export async function GET() {
+  try {
+    const tokens = dbUtils.getApiTokens();
+    return json({ tokens, count: tokens.length });
+  } catch (error) {
+    console.error('❌ API tokens API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST({ request, locals }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { token, error } = parseTokenInput(body);
+
+    if (error) {
+      return json({
+        success: false,
+        error,
+        usage: 'POST /api/auth/tokens { "name": "grafana", "role": "viewer" | "admin", "expiresInDays": 90 }'
+      }, { status: 400 });
+    }
+
+    // The token is only shown here - only its hash is stored
+    const created = createApiToken(token);
+    console.log(`🔐 Created ${created.role} token "${created.name}" (by ${locals.auth?.name || 'unknown'})`);
+
+    return json({ success: true, token: created }, { status: 201 });
+
+  } catch (error) {
+    console.error('❌ Create API token error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
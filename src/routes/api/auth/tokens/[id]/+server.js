@@ -0,0 +1,38 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils, statements } from '../../../../../lib/db.js';
+
+export async function GET({ params }) {
+  const token = dbUtils.getApiToken(parseInt(params.id));
+
+  if (!token) {
+    return json({ error: 'Token not found' }, { status: 404 });
+  }
+
+  return json({ token });
+}
+
+// Revokes the token and ends its sessions
+export async function DELETE({ params }) {
+  try {
+    const id = parseInt(params.id);
+    const token = dbUtils.getApiToken(id);
+
+    if (!token) {
+      return json({ success: false, error: 'Token not found' }, { status: 404 });
+    }
+
+    // 🛡️ Keep at least one way in - create another admin token first
+    if (token.role === 'admin' && statements.countAdminTokens.get().count <= 1) {
+      return json({ success: false, error: 'Cannot revoke the last admin token' }, { status: 409 });
+    }
+
+    dbUtils.deleteApiToken(id);
+
+    console.log(`🔐 Revoked API token ${id}`);
+    return json({ success: true, message: `Revoked token ${id} and ended its sessions` });
+
+  } catch (error) {
+    console.error('❌ Revoke API token error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -1,5 +1,5 @@
 import { json } from '@sveltejs/kit';
-import { backfillFromAddresses } from '../../../lib/scheduler.js';
+import { getSyncRequest, getSyncRequests, queueSyncRequest } from '../../../lib/syncRequests.js';
 
 export async function POST({ url }) {
   try {
@@ -7,15 +7,15 @@ export async function POST({ url }) {
     const maxLimit = 500; // Safety limit
     const actualLimit = Math.min(Math.max(1, limit), maxLimit);
     
-    console.log(`🔍 Starting manual backfill of up to ${actualLimit} transactions...`);
-    
-    const result = await backfillFromAddresses(actualLimit);
+    // 🔄 UPDATED: Backfill fetches blocks - queued for the process holding the sync leader lock
+    const request = queueSyncRequest('backfill', { limit: actualLimit });
+    console.log(`🔍 Queued backfill #${request.id} of up to ${actualLimit} transactions`);
     
     return json({
       success: true,
-      ...result,
+      request,
       limit: actualLimit
-    });
+    }, { status: 202 });
     
   } catch (error) {
     console.error('❌ Backfill API error:', error);
@@ -27,10 +27,22 @@ export async function POST({ url }) {
   }
 }
 
-export async function GET() {
+export async function GET({ url }) {
+  const id = url.searchParams.get('id');
+  
+  // NEW: Status of a queued backfill - progress holds { updated, message } once it has run
+  if (id) {
+    const request = getSyncRequest(parseInt(id));
+    if (!request || request.type !== 'backfill') {
+      return json({ error: `Backfill ${id} not found` }, { status: 404 });
+    }
+    return json({ request });
+  }
+  
   return json({
     message: 'Use POST to start backfill process',
     usage: 'POST /api/backfill?limit=100',
-    description: 'Backfills from_address for transactions that are missing this data'
+    description: 'Backfills from_address for transactions that are missing this data',
+    requests: getSyncRequests({ type: 'backfill', limit: 10 })
   });
-}
\ No newline at end of file
+}
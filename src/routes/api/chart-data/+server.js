@@ -1,4 +1,5 @@
 import { json } from '@sveltejs/kit';
+import { resolveFiatCurrency, getFiatCurrencies } from '$lib/config.js';
 
 // Import the database connection directly
 let db;
@@ -14,6 +15,19 @@ export async function GET({ url }) {
   const source = url.searchParams.get('source') || 'transactions';
   const metric = url.searchParams.get('metric') || 'revenue';
   const range = url.searchParams.get('range') || '30d';
+  // NEW: currency=EUR etc. returns revenue valued at the price when each payment was received
+  const currencyParam = url.searchParams.get('currency');
+  const currency = !currencyParam || currencyParam.toUpperCase() === 'FLUX' ? null : resolveFiatCurrency(currencyParam);
+  if (currencyParam && currencyParam.toUpperCase() !== 'FLUX' && !currency) {
+    return json({
+      error: `Unsupported currency: ${currencyParam}`,
+      supported: ['FLUX', ...getFiatCurrencies()],
+      data: [],
+      source,
+      metric,
+      range
+    }, { status: 400 });
+  }
 
   console.log(`📊 Chart API called: ${source}/${metric}/${range}`);
 
@@ -51,7 +65,7 @@ export async function GET({ url }) {
     let data = [];
 
     if (source === 'transactions') {
-      data = await getTransactionData(metric, startTime, now);
+      data = await getTransactionData(metric, startTime, now, currency);
     } else if (source === 'node_stats') {
       data = await getNodeStatsData(metric, startTime, now);
     } else if (source === 'network_utilization') {
@@ -67,6 +81,7 @@ export async function GET({ url }) {
       source, 
       metric, 
       range,
+      currency: currency || 'FLUX',
       count: data.length,
       startTime: new Date(startTime * 1000).toISOString(),
       endTime: new Date(now * 1000).toISOString()
@@ -85,7 +100,7 @@ export async function GET({ url }) {
 }
 
 // Transaction data handler
-async function getTransactionData(metric, startTime, endTime) {
+async function getTransactionData(metric, startTime, endTime, currency = null) {
   try {
     // Check if transactions table exists and has data
     const countQuery = db.prepare('SELECT COUNT(*) as count FROM transactions');
@@ -99,7 +114,31 @@ async function getTransactionData(metric, startTime, endTime) {
 
     let data = [];
 
-    if (metric === 'revenue' || metric === 'volume') {
+    if ((metric === 'revenue' || metric === 'volume') && currency) {
+      const fiatQuery = db.prepare(`
+        SELECT 
+          date(t.timestamp, 'unixepoch') as date,
+          SUM(t.value) as daily_revenue,
+          COALESCE(SUM(fv.value), 0) as daily_fiat_value,
+          COUNT(*) - COUNT(fv.transaction_id) as unvalued_count
+        FROM transactions t
+        LEFT JOIN transaction_fiat_values fv ON fv.transaction_id = t.id AND fv.currency = ?
+        WHERE t.timestamp >= ? AND t.timestamp <= ?
+        GROUP BY date(t.timestamp, 'unixepoch')
+        ORDER BY date ASC
+      `);
+      
+      const results = fiatQuery.all(currency, startTime, endTime);
+      console.log(`💰 Fiat revenue query (${currency}) returned ${results.length} rows`);
+      
+      data = results.map(row => ({
+        date: row.date,
+        value: parseFloat(row.daily_fiat_value || 0),
+        flux: parseFloat(row.daily_revenue || 0),
+        unvalued: parseInt(row.unvalued_count || 0)
+      }));
+      
+    } else if (metric === 'revenue' || metric === 'volume') {
       const revenueQuery = db.prepare(`
         SELECT 
           date(timestamp, 'unixepoch') as date,
@@ -0,0 +1,60 @@
+import { subscribeEvents } from '../../../lib/events.js';
+import { getSyncInfo } from '../../../lib/syncStatusStore.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle connections
+const RECONNECT_DELAY = 5000;         // Sent to EventSource as the retry delay
+
+function formatEvent(event) {
+  const id = event.id !== null ? `id: ${event.id}\n` : '';
+  return `${id}event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, eventTime: event.time })}\n\n`;
+}
+
+// GET /api/events - Server-Sent Events stream of sync progress, blocks, payments and network snapshots
+export async function GET({ request }) {
+  const lastEventHeader = parseInt(request.headers.get('last-event-id'));
+  const lastEventId = Number.isNaN(lastEventHeader) ? null : lastEventHeader;
+  const encoder = new TextEncoder();
+
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const cleanup = () => {
+    if (unsubscribe) unsubscribe();
+    if (heartbeat) clearInterval(heartbeat);
+    unsubscribe = null;
+    heartbeat = null;
+  };
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch {
+          // Client went away between the last write and cancel()
+          cleanup();
+        }
+      };
+
+      write(`retry: ${RECONNECT_DELAY}\n\n`);
+      // Current state first, so the client does not have to poll on connect
+      write(formatEvent({ id: null, type: 'hello', time: Date.now(), data: { sync: getSyncInfo() } }));
+
+      unsubscribe = subscribeEvents(event => write(formatEvent(event)), lastEventId);
+      heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    },
+
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
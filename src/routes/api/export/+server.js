@@ -0,0 +1,17 @@
+import { json } from '@sveltejs/kit';
+import { EXPORT_DATASETS, EXPORT_FORMATS, getActiveExportCount } from '../../../lib/exports.js';
+
+// GET /api/export - available datasets, their columns and supported filters
+export async function GET() {
+  return json({
+    datasets: Object.entries(EXPORT_DATASETS).map(([name, dataset]) => ({
+      name,
+      description: dataset.description,
+      columns: dataset.columns,
+      filters: dataset.filters,
+      url: `/api/export/${name}`
+    })),
+    formats: Object.keys(EXPORT_FORMATS),
+    activeExports: getActiveExportCount()
+  });
+}
@@ -0,0 +1,86 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { resolveFiatCurrency, getFiatCurrencies } from '../../../../lib/config.js';
+import { EXPORT_DATASETS, EXPORT_FORMATS, createExportStream, parseBlockParam, parseTimeParam } from '../../../../lib/exports.js';
+
+// GET /api/export/[dataset]?format=csv|json|ndjson&from=&to=&from_block=&to_block=&address=|group=&currency=
+export async function GET({ params, url }) {
+  const dataset = EXPORT_DATASETS[params.dataset];
+  if (!dataset) {
+    return json({
+      error: `Unknown dataset: ${params.dataset}`,
+      datasets: Object.keys(EXPORT_DATASETS)
+    }, { status: 404 });
+  }
+
+  const format = (url.searchParams.get('format') || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return json({ error: 'format must be csv, json or ndjson' }, { status: 400 });
+  }
+
+  const filters = {
+    fromTime: parseTimeParam(url.searchParams.get('from')),
+    toTime: parseTimeParam(url.searchParams.get('to'), true),
+    fromBlock: parseBlockParam(url.searchParams.get('from_block')),
+    toBlock: parseBlockParam(url.searchParams.get('to_block')),
+    addresses: null,
+    currency: resolveFiatCurrency(url.searchParams.get('currency'))
+  };
+
+  if (filters.fromTime === undefined || filters.toTime === undefined) {
+    return json({ error: 'from/to must be unix seconds or an ISO date' }, { status: 400 });
+  }
+  if (filters.fromBlock === undefined || filters.toBlock === undefined) {
+    return json({ error: 'from_block/to_block must be non-negative block heights' }, { status: 400 });
+  }
+  if (!filters.currency) {
+    return json({
+      error: `Unsupported currency: ${url.searchParams.get('currency')}`,
+      supported: getFiatCurrencies()
+    }, { status: 400 });
+  }
+
+  const address = url.searchParams.get('address') || null;
+  const group = url.searchParams.get('group') || null;
+  const requested = {
+    time: filters.fromTime !== null || filters.toTime !== null,
+    block: filters.fromBlock !== null || filters.toBlock !== null,
+    address: Boolean(address || group)
+  };
+  const unsupported = Object.keys(requested).filter(filter => requested[filter] && !dataset.filters.includes(filter));
+  if (unsupported.length > 0) {
+    return json({
+      error: `${params.dataset} does not support ${unsupported.join(', ')} filters`,
+      supportedFilters: dataset.filters
+    }, { status: 400 });
+  }
+
+  // Without address= or group= every stored row is exported
+  if (requested.address) {
+    const filter = dbUtils.resolveAddressFilter({ address, group });
+    if (filter.error) {
+      const { status, ...body } = filter;
+      return json(body, { status });
+    }
+    filters.addresses = filter.addresses;
+  }
+
+  try {
+    const stream = createExportStream(params.dataset, format, filters);
+    const day = new Date().toISOString().slice(0, 10);
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="flux-${params.dataset}-${day}.${EXPORT_FORMATS[format].extension}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Too many exports')) {
+      return json({ error: error.message }, { status: 429 });
+    }
+    console.error('❌ Export error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
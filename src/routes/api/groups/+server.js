@@ -0,0 +1,53 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../lib/db.js';
+
+function parseAddressList(value) {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(addr => String(addr).trim()).filter(Boolean))];
+}
+
+export async function GET() {
+  try {
+    const groups = dbUtils.getAddressGroups();
+    return json({ groups, count: groups.length });
+  } catch (error) {
+    console.error('❌ Groups API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+    const addresses = parseAddressList(body.addresses) || [];
+    
+    if (!name) {
+      return json({ 
+        success: false, 
+        error: 'Group name is required',
+        usage: 'POST /api/groups { "name": "EU Stratus fleet", "description": "optional", "addresses": ["t1..."] }'
+      }, { status: 400 });
+    }
+    
+    if (dbUtils.getAddressGroup(name)) {
+      return json({ success: false, error: `Group already exists: ${name}` }, { status: 409 });
+    }
+    
+    const untracked = dbUtils.findUntrackedAddresses(addresses);
+    if (untracked.length > 0) {
+      return json({ success: false, error: 'Addresses must be tracked before they can be grouped', untracked }, { status: 400 });
+    }
+    
+    const group = dbUtils.createAddressGroup({ name, description, addresses });
+    console.log(`🗂️ Created address group "${name}" with ${addresses.length} address(es)`);
+    
+    return json({ success: true, group }, { status: 201 });
+    
+  } catch (error) {
+    console.error('❌ Create group API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
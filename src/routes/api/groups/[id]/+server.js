@@ -0,0 +1,78 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+
+function parseAddressList(value) {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(addr => String(addr).trim()).filter(Boolean))];
+}
+
+export async function GET({ params }) {
+  const group = dbUtils.getAddressGroup(params.id);
+  
+  if (!group) {
+    return json({ error: 'Address group not found' }, { status: 404 });
+  }
+  
+  return json({ group });
+}
+
+export async function PATCH({ params, request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const group = dbUtils.getAddressGroup(params.id);
+    
+    if (!group) {
+      return json({ success: false, error: 'Address group not found' }, { status: 404 });
+    }
+    
+    const updates = {
+      addresses: parseAddressList(body.addresses),
+      add: parseAddressList(body.add) || [],
+      remove: parseAddressList(body.remove) || []
+    };
+    
+    if (body.name !== undefined) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name) {
+        return json({ success: false, error: 'Group name cannot be empty' }, { status: 400 });
+      }
+      const existing = dbUtils.getAddressGroup(name);
+      if (existing && existing.id !== group.id) {
+        return json({ success: false, error: `Group already exists: ${name}` }, { status: 409 });
+      }
+      updates.name = name;
+    }
+    
+    if (body.description !== undefined) {
+      updates.description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+    }
+    
+    const untracked = dbUtils.findUntrackedAddresses([...(updates.addresses || []), ...updates.add]);
+    if (untracked.length > 0) {
+      return json({ success: false, error: 'Addresses must be tracked before they can be grouped', untracked }, { status: 400 });
+    }
+    
+    return json({ success: true, group: dbUtils.updateAddressGroup(group.id, updates) });
+    
+  } catch (error) {
+    console.error('❌ Update group API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
+
+export async function DELETE({ params }) {
+  try {
+    const group = dbUtils.getAddressGroup(params.id);
+    
+    if (!group || !dbUtils.deleteAddressGroup(group.id)) {
+      return json({ success: false, error: 'Address group not found' }, { status: 404 });
+    }
+    
+    return json({ success: true, message: `Deleted address group "${group.name}"` });
+    
+  } catch (error) {
+    console.error('❌ Delete group API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,18 @@
+import { json } from '@sveltejs/kit';
+import { getLiveness } from '../../../lib/health.js';
+
+// GET /api/health - liveness probe (Docker HEALTHCHECK): 200 while the process and database respond, 503 otherwise
+export async function GET() {
+  try {
+    const health = getLiveness();
+
+    return json(health, {
+      status: health.status === 'fail' ? 503 : 200,
+      headers: { 'Cache-Control': 'no-store' }
+    });
+
+  } catch (error) {
+    console.error('❌ Health check error:', error);
+    return json({ status: 'fail', error: error.message }, { status: 503, headers: { 'Cache-Control': 'no-store' } });
+  }
+}
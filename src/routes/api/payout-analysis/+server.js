@@ -0,0 +1,43 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../lib/db.js';
+import { PAYOUT_CONFIG, REVENUE_CONFIG } from '../../../lib/config.js';
+import { analyzePayouts } from '../../../lib/payouts.js';
+
+// GET /api/payout-analysis?period=week&window=day&address=...|group=...
+// Addresses need a tier (PATCH /api/addresses/:address { "tier": "stratus" }) to be analysed
+export async function GET({ url }) {
+  const period = url.searchParams.get('period') || PAYOUT_CONFIG.DEFAULT_PERIOD;
+  const window = url.searchParams.get('window') || PAYOUT_CONFIG.DEFAULT_WINDOW;
+  const periods = Object.keys(REVENUE_CONFIG.BLOCK_PERIODS);
+
+  if (!periods.includes(period) || !periods.includes(window)) {
+    return json({ error: `period and window must be one of ${periods.join(', ')}` }, { status: 400 });
+  }
+
+  const periodBlocks = REVENUE_CONFIG.BLOCK_PERIODS[period];
+  const windowBlocks = REVENUE_CONFIG.BLOCK_PERIODS[window];
+  if (windowBlocks > periodBlocks || Math.ceil(periodBlocks / windowBlocks) > PAYOUT_CONFIG.MAX_WINDOWS) {
+    return json({
+      error: `window must not be larger than period, and period/window must give at most ${PAYOUT_CONFIG.MAX_WINDOWS} windows`
+    }, { status: 400 });
+  }
+
+  try {
+    const filter = dbUtils.resolveAddressFilter({
+      address: url.searchParams.get('address') || null,
+      group: url.searchParams.get('group') || null
+    });
+    if (filter.error) {
+      const { status, ...body } = filter;
+      return json(body, { status });
+    }
+
+    const analysis = analyzePayouts({ period, window, addresses: filter.addresses });
+
+    return json({ ...analysis, group: filter.group });
+
+  } catch (error) {
+    console.error('❌ Payout analysis API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+import { json } from '@sveltejs/kit';
+import { getLatestPrices, getPriceStatus } from '../../../lib/price.js';
+import { getFiatCurrencies, resolveFiatCurrency } from '../../../lib/config.js';
+
+// GET /api/prices - latest stored FLUX rate per configured fiat currency
+// GET /api/prices?currency=EUR - price history status for one currency
+export async function GET({ url }) {
+  const requested = url.searchParams.get('currency');
+
+  try {
+    if (requested) {
+      const currency = resolveFiatCurrency(requested);
+      if (!currency) {
+        return json({
+          error: `Unsupported currency: ${requested}`,
+          supported: getFiatCurrencies()
+        }, { status: 400 });
+      }
+      return json(getPriceStatus(currency));
+    }
+
+    return json({
+      currencies: getFiatCurrencies(),
+      prices: getLatestPrices()
+    });
+  } catch (error) {
+    console.error('❌ Prices API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
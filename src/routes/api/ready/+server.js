@@ -0,0 +1,18 @@
+import { json } from '@sveltejs/kit';
+import { getReadiness } from '../../../lib/health.js';
+
+// GET /api/ready - readiness probe: 200 when ready (warnings included), 503 when a component fails
+export async function GET() {
+  try {
+    const readiness = await getReadiness();
+
+    return json(readiness, {
+      status: readiness.ready ? 200 : 503,
+      headers: { 'Cache-Control': 'no-store' }
+    });
+
+  } catch (error) {
+    console.error('❌ Readiness check error:', error);
+    return json({ status: 'fail', ready: false, error: error.message }, { status: 503, headers: { 'Cache-Control': 'no-store' } });
+  }
+}
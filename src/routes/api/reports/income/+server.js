@@ -0,0 +1,62 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { resolveFiatCurrency, getFiatCurrencies } from '../../../../lib/config.js';
+import { buildIncomeReport, incomeReportToCsv, getIncomeAddresses, getReportYearRange } from '../../../../lib/reports.js';
+
+// GET /api/reports/income?year=2025&currency=EUR&address=...|group=...&format=json|csv
+export async function GET({ url }) {
+  const { first, last } = getReportYearRange();
+  const year = parseInt(url.searchParams.get('year') || String(last));
+  const address = url.searchParams.get('address') || null;
+  const group = url.searchParams.get('group') || null;
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
+
+  if (!Number.isInteger(year) || year < first || year > last) {
+    return json({ error: `year must be between ${first} and ${last}` }, { status: 400 });
+  }
+
+  if (format !== 'json' && format !== 'csv') {
+    return json({ error: 'format must be json or csv' }, { status: 400 });
+  }
+
+  const currency = resolveFiatCurrency(url.searchParams.get('currency'));
+  if (!currency) {
+    return json({
+      error: `Unsupported currency: ${url.searchParams.get('currency')}`,
+      supported: getFiatCurrencies()
+    }, { status: 400 });
+  }
+
+  try {
+    // Past years include addresses that have been removed or deactivated since
+    const filter = dbUtils.resolveAddressFilter({ address, group, includeInactive: true });
+    if (filter.error) {
+      const { status, ...body } = filter;
+      return json(body, { status });
+    }
+
+    const report = buildIncomeReport({
+      year,
+      currency,
+      addresses: address || group ? filter.addresses : getIncomeAddresses(year),
+      group: filter.group
+    });
+
+    console.log(`🧾 Income report ${year} (${currency}): ${report.summary.payments} payments, ${report.summary.unvalued_count} unvalued`);
+
+    if (format === 'csv') {
+      const scope = address ? `-${address.slice(0, 8)}` : filter.group ? `-group-${filter.group.id}` : '';
+      return new Response(incomeReportToCsv(report), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="flux-income-${year}-${currency}${scope}.csv"`
+        }
+      });
+    }
+
+    return json(report);
+  } catch (error) {
+    console.error('❌ Income report error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
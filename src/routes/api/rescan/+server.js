@@ -0,0 +1,82 @@
+import { json } from '@sveltejs/kit';
+import { getAllTargetAddresses } from '../../../lib/config.js';
+import { startRescan, getRescanJobs, getRescanJob, cancelRescan } from '../../../lib/rescan.js';
+
+function parseHeight(value) {
+  if (value === null || value === '') return null;
+  const height = parseInt(value);
+  return Number.isNaN(height) || height < 0 ? undefined : height;
+}
+
+export async function POST({ url }) {
+  try {
+    const targetAddresses = getAllTargetAddresses();
+    
+    // address= may be repeated or comma separated; defaults to every tracked address
+    const requested = url.searchParams.getAll('address')
+      .flatMap(value => value.split(','))
+      .map(addr => addr.trim())
+      .filter(Boolean);
+    const addresses = requested.length > 0 ? requested : targetAddresses;
+    
+    const untracked = addresses.filter(addr => !targetAddresses.includes(addr));
+    if (untracked.length > 0) {
+      return json({ 
+        success: false,
+        error: 'Address not in tracked list',
+        untracked,
+        trackedAddresses: targetAddresses 
+      }, { status: 400 });
+    }
+    
+    const fromHeight = parseHeight(url.searchParams.get('from'));
+    const toHeight = parseHeight(url.searchParams.get('to'));
+    
+    if (fromHeight === undefined || toHeight === undefined) {
+      return json({ success: false, error: 'from and to must be non-negative block heights' }, { status: 400 });
+    }
+    if (fromHeight !== null && toHeight !== null && fromHeight > toHeight) {
+      return json({ success: false, error: 'from must be less than or equal to to' }, { status: 400 });
+    }
+    
+    // Queued in the database - the process holding the sync leader lock runs it
+    const job = startRescan({ addresses, fromHeight, toHeight, reason: 'manual' });
+    
+    return json({ success: true, job }, { status: 202 });
+    
+  } catch (error) {
+    console.error('❌ Rescan API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
+
+export async function GET({ url }) {
+  const id = url.searchParams.get('id');
+  
+  if (id) {
+    const job = getRescanJob(parseInt(id));
+    if (!job) {
+      return json({ error: `Rescan job ${id} not found` }, { status: 404 });
+    }
+    return json({ job });
+  }
+  
+  const jobs = getRescanJobs();
+  return json({
+    jobs,
+    active: jobs.find(job => job.status === 'running') || null,
+    queued: jobs.filter(job => job.status === 'queued').length,
+    usage: 'POST /api/rescan?address=t1...&from=<height>&to=<height>'
+  });
+}
+
+export async function DELETE({ url }) {
+  const id = parseInt(url.searchParams.get('id'));
+  const job = Number.isNaN(id) ? null : cancelRescan(id);
+  
+  if (!job) {
+    return json({ success: false, error: 'No queued or running rescan job with that id' }, { status: 404 });
+  }
+  
+  return json({ success: true, job });
+}
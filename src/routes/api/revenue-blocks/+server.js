@@ -1,23 +1,29 @@
 import { json } from '@sveltejs/kit';
-import { statements } from '../../../lib/db.js';
-import { getAllTargetAddresses } from '../../../lib/config.js';
+import { statements, dbUtils } from '../../../lib/db.js';
+import { resolveFiatCurrency, getFiatCurrencies } from '../../../lib/config.js';
+import { getNetworkHeight } from '../../../lib/scheduler.js';
 
 export async function GET({ url }) {
   const blocks = parseInt(url.searchParams.get('blocks') || '720');
   const address = url.searchParams.get('address') || null;
+  const group = url.searchParams.get('group') || null;
+  // NEW: currency= selects which stored fiat values are returned
+  const currency = resolveFiatCurrency(url.searchParams.get('currency'));
+  if (!currency) {
+    return json({
+      error: `Unsupported currency: ${url.searchParams.get('currency')}`,
+      supported: getFiatCurrencies()
+    }, { status: 400 });
+  }
   
   try {
-    // Determine which addresses to query
-    const targetAddresses = getAllTargetAddresses();
-    const addressesToQuery = address ? [address] : targetAddresses;
-    
-    // Validate requested address
-    if (address && !targetAddresses.includes(address)) {
-      return json({ 
-        error: 'Address not in tracked list',
-        trackedAddresses: targetAddresses 
-      }, { status: 400 });
+    // Determine which addresses to query (address= or group=)
+    const filter = dbUtils.resolveAddressFilter({ address, group });
+    if (filter.error) {
+      const { status, ...body } = filter;
+      return json(body, { status });
     }
+    const addressesToQuery = filter.addresses;
     
     // Get current highest block height from our database
     const currentBlockResult = statements.getHighestBlock.get();
@@ -28,6 +34,14 @@ export async function GET({ url }) {
         error: 'No blocks synced yet',
         total_revenue: 0,
         total_count: 0,
+        confirmed_revenue: 0,
+        confirmed_count: 0,
+        pending_revenue: 0,
+        pending_count: 0,
+        fiat_total: 0,
+        confirmed_fiat: 0,
+        pending_fiat: 0,
+        fiat_currency: currency,
         blocks_analyzed: 0,
         current_block_height: 0,
         addresses: addressesToQuery
@@ -38,8 +52,19 @@ export async function GET({ url }) {
     const startBlock = Math.max(0, currentBlockHeight - blocks);
     const endBlock = currentBlockHeight;
     
+    // NEW: Payments above the confirmed height are still pending
+    const { confirmationsRequired, confirmedHeight } = dbUtils.getConfirmationCutoff(getNetworkHeight());
+    
     let totalRevenue = 0;
     let totalCount = 0;
+    let confirmedRevenue = 0;
+    let confirmedCount = 0;
+    let pendingRevenue = 0;
+    let pendingCount = 0;
+    let fiatTotal = 0;
+    let confirmedFiat = 0;
+    let pendingFiat = 0;
+    let unvaluedCount = 0;
     let transactions = [];
     let addressBreakdown = {};
     
@@ -57,15 +82,37 @@ export async function GET({ url }) {
         const addressRevenue = addressTransactions.reduce((sum, tx) => sum + (tx.value || 0), 0);
         const addressCount = addressTransactions.length;
         
+        const pendingTransactions = addressTransactions.filter(tx => tx.block_height > confirmedHeight);
+        const addressPendingRevenue = pendingTransactions.reduce((sum, tx) => sum + (tx.value || 0), 0);
+        
+        // NEW: Fiat value at each payment's block time
+        const fiat = statements.getFiatByBlockRange.get(
+          confirmedHeight, confirmedHeight, currency, addr, startBlock, endBlock
+        );
+        
         totalRevenue += addressRevenue;
         totalCount += addressCount;
+        confirmedRevenue += addressRevenue - addressPendingRevenue;
+        confirmedCount += addressCount - pendingTransactions.length;
+        pendingRevenue += addressPendingRevenue;
+        pendingCount += pendingTransactions.length;
+        fiatTotal += fiat?.fiat_total || 0;
+        confirmedFiat += fiat?.confirmed_fiat || 0;
+        pendingFiat += fiat?.pending_fiat || 0;
+        unvaluedCount += fiat?.unvalued_count || 0;
         transactions.push(...addressTransactions);
         
         // Store breakdown data
         addressBreakdown[addr] = {
           revenue: addressRevenue,
           count: addressCount,
-          transactions: addressTransactions.length
+          transactions: addressTransactions.length,
+          confirmed_revenue: addressRevenue - addressPendingRevenue,
+          pending_revenue: addressPendingRevenue,
+          pending_count: pendingTransactions.length,
+          fiat_total: fiat?.fiat_total || 0,
+          confirmed_fiat: fiat?.confirmed_fiat || 0,
+          pending_fiat: fiat?.pending_fiat || 0
         };
         
       } catch (error) {
@@ -75,6 +122,9 @@ export async function GET({ url }) {
           revenue: 0,
           count: 0,
           transactions: 0,
+          confirmed_revenue: 0,
+          pending_revenue: 0,
+          pending_count: 0,
           error: error.message
         };
       }
@@ -97,6 +147,17 @@ export async function GET({ url }) {
     const response = {
       total_revenue: totalRevenue,
       total_count: totalCount,
+      confirmed_revenue: confirmedRevenue,
+      confirmed_count: confirmedCount,
+      pending_revenue: pendingRevenue,
+      pending_count: pendingCount,
+      confirmations_required: confirmationsRequired,
+      confirmed_height: confirmedHeight,
+      fiat_total: fiatTotal,
+      confirmed_fiat: confirmedFiat,
+      pending_fiat: pendingFiat,
+      fiat_currency: currency,
+      fiat_unvalued_count: unvaluedCount,
       blocks_requested: blocks,
       blocks_analyzed: actualBlocksAnalyzed,
       current_block_height: currentBlockHeight,
@@ -105,6 +166,7 @@ export async function GET({ url }) {
       period_description: periodDescription,
       addresses_count: addressesToQuery.length,
       addresses: addressesToQuery,
+      group: filter.group,
       breakdown: addressBreakdown,
       // Include sample transactions for debugging (limited to 5)
       sample_transactions: transactions.slice(0, 5).map(tx => ({
@@ -113,18 +175,21 @@ export async function GET({ url }) {
         value: tx.value,
         block_height: tx.block_height,
         timestamp: tx.timestamp,
-        tx_hash: tx.tx_hash
+        tx_hash: tx.tx_hash,
+        confirmations: currentBlockHeight - tx.block_height + 1,
+        confirmed: tx.block_height <= confirmedHeight
       })),
       query_info: {
         method: 'block-height-based',
         requested_address: address,
+        requested_group: group,
         queried_addresses: addressesToQuery,
         calculation: `SUM(value) WHERE block_height BETWEEN ${startBlock} AND ${endBlock}`
       }
     };
     
     // Log for debugging
-    console.log(`📊 Revenue blocks API: blocks ${startBlock}-${endBlock} = ${totalRevenue.toFixed(8)} FLUX from ${totalCount} transactions`);
+    console.log(`📊 Revenue blocks API: blocks ${startBlock}-${endBlock} = ${totalRevenue.toFixed(8)} FLUX from ${totalCount} transactions (${pendingCount} pending)`);
     
     return json(response);
     
@@ -134,6 +199,8 @@ export async function GET({ url }) {
       error: error.message,
       total_revenue: 0,
       total_count: 0,
+      confirmed_revenue: 0,
+      pending_revenue: 0,
       blocks_analyzed: 0,
       addresses: [],
       query_info: {
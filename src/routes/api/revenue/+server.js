@@ -1,32 +1,61 @@
 import { json } from '@sveltejs/kit';
-import { statements } from '../../../lib/db.js';
-import { getAllTargetAddresses } from '../../../lib/config.js';
+import { statements, dbUtils } from '../../../lib/db.js';
+import { resolveFiatCurrency, getFiatCurrencies } from '../../../lib/config.js';
+import { getNetworkHeight } from '../../../lib/scheduler.js';
+
+// Adds the historical fiat value (at time of receipt) to each daily revenue row
+function withDailyFiat(dailyData, fiatDaily) {
+  const fiatByDate = new Map(fiatDaily.map(day => [day.date, day.daily_fiat_value]));
+  return dailyData.map(day => ({ ...day, daily_fiat_value: fiatByDate.get(day.date) || 0 }));
+}
+
+function fiatTotalFields(fiat) {
+  return {
+    fiat_total: fiat.fiat_total,
+    fiat_currency: fiat.currency,
+    fiat_valued_count: fiat.valued_count,
+    fiat_unvalued_count: fiat.unvalued_count
+  };
+}
 
 export async function GET({ url }) {
   const days = parseInt(url.searchParams.get('days') || '30');
   const address = url.searchParams.get('address') || null;
+  const group = url.searchParams.get('group') || null;
   const breakdown = url.searchParams.get('breakdown') === 'true';
+  // NEW: currency= selects which stored fiat values are returned
+  const currency = resolveFiatCurrency(url.searchParams.get('currency'));
+  if (!currency) {
+    return json({
+      error: `Unsupported currency: ${url.searchParams.get('currency')}`,
+      supported: getFiatCurrencies()
+    }, { status: 400 });
+  }
   
   try {
-    // Determine which addresses to query
-    const targetAddresses = getAllTargetAddresses();
-    const addressesToQuery = address ? [address] : targetAddresses;
-    
-    // Validate requested address
-    if (address && !targetAddresses.includes(address)) {
-      return json({ 
-        error: 'Address not in tracked list',
-        trackedAddresses: targetAddresses 
-      }, { status: 400 });
+    // Determine which addresses to query (address= or group=)
+    const filter = dbUtils.resolveAddressFilter({ address, group });
+    if (filter.error) {
+      const { status, ...body } = filter;
+      return json(body, { status });
     }
+    const addressesToQuery = filter.addresses;
     
     const cutoffTime = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
     
+    // NEW: Split totals into confirmed and pending payments
+    const { confirmationsRequired, confirmedHeight } = dbUtils.getConfirmationCutoff(getNetworkHeight());
+    
     if (breakdown && addressesToQuery.length > 1) {
       // Return breakdown by address
       const addressBreakdown = {};
       let totalRevenue = 0;
       let totalCount = 0;
+      let confirmedRevenue = 0;
+      let confirmedCount = 0;
+      let pendingRevenue = 0;
+      let pendingCount = 0;
+      let fiatTotal = 0;
       
       for (const addr of addressesToQuery) {
         // Get daily data for this address
@@ -34,19 +63,28 @@ export async function GET({ url }) {
         
         // Get total for this address
         const totalData = statements.getTotalRevenue.get(addr);
+        const split = dbUtils.getConfirmationSplit(addr, confirmedHeight);
+        const fiat = dbUtils.getFiatTotals(addr, currency, cutoffTime);
         
         addressBreakdown[addr] = {
-          daily: dailyData,
+          daily: withDailyFiat(dailyData, fiat.daily),
           total: {
             total: totalData?.total || 0,
             count: totalData?.count || 0,
             first_payment: totalData?.first_payment,
-            last_payment: totalData?.last_payment
+            last_payment: totalData?.last_payment,
+            ...split,
+            ...fiatTotalFields(fiat)
           }
         };
         
+        fiatTotal += fiat.fiat_total;
         totalRevenue += totalData?.total || 0;
         totalCount += totalData?.count || 0;
+        confirmedRevenue += split.confirmed_total;
+        confirmedCount += split.confirmed_count;
+        pendingRevenue += split.pending_total;
+        pendingCount += split.pending_count;
       }
       
       return json({
@@ -54,26 +92,51 @@ export async function GET({ url }) {
         summary: {
           total_revenue: totalRevenue,
           total_count: totalCount,
+          confirmed_revenue: confirmedRevenue,
+          confirmed_count: confirmedCount,
+          pending_revenue: pendingRevenue,
+          pending_count: pendingCount,
+          fiat_total: fiatTotal,
+          fiat_currency: currency,
           addresses_count: addressesToQuery.length,
-          addresses: addressesToQuery
+          addresses: addressesToQuery,
+          group: filter.group
         },
+        confirmations_required: confirmationsRequired,
+        confirmed_height: confirmedHeight,
         days,
         cutoff_time: cutoffTime
       });
     } else {
       // Combined data for all requested addresses
       let combinedDaily = [];
-      let combinedTotal = { total: 0, count: 0, first_payment: null, last_payment: null };
+      let combinedTotal = { 
+        total: 0, 
+        count: 0, 
+        first_payment: null, 
+        last_payment: null,
+        confirmed_total: 0,
+        confirmed_count: 0,
+        pending_total: 0,
+        pending_count: 0,
+        fiat_total: 0,
+        fiat_currency: currency,
+        fiat_valued_count: 0,
+        fiat_unvalued_count: 0
+      };
       
       if (addressesToQuery.length === 1) {
         // Single address - direct query
-        combinedDaily = statements.getRevenueData.all(addressesToQuery[0], cutoffTime);
+        const fiat = dbUtils.getFiatTotals(addressesToQuery[0], currency, cutoffTime);
+        combinedDaily = withDailyFiat(statements.getRevenueData.all(addressesToQuery[0], cutoffTime), fiat.daily);
         const totalData = statements.getTotalRevenue.get(addressesToQuery[0]);
         combinedTotal = {
           total: totalData?.total || 0,
           count: totalData?.count || 0,
           first_payment: totalData?.first_payment,
-          last_payment: totalData?.last_payment
+          last_payment: totalData?.last_payment,
+          ...dbUtils.getConfirmationSplit(addressesToQuery[0], confirmedHeight),
+          ...fiatTotalFields(fiat)
         };
       } else {
         // Multiple addresses - combine results
@@ -83,9 +146,19 @@ export async function GET({ url }) {
           const dailyData = statements.getRevenueData.all(addr, cutoffTime);
           const totalData = statements.getTotalRevenue.get(addr);
           
+          const split = dbUtils.getConfirmationSplit(addr, confirmedHeight);
+          const fiat = dbUtils.getFiatTotals(addr, currency, cutoffTime);
+          
           // Add to combined totals
           combinedTotal.total += totalData?.total || 0;
           combinedTotal.count += totalData?.count || 0;
+          combinedTotal.confirmed_total += split.confirmed_total;
+          combinedTotal.confirmed_count += split.confirmed_count;
+          combinedTotal.pending_total += split.pending_total;
+          combinedTotal.pending_count += split.pending_count;
+          combinedTotal.fiat_total += fiat.fiat_total;
+          combinedTotal.fiat_valued_count += fiat.valued_count;
+          combinedTotal.fiat_unvalued_count += fiat.unvalued_count;
           
           // Track earliest and latest payments
           if (totalData?.first_payment) {
@@ -100,12 +173,13 @@ export async function GET({ url }) {
           }
           
           // Combine daily data
-          for (const day of dailyData) {
+          for (const day of withDailyFiat(dailyData, fiat.daily)) {
             if (!dailyByDate[day.date]) {
-              dailyByDate[day.date] = { date: day.date, daily_revenue: 0, transaction_count: 0 };
+              dailyByDate[day.date] = { date: day.date, daily_revenue: 0, transaction_count: 0, daily_fiat_value: 0 };
             }
             dailyByDate[day.date].daily_revenue += day.daily_revenue || 0;
             dailyByDate[day.date].transaction_count += day.transaction_count || 0;
+            dailyByDate[day.date].daily_fiat_value += day.daily_fiat_value || 0;
           }
         }
         
@@ -118,6 +192,9 @@ export async function GET({ url }) {
         total: combinedTotal,
         addresses: addressesToQuery,
         addresses_count: addressesToQuery.length,
+        group: filter.group,
+        confirmations_required: confirmationsRequired,
+        confirmed_height: confirmedHeight,
         days,
         cutoff_time: cutoffTime
       });
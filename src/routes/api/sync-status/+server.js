@@ -1,7 +1,11 @@
 // /api/sync-status/+server.js
 import { json } from '@sveltejs/kit';
-import { statements } from '$lib/db.js';
+import { statements, dbUtils } from '$lib/db.js';
 import { getCurrentBlockHeight } from '$lib/flux-api.js';
+import { getAdaptiveState } from '$lib/adaptiveConcurrency.js';
+import { countHeights, findGaps, getSyncFrontier, getSyncRangeSummary } from '$lib/syncRanges.js';
+import { getPipelineStatus } from '$lib/scheduler.js';
+import { getLeaderStatus } from '$lib/leaderLock.js';
 import { getSyncInfo } from '$lib/syncStatusStore.js'; // FIXED: Correct function name
 
 const BLOCKS_PER_DAY = 720;
@@ -61,7 +65,26 @@ export async function GET() {
       lastSyncTime: lastSyncInfo.lastSyncTime,
       lastSyncMessage: lastSyncInfo.lastSyncMessage,
       syncRate: lastSyncInfo.syncRate || 0,
-      
+
+      // Chain reorganizations
+      reorgs: dbUtils.getChainReorgSummary(),
+      lastReorg: lastSyncInfo.lastReorg || null,
+
+      // Adaptive API concurrency / batch size and any Retry-After pause
+      apiThrottle: getAdaptiveState(),
+
+      // Blocks waiting for a retry (details at /api/sync/failures)
+      failedBlocks: dbUtils.getFailedBlockSummary(),
+
+      // Sync checkpoints: completed ranges and interrupted jobs
+      syncRanges: getSyncRangeSummary(),
+
+      // Fetch/analyze/write queues and block worker threads (of this process)
+      pipeline: getPipelineStatus(),
+
+      // Which process syncs - this one, scripts/syncd.js or another web server
+      leader: getLeaderStatus(),
+
       // Debug info
       needsForwardSync: syncStatus.needsForwardSync,
       needsBackwardSync: syncStatus.needsBackwardSync,
@@ -83,25 +106,25 @@ export async function GET() {
 function getSyncStatus(currentHeight) {
   try {
     // Check if statements are available
-    if (!statements || !statements.getTotalBlockCount || !statements.getHighestBlock || !statements.getLowestBlock) {
+    if (!statements || !statements.getTotalBlockCount) {
       console.error('❌ Database statements not initialized');
       return null;
     }
 
     const totalBlocksQuery = statements.getTotalBlockCount.get();
-    const highestBlockRow = statements.getHighestBlock.get();
-    const lowestBlockRow = statements.getLowestBlock.get();
-    
     const totalBlocksSynced = totalBlocksQuery?.count || 0;
-    const highestSynced = highestBlockRow?.height || null;
-    const lowestSynced = lowestBlockRow?.height || null;
+    
+    // 🔄 UPDATED: Same frontier as the scheduler - the contiguous range at the top of the sync checkpoints
+    const frontier = getSyncFrontier();
+    const highestSynced = frontier.highest;
+    const lowestSynced = frontier.lowest;
     
     const targetLowestBlock = currentHeight - (BLOCKS_PER_DAY * RETENTION_DAYS);
     const initialSyncTarget = currentHeight - BLOCKS_PER_DAY; // Last 24 hours
     
     // Calculate remaining blocks - ensure we don't return negative values
     const newBlocksRemaining = highestSynced ? Math.max(0, currentHeight - highestSynced) : BLOCKS_PER_DAY;
-    const historicalBlocksRemaining = lowestSynced ? Math.max(0, lowestSynced - targetLowestBlock) : Math.max(0, (BLOCKS_PER_DAY * RETENTION_DAYS) - BLOCKS_PER_DAY);
+    const historicalBlocksRemaining = lowestSynced ? countHeights(findGaps(targetLowestBlock, lowestSynced - 1)) : Math.max(0, (BLOCKS_PER_DAY * RETENTION_DAYS) - BLOCKS_PER_DAY);
     const totalBlocksRemaining = newBlocksRemaining + historicalBlocksRemaining;
     
     // Calculate progress as a percentage of target blocks (not just synced blocks)
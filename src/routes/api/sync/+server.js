@@ -1,11 +1,19 @@
 import { json } from '@sveltejs/kit';
 import { performSync } from '../../../lib/scheduler.js';
+import { isSyncLeader } from '../../../lib/leaderLock.js';
+import { queueSyncRequest } from '../../../lib/syncRequests.js';
 
 export async function POST() {
   try {
+    // NEW: Another process syncs - it runs the extra cycle
+    if (!isSyncLeader()) {
+      const request = queueSyncRequest('sync');
+      return json({ success: true, queued: true, message: 'Sync queued for the syncing process', request }, { status: 202 });
+    }
+    
     const result = await performSync();
     return json(result);
   } catch (error) {
     return json({ success: false, error: error.message }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,61 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { retryFailedBlocksNow } from '../../../../lib/scheduler.js';
+
+const FAILURE_STATUSES = ['retrying', 'failed'];
+
+// GET /api/sync/failures?status=&limit=&offset= - blocks waiting for a retry, newest first
+export async function GET({ url }) {
+  try {
+    const status = url.searchParams.get('status') || null;
+    if (status && !FAILURE_STATUSES.includes(status)) {
+      return json({ error: `status must be one of ${FAILURE_STATUSES.join(', ')}` }, { status: 400 });
+    }
+
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 100, 1), 1000);
+    const offset = Math.max(parseInt(url.searchParams.get('offset')) || 0, 0);
+    const failures = dbUtils.getFailedBlocks({ status, limit, offset });
+
+    return json({
+      success: true,
+      summary: dbUtils.getFailedBlockSummary(),
+      failures,
+      count: failures.length
+    });
+
+  } catch (error) {
+    console.error('❌ Failed blocks API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
+
+// POST /api/sync/failures - retry now: { "height": 123 } for one block, no body for all of them
+export async function POST({ request }) {
+  try {
+    let body = {};
+    try {
+      body = await request.json();
+    } catch (error) {
+      // No body - retry everything
+    }
+
+    let height = null;
+    if (body.height !== undefined && body.height !== null) {
+      height = Number(body.height);
+      if (!Number.isInteger(height) || height < 1) {
+        return json({ success: false, error: 'height must be a positive integer' }, { status: 400 });
+      }
+    }
+
+    const result = await retryFailedBlocksNow(height);
+    if (height !== null && result.queued === 0) {
+      return json({ success: false, error: 'Block is not in the failed block queue' }, { status: 404 });
+    }
+
+    return json({ success: true, ...result, summary: dbUtils.getFailedBlockSummary() });
+
+  } catch (error) {
+    console.error('❌ Failed blocks retry API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
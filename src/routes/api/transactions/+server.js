@@ -1,13 +1,22 @@
 import { json } from '@sveltejs/kit';
-import { statements } from '../../../lib/db.js';
-import { getAllTargetAddresses } from '../../../lib/config.js';
+import { statements, dbUtils } from '../../../lib/db.js';
+import { getAllTargetAddresses, resolveFiatCurrency, getFiatCurrencies } from '../../../lib/config.js';
 
 export async function GET({ url }) {
   const page = parseInt(url.searchParams.get('page') || '1');
   const limit = parseInt(url.searchParams.get('limit') || '50');
   const search = url.searchParams.get('search') || '';
   const address = url.searchParams.get('address') || null;
+  const group = url.searchParams.get('group') || null;
   const breakdown = url.searchParams.get('breakdown') === 'true';
+  // NEW: currency= selects which stored fiat values are returned
+  const currency = resolveFiatCurrency(url.searchParams.get('currency'));
+  if (!currency) {
+    return json({
+      error: `Unsupported currency: ${url.searchParams.get('currency')}`,
+      supported: getFiatCurrencies()
+    }, { status: 400 });
+  }
   
   // Ensure page is at least 1
   const currentPage = Math.max(1, page);
@@ -15,17 +24,13 @@ export async function GET({ url }) {
   const offset = (currentPage - 1) * itemsPerPage;
   
   try {
-    // Determine which addresses to query
-    const targetAddresses = getAllTargetAddresses();
-    const addressesToQuery = address ? [address] : targetAddresses;
-    
-    // Validate requested address
-    if (address && !targetAddresses.includes(address)) {
-      return json({ 
-        error: 'Address not in tracked list',
-        trackedAddresses: targetAddresses 
-      }, { status: 400 });
+    // Determine which addresses to query (address= or group=)
+    const filter = dbUtils.resolveAddressFilter({ address, group });
+    if (filter.error) {
+      const { status, ...body } = filter;
+      return json(body, { status });
     }
+    const addressesToQuery = filter.addresses;
     
     if (breakdown && addressesToQuery.length > 1) {
       // Return breakdown by address
@@ -38,6 +43,7 @@ export async function GET({ url }) {
         if (search.trim()) {
           const searchTerm = `%${search.trim()}%`;
           transactions = statements.searchTransactionsPaginated.all(
+            currency,
             addr,
             searchTerm,  // for tx_hash
             searchTerm,  // for from_address
@@ -55,6 +61,7 @@ export async function GET({ url }) {
           total = totalResult?.total || 0;
         } else {
           transactions = statements.getTransactionsPaginated.all(
+            currency,
             addr,
             itemsPerPage,
             offset
@@ -71,7 +78,12 @@ export async function GET({ url }) {
           to: addr,
           amount: tx.amount || 0,
           date: tx.date ? new Date(tx.date * 1000).toISOString() : null,
-          blockHeight: tx.block_height
+          blockHeight: tx.block_height,
+          // Fiat value at the payment's block time (null until a price is stored)
+          fiatValue: tx.fiat_value ?? null,
+          fiatPrice: tx.fiat_price ?? null,
+          fiatSource: tx.fiat_source ?? null,
+          fiatCurrency: currency
         }));
         
         addressBreakdown[addr] = {
@@ -93,7 +105,9 @@ export async function GET({ url }) {
           hasPrev: currentPage > 1
         },
         search: search.trim(),
-        addresses: addressesToQuery
+        fiat_currency: currency,
+        addresses: addressesToQuery,
+        group: filter.group
       });
     } else {
       // Combined transactions from all addresses
@@ -107,6 +121,7 @@ export async function GET({ url }) {
         if (search.trim()) {
           const searchTerm = `%${search.trim()}%`;
           transactions = statements.searchTransactionsPaginated.all(
+            currency,
             addr,
             searchTerm,
             searchTerm,
@@ -124,6 +139,7 @@ export async function GET({ url }) {
           count = totalResult?.total || 0;
         } else {
           transactions = statements.getTransactionsPaginated.all(
+            currency,
             addr,
             itemsPerPage * 2, // Get more to account for sorting
             0 // Start from beginning for sorting
@@ -141,6 +157,11 @@ export async function GET({ url }) {
           amount: tx.amount || 0,
           date: tx.date ? new Date(tx.date * 1000).toISOString() : null,
           blockHeight: tx.block_height,
+          // Fiat value at the payment's block time (null until a price is stored)
+          fiatValue: tx.fiat_value ?? null,
+          fiatPrice: tx.fiat_price ?? null,
+          fiatSource: tx.fiat_source ?? null,
+          fiatCurrency: currency,
           timestamp: tx.date // Keep for sorting
         }));
         
@@ -170,8 +191,10 @@ export async function GET({ url }) {
           hasPrev: currentPage > 1
         },
         search: search.trim(),
+        fiat_currency: currency,
         addresses: addressesToQuery,
-        addresses_count: addressesToQuery.length
+        addresses_count: addressesToQuery.length,
+        group: filter.group
       });
     }
     
@@ -0,0 +1,38 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../lib/db.js';
+import { parseWebhookInput, generateWebhookSecret } from '../../../lib/webhooks.js';
+
+export async function GET() {
+  try {
+    const webhooks = dbUtils.getWebhooks();
+    return json({ webhooks, count: webhooks.length });
+  } catch (error) {
+    console.error('❌ Webhooks API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { updates, error } = parseWebhookInput(body);
+
+    if (error) {
+      return json({
+        success: false,
+        error,
+        usage: 'POST /api/webhooks { "url": "https://bot.example/flux", "address": "t1..." | "group": "EU Stratus fleet", "minAmount": 0, "secret": "optional, generated if omitted" }'
+      }, { status: 400 });
+    }
+
+    // The secret is only shown here - store it on the receiving side to verify signatures
+    const webhook = dbUtils.createWebhook({ secret: generateWebhookSecret(), ...updates });
+    console.log(`🪝 Created webhook ${webhook.id} → ${webhook.url}`);
+
+    return json({ success: true, webhook }, { status: 201 });
+
+  } catch (error) {
+    console.error('❌ Create webhook API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,51 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../lib/db.js';
+import { parseWebhookInput } from '../../../../lib/webhooks.js';
+
+export async function GET({ params }) {
+  const webhook = dbUtils.getWebhook(parseInt(params.id));
+
+  if (!webhook) {
+    return json({ error: 'Webhook not found' }, { status: 404 });
+  }
+
+  return json({ webhook });
+}
+
+export async function PATCH({ params, request }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const id = parseInt(params.id);
+
+    if (!dbUtils.getWebhook(id)) {
+      return json({ success: false, error: 'Webhook not found' }, { status: 404 });
+    }
+
+    const { updates, error } = parseWebhookInput(body, { partial: true });
+    if (error) {
+      return json({ success: false, error }, { status: 400 });
+    }
+
+    return json({ success: true, webhook: dbUtils.updateWebhook(id, updates) });
+
+  } catch (error) {
+    console.error('❌ Update webhook API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
+
+export async function DELETE({ params }) {
+  try {
+    const id = parseInt(params.id);
+
+    if (!dbUtils.deleteWebhook(id)) {
+      return json({ success: false, error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return json({ success: true, message: `Deleted webhook ${id} and its delivery log` });
+
+  } catch (error) {
+    console.error('❌ Delete webhook API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
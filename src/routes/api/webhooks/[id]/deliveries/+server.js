@@ -0,0 +1,28 @@
+import { json } from '@sveltejs/kit';
+import { dbUtils } from '../../../../../lib/db.js';
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+// GET /api/webhooks/[id]/deliveries?status=&limit= - delivery log, newest first
+export async function GET({ params, url }) {
+  try {
+    const id = parseInt(params.id);
+    if (!dbUtils.getWebhook(id)) {
+      return json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    const status = url.searchParams.get('status') || null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` }, { status: 400 });
+    }
+
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 50, 1), 500);
+    const deliveries = dbUtils.getWebhookDeliveries(id, { status, limit });
+
+    return json({ deliveries, count: deliveries.length });
+
+  } catch (error) {
+    console.error('❌ Webhook deliveries API error:', error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
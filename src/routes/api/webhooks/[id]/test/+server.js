@@ -0,0 +1,19 @@
+import { json } from '@sveltejs/kit';
+import { sendTestWebhook } from '../../../../../lib/webhooks.js';
+
+// POST /api/webhooks/[id]/test - sends a signed 'webhook.test' event right away (no retries)
+export async function POST({ params }) {
+  try {
+    const result = await sendTestWebhook(parseInt(params.id));
+
+    if (!result) {
+      return json({ success: false, error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return json(result, { status: result.success ? 200 : 502 });
+
+  } catch (error) {
+    console.error('❌ Test webhook API error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,19 @@
+import { collectMetrics, METRICS_CONTENT_TYPE } from '../../lib/metrics.js';
+
+// GET /metrics - Prometheus scrape endpoint
+export async function GET() {
+  try {
+    return new Response(collectMetrics(), {
+      headers: {
+        'Content-Type': METRICS_CONTENT_TYPE,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('❌ Metrics error:', error);
+    return new Response(`# Error collecting metrics: ${error.message}\n`, {
+      status: 500,
+      headers: { 'Content-Type': METRICS_CONTENT_TYPE }
+    });
+  }
+}
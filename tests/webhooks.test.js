@@ -0,0 +1,152 @@
+// Webhook signing, delivery and retries against a local receiver (node --test)
+// Runs on a scratch database in a temp directory - db.js opens flux-tracker.db in the working directory.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const ADDRESS = 't3NryfAQLGeFs9jEoeqsxmBN2QLRaRKFLUX';
+const SECRET = 'test-secret-0123456789';
+
+const workDir = mkdtempSync(join(tmpdir(), 'flux-webhooks-'));
+process.chdir(workDir);
+
+const { statements, dbUtils, closeDatabase } = await import('../src/lib/db.js');
+const { WEBHOOK_CONFIG } = await import('../src/lib/config.js');
+const { queuePaymentWebhooks, processWebhookDeliveries, signWebhookPayload } = await import('../src/lib/webhooks.js');
+
+// Answers with the next queued status (200 once the list is empty) and records every request
+const received = [];
+const statuses = [];
+const receiver = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() ?? 200);
+    res.end();
+  });
+});
+
+let webhookId;
+let nextTxid = 1;
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const { id } = dbUtils.createWebhook({ url: `http://127.0.0.1:${receiver.address().port}/hook`, secret: SECRET });
+  webhookId = id;
+});
+
+after(() => {
+  receiver.close();
+  closeDatabase();
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function payment(overrides = {}) {
+  return {
+    blockHeight: 1000,
+    txid: `tx${nextTxid++}`,
+    vout: 0,
+    address: ADDRESS,
+    from: null,
+    amount: 12.5,
+    timestamp: Math.floor(Date.now() / 1000),
+    ...overrides
+  };
+}
+
+function getDelivery(paymentId) {
+  return dbUtils.getWebhookDeliveries(webhookId, { limit: 100 })
+    .find(delivery => delivery.payload.payment?.paymentId === paymentId);
+}
+
+// queuePaymentWebhooks starts a delivery pass on its own - wait until the delivery has been attempted
+async function waitForAttempt(paymentId, attempts = 1) {
+  for (let i = 0; i < 100; i++) {
+    const delivery = getDelivery(paymentId);
+    if (delivery && delivery.attempts >= attempts) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Delivery for ${paymentId} was not attempted`);
+}
+
+// Makes a retrying delivery due now and runs a delivery pass
+async function retryNow(deliveryId) {
+  statements.db.prepare('UPDATE webhook_deliveries SET next_attempt_at = 0 WHERE id = ?').run(deliveryId);
+  await processWebhookDeliveries();
+}
+
+test('payment.received is signed with HMAC-SHA256 of "<timestamp>.<body>"', async () => {
+  const sent = payment();
+  assert.equal(queuePaymentWebhooks([sent]), 1);
+  const delivery = await waitForAttempt(`${sent.txid}:0`);
+  assert.equal(delivery.status, 'delivered');
+
+  const request = received.at(-1);
+  const timestamp = request.headers['x-flux-timestamp'];
+  const expected = 'sha256=' + createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+
+  assert.equal(request.headers['x-flux-signature'], expected);
+  assert.equal(signWebhookPayload(SECRET, timestamp, request.body), expected);
+  assert.equal(request.headers['x-flux-event'], 'payment.received');
+  assert.equal(request.headers['x-flux-delivery'], String(delivery.id));
+
+  const body = JSON.parse(request.body);
+  assert.equal(body.payment.paymentId, `${sent.txid}:0`);
+  assert.equal(body.payment.amount, 12.5);
+});
+
+test('failed deliveries are retried with the same delivery id until the receiver accepts', async () => {
+  const sent = payment();
+  statuses.push(500, 503);
+  queuePaymentWebhooks([sent]);
+
+  let delivery = await waitForAttempt(`${sent.txid}:0`);
+  assert.equal(delivery.status, 'retrying');
+  assert.equal(delivery.last_status_code, 500);
+
+  await retryNow(delivery.id);
+  delivery = getDelivery(`${sent.txid}:0`);
+  assert.equal(delivery.status, 'retrying');
+  assert.equal(delivery.attempts, 2);
+
+  await retryNow(delivery.id);
+  delivery = getDelivery(`${sent.txid}:0`);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 3);
+
+  const ids = received.slice(-3).map(request => request.headers['x-flux-delivery']);
+  assert.deepEqual(ids, [String(delivery.id), String(delivery.id), String(delivery.id)]);
+});
+
+test('retry delay doubles per attempt and the delivery fails after MAX_ATTEMPTS', async () => {
+  const sent = payment();
+  statuses.push(...Array(WEBHOOK_CONFIG.MAX_ATTEMPTS).fill(500));
+  queuePaymentWebhooks([sent]);
+
+  let delivery = await waitForAttempt(`${sent.txid}:0`);
+  const base = WEBHOOK_CONFIG.RETRY_BASE_DELAY / 1000;
+  for (let attempt = 1; attempt < WEBHOOK_CONFIG.MAX_ATTEMPTS; attempt++) {
+    const delay = delivery.next_attempt_at - Math.floor(Date.now() / 1000);
+    const expected = Math.min(base * 2 ** (attempt - 1), WEBHOOK_CONFIG.RETRY_MAX_DELAY / 1000);
+    assert.ok(Math.abs(delay - expected) <= 2, `attempt ${attempt}: retry in ${delay}s, expected ${expected}s`);
+
+    await retryNow(delivery.id);
+    delivery = getDelivery(`${sent.txid}:0`);
+  }
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, WEBHOOK_CONFIG.MAX_ATTEMPTS);
+});
+
+test('a payment stored again after a reorg is not queued twice', async () => {
+  const sent = payment();
+  assert.equal(queuePaymentWebhooks([sent]), 1);
+  assert.equal(queuePaymentWebhooks([{ ...sent, blockHeight: sent.blockHeight + 1 }]), 0);
+  await waitForAttempt(`${sent.txid}:0`);
+});